@@ -7,6 +7,8 @@ const path = require('path');
 const cron = require('node-cron');
 const { getDatabase } = require('./utils/database');
 const { getIPFSClient } = require('./utils/ipfs');
+const { getMongoDBClient } = require('./utils/mongo');
+const { getValidationSigner } = require('./utils/validationSignature');
 const logger = require('./utils/logger');
 const config = require('./utils/config');
 
@@ -17,6 +19,9 @@ const cleanupWorker = require('./workers/cleanupWorker');
 const statsAggregator = require('./workers/statsAggregator');
 const pinDiscoveryWorker = require('./workers/pinDiscoveryWorker');
 const healthReporter = require('./workers/healthReporter');
+const reconciliationWorker = require('./workers/reconciliationWorker');
+const revalidationWorker = require('./workers/revalidationWorker');
+const logFollower = require('./workers/logFollower');
 
 // Import routes
 const healthRoutes = require('./routes/health');
@@ -118,11 +123,13 @@ function scheduleWorkers() {
     }
   });
 
-  // Migration Worker - Every 12 hours (at :00 and :12)
-  cron.schedule('0 */12 * * *', async () => {
-    logger.info('Running migration worker...');
+  // Migration Worker - Every hour at :30
+  // Only queues eligible pins whose next attempt is due; the migration queue
+  // drains them in the background
+  cron.schedule('30 * * * *', async () => {
+    logger.info('Queueing eligible pins for migration...');
     try {
-      await migrationWorker.run();
+      await migrationWorker.enqueue('cron');
     } catch (error) {
       logger.error('Migration worker failed:', error);
     }
@@ -138,6 +145,41 @@ function scheduleWorkers() {
     }
   });
 
+  // Disk pressure check - unpins migrated content early above the high watermark
+  if (config.cleanup.watermark_high > 0) {
+    cron.schedule(config.cleanup.watermark_schedule, async () => {
+      try {
+        await cleanupWorker.checkDiskPressure();
+      } catch (error) {
+        logger.error('Disk pressure cleanup failed:', error);
+      }
+    });
+    logger.info(`Disk pressure cleanup enabled (high ${config.cleanup.watermark_high}%, low ${config.cleanup.watermark_low}%)`);
+  }
+
+  // Reconciliation Worker - Daily; diffs the pins table against the IPFS pinset
+  cron.schedule(config.reconcile.schedule, async () => {
+    logger.info('Running reconciliation worker...');
+    try {
+      await reconciliationWorker.run();
+    } catch (error) {
+      logger.error('Reconciliation worker failed:', error);
+    }
+  });
+
+  // Re-validation Worker - Daily; revokes valid pins the validation chain now rejects
+  if (config.revalidation.enabled) {
+    cron.schedule(config.revalidation.schedule, async () => {
+      logger.info('Running re-validation worker...');
+      try {
+        await revalidationWorker.run();
+      } catch (error) {
+        logger.error('Re-validation worker failed:', error);
+      }
+    });
+    logger.info(`Re-validation enabled (every ${config.revalidation.interval_days} days per pin, policy ${config.revalidation.policy})`);
+  }
+
   // Stats Aggregator - Every hour
   cron.schedule('0 * * * *', async () => {
     logger.info('Running stats aggregator worker...');
@@ -166,6 +208,9 @@ async function shutdown(signal) {
   logger.info(`Received ${signal}, shutting down gracefully...`);
   
   try {
+    await logFollower.stop();
+    await getMongoDBClient().disconnect();
+
     const db = getDatabase();
     await db.close();
     logger.info('Database connections closed');
@@ -195,9 +240,49 @@ async function start() {
       logger.warn('Failed to connect to IPFS. Service will start but may not function properly.');
     }
     
+    // Infrastructure nodes keep one MongoDB pool open for validation
+    if ((process.env.NODE_TYPE || 'infrastructure') === 'infrastructure' && config.mongodb.uri) {
+      try {
+        await getMongoDBClient().connect();
+      } catch (error) {
+        logger.warn('Failed to connect to MongoDB. Validation will retry on first use.');
+      }
+    }
+    
+    // Validation servers sign their responses; community nodes trust this key
+    if ((process.env.NODE_TYPE || 'infrastructure') === 'infrastructure') {
+      try {
+        logger.info(`Validation responses signed as ${getValidationSigner().trustedKeyEntry}`);
+      } catch (error) {
+        logger.error('Failed to load validation signing key:', error);
+      }
+    }
+    
+    // Runs cut short by the last shutdown will never finish
+    const interrupted = await getDatabase().markInterruptedWorkerRuns();
+    if (interrupted.changes > 0) {
+      logger.warn(`Marked ${interrupted.changes} worker runs interrupted by a restart`);
+    }
+    
     // Schedule workers
     scheduleWorkers();
     
+    // Resume migration jobs interrupted by the last shutdown
+    try {
+      await migrationWorker.start();
+    } catch (error) {
+      logger.error('Failed to start migration queue:', error);
+    }
+    
+    // Track encoder uploads from the nginx log as they happen
+    if (config.nginx.follow_uploads) {
+      try {
+        await logFollower.start();
+      } catch (error) {
+        logger.error('Failed to start log follower:', error);
+      }
+    }
+    
     // Start HTTP server
     app.listen(PORT, () => {
       logger.info(`🚀 Hot Node Service started on port ${PORT}`);
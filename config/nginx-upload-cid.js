@@ -0,0 +1,47 @@
+/**
+ * IPFS Hot Node - nginx njs body filter for encoder uploads
+ * Installed to /etc/nginx/njs/hotnode-upload-cid.js
+ *
+ * Kubo answers POST /api/v0/add with one JSON object per line, the root
+ * (or the last file added) last. The CID is only in that response body, so
+ * this keeps the last "Hash" in $upload_cid for the access log, where the
+ * hotnode log follower (NGINX_FOLLOW_UPLOADS) picks it up.
+ *
+ * Needs the njs module (libnginx-mod-http-js) and, in the http block:
+ *   js_import hotnode_upload from /etc/nginx/njs/hotnode-upload-cid.js;
+ *   js_var $upload_cid;
+ *   js_var $upload_partial;
+ */
+
+// A progress line is well under this; anything longer isn't one of Kubo's
+var MAX_PARTIAL = 4096;
+
+function takeHash(r, line) {
+  var match = line.match(/"Hash"\s*:\s*"([^"]+)"/);
+  if (match) {
+    r.variables.upload_cid = match[1];
+  }
+}
+
+/**
+ * js_body_filter for location = /api/v0/add: passes the response through
+ * unchanged, carrying a line split across chunks over to the next one
+ */
+function captureAddedCid(r, data, flags) {
+  var lines = (r.variables.upload_partial + data).split('\n');
+  var partial = lines.pop();
+
+  lines.forEach(function (line) {
+    takeHash(r, line);
+  });
+
+  if (flags.last) {
+    takeHash(r, partial);
+    partial = '';
+  }
+  r.variables.upload_partial = partial.length > MAX_PARTIAL ? '' : partial;
+
+  r.sendBuffer(data, flags);
+}
+
+export default { captureAddedCid };
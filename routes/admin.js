@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { getDatabase } = require('../utils/database');
 const { getIPFSClient } = require('../utils/ipfs');
+const { getMaintenanceWindow } = require('../utils/maintenance');
+const { ACTIONS: reconcileActions } = require('../workers/reconciliationWorker');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
 
@@ -21,6 +23,7 @@ router.get('/', async (req, res) => {
     
     // Get system status
     const enabled = (await db.getConfig('enabled')) === 'true';
+    const maintenance = await getMaintenanceWindow().getState();
     
     // Get pin stats
     const pinStats = await db.getPinStats();
@@ -56,6 +59,7 @@ router.get('/', async (req, res) => {
     
     res.render('dashboard', {
       enabled,
+      maintenance,
       pinStats,
       repoStats,
       recentEvents,
@@ -170,6 +174,32 @@ router.get('/settings', async (req, res) => {
   }
 });
 
+/**
+ * Reconciliation page - drift between the pins table and the IPFS pinset
+ */
+router.get('/reconcile', async (req, res) => {
+  try {
+    const { kind } = req.query;
+    const db = getDatabase();
+    
+    const discrepancies = await db.getDiscrepancies({ kind: kind || null, limit: 500 });
+    const counts = await db.getDiscrepancyCounts();
+    const lastRun = await db.getConfig('last_reconcile_run');
+    
+    res.render('reconcile', {
+      discrepancies,
+      counts,
+      lastRun,
+      policy: config.reconcile,
+      actions: reconcileActions,
+      filters: { kind }
+    });
+  } catch (error) {
+    logger.error('Reconcile page error:', error);
+    res.status(500).send('Error loading reconciliation: ' + error.message);
+  }
+});
+
 /**
  * Stats page
  */
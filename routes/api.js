@@ -1,9 +1,16 @@
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const { getDatabase } = require('../utils/database');
 const { getIPFSClient } = require('../utils/ipfs');
 const { getDiscordNotifier } = require('../utils/discord');
-const { getMongoDBClient } = require('../utils/mongo');
+const { getMongoDBClient, normalizeCID } = require('../utils/mongo');
+const { getQuarantine } = require('../utils/quarantine');
+const { getRetentionPolicy, pinTags } = require('../utils/retentionPolicy');
+const { formatRun } = require('../utils/workerRuns');
+const { getValidationCache } = require('../utils/validationCache');
+const { getValidationClient } = require('../utils/validationClient');
+const { getValidationSigner, verifySignedResult } = require('../utils/validationSignature');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
 
@@ -11,6 +18,9 @@ const config = require('../utils/config');
 const migrationWorker = require('../workers/migrationWorker');
 const cleanupWorker = require('../workers/cleanupWorker');
 const mongoValidator = require('../workers/mongoValidator');
+const reconciliationWorker = require('../workers/reconciliationWorker');
+const revalidationWorker = require('../workers/revalidationWorker');
+const pinDiscoveryWorker = require('../workers/pinDiscoveryWorker');
 
 /**
  * Admin API Endpoints
@@ -28,11 +38,69 @@ function requireAuth(req, res, next) {
   res.status(401).json({ error: 'Authentication required' });
 }
 
+/**
+ * Encoder authentication - require a per-encoder key from INGEST_API_KEYS
+ * Sent as "Authorization: Bearer <key>" or "X-API-Key: <key>"; sets req.encoder
+ */
+function requireEncoderKey(req, res, next) {
+  if (config.ingest.api_keys.length === 0) {
+    return res.status(503).json({ error: 'Ingest API not configured on this node' });
+  }
+
+  const header = req.get('authorization') || '';
+  const key = header.startsWith('Bearer ') ? header.slice(7).trim() : (req.get('x-api-key') || '');
+
+  // Compare digests so the check takes the same time whatever the key
+  const digest = crypto.createHash('sha256').update(key).digest();
+  const match = config.ingest.api_keys.find(entry =>
+    crypto.timingSafeEqual(crypto.createHash('sha256').update(entry.key).digest(), digest)
+  );
+
+  if (!key || !match) {
+    logger.warn(`Rejected ingest request from ${req.ip}: invalid API key`);
+    return res.status(401).json({ error: 'Valid encoder API key required' });
+  }
+
+  req.encoder = match.encoder;
+  next();
+}
+
 /**
  * PUBLIC VALIDATION API
  * Used by community nodes to validate CIDs without MongoDB access
  */
 
+/**
+ * Public key validation results are signed with
+ * GET /api/validate/key
+ * Public endpoint - no auth required
+ * trusted_key is the VALIDATION_TRUSTED_KEYS entry for community nodes
+ */
+router.get('/validate/key', (req, res) => {
+  try {
+    if ((process.env.NODE_TYPE || 'infrastructure') !== 'infrastructure') {
+      return res.status(503).json({
+        error: 'This node is not configured as a validation server',
+        message: 'Please use an infrastructure node for CID validation'
+      });
+    }
+
+    const signer = getValidationSigner();
+    res.json({
+      node_id: signer.nodeId,
+      algorithm: 'ed25519',
+      public_key: signer.publicKey,
+      trusted_key: signer.trustedKeyEntry
+    });
+  } catch (error) {
+    logger.error('Failed to load validation signing key:', error);
+    res.status(500).json({
+      error: 'Failed to load validation signing key',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Validate a single CID
  * POST /api/validate/cid/:cid
@@ -56,24 +124,22 @@ router.post('/validate/cid/:cid', async (req, res) => {
       });
     }
 
+    // Use batch validation method for efficiency (even for single CID)
     const mongo = getMongoDBClient();
-    await mongo.connect();
+    const [result] = await getValidationCache().validate([cid], cids => mongo.validateCIDs(cids), 'mongodb');
+    const valid = result?.valid || false;
+    const owner = result?.owner || null;
     
-    try {
-      // Use batch validation method for efficiency (even for single CID)
-      const results = await mongo.validateCIDs([cid]);
-      const valid = results[0]?.valid || false;
-      
-      logger.info(`CID validation request: ${cid} - ${valid ? 'VALID' : 'INVALID'}`);
-      
-      res.json({
-        cid,
-        valid,
-        timestamp: new Date().toISOString()
-      });
-    } finally {
-      await mongo.disconnect();
-    }
+    logger.info(`CID validation request: ${cid} - ${valid ? 'VALID' : 'INVALID'}${result?.cached ? ' (cached)' : ''}`);
+    
+    res.json({
+      cid,
+      valid,
+      owner,
+      cached: result?.cached || false,
+      signature: getValidationSigner().sign({ cid, valid, owner }),
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
     logger.error('CID validation failed:', error);
     res.status(500).json({ 
@@ -113,26 +179,24 @@ router.post('/validate/batch', async (req, res) => {
     }
 
     const mongo = getMongoDBClient();
-    await mongo.connect();
+    const signer = getValidationSigner();
+    const results = (await getValidationCache().validate(cids, batch => mongo.validateCIDs(batch), 'mongodb'))
+      .map(({ cid, valid, owner, cached }) => ({ cid, valid, owner, cached, signature: signer.sign({ cid, valid, owner }) }));
     
-    try {
-      const results = await mongo.validateCIDs(cids);
-      
-      const validCount = results.filter(r => r.valid).length;
-      logger.info(`Batch CID validation: ${validCount}/${cids.length} valid`);
-      
-      res.json({
-        results,
-        summary: {
-          total: cids.length,
-          valid: validCount,
-          invalid: cids.length - validCount
-        },
-        timestamp: new Date().toISOString()
-      });
-    } finally {
-      await mongo.disconnect();
-    }
+    const validCount = results.filter(r => r.valid).length;
+    const cachedCount = results.filter(r => r.cached).length;
+    logger.info(`Batch CID validation: ${validCount}/${cids.length} valid (${cachedCount} cached)`);
+    
+    res.json({
+      results,
+      summary: {
+        total: cids.length,
+        valid: validCount,
+        invalid: cids.length - validCount,
+        cached: cachedCount
+      },
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
     logger.error('Batch CID validation failed:', error);
     res.status(500).json({ 
@@ -142,6 +206,122 @@ router.post('/validate/batch', async (req, res) => {
   }
 });
 
+/**
+ * ENCODER INGEST API
+ * Encoders register their uploads directly instead of waiting for discovery
+ */
+
+/**
+ * Register an uploaded CID
+ * POST /api/ingest
+ * Body: { cid, owner, permlink, expected_size, encoder_id, pre_validated }
+ * Pins the CID if it isn't pinned yet and tracks it with that metadata;
+ * pre_validated marks it valid without waiting for the validator, but only
+ * while the pin is new or still pending, never over a validator verdict.
+ * Requires an encoder API key; encoder_id, if given, must be the key's encoder.
+ * A CID another encoder registered is refused with 409
+ */
+router.post('/ingest', requireEncoderKey, async (req, res) => {
+  try {
+    const {
+      owner,
+      permlink,
+      expected_size: expectedSize,
+      encoder_id: encoderId,
+      pre_validated: preValidated
+    } = req.body;
+    const cid = normalizeCID(req.body.cid);
+
+    if (!cid) {
+      return res.status(400).json({ error: 'Valid CID required' });
+    }
+    if (encoderId && encoderId !== req.encoder) {
+      return res.status(403).json({ error: `API key does not belong to encoder ${encoderId}` });
+    }
+    if (expectedSize != null && !(Number.isInteger(expectedSize) && expectedSize >= 0)) {
+      return res.status(400).json({ error: 'expected_size must be a non-negative integer (bytes)' });
+    }
+
+    const db = getDatabase();
+    const ipfs = getIPFSClient();
+
+    const existing = await db.getPin(cid);
+    if (existing && existing.unpinned) {
+      return res.status(409).json({
+        error: 'CID was unpinned by this node',
+        message: 'Restore it from the Pins page to track it again'
+      });
+    }
+    if (existing && existing.registered_by && existing.registered_by !== req.encoder) {
+      return res.status(409).json({
+        error: 'CID was registered by another encoder',
+        registered_by: existing.registered_by
+      });
+    }
+
+    // Pin to IPFS unless the upload already did
+    const pinnedNow = !(await ipfs.isPinned(cid));
+    if (pinnedNow) {
+      await ipfs.pinAdd(cid, true, config.ingest.pin_timeout_ms);
+    }
+    const size = await ipfs.getCIDSize(cid);
+
+    if (!existing) {
+      await db.insertPin({
+        cid,
+        size_bytes: size,
+        status: 'pending',
+        notes: `Registered by encoder ${req.encoder}`
+      });
+    }
+
+    // Keep the upload time and IP of the first registration or the log follower
+    const updates = { registered_by: req.encoder };
+    if (!existing || !existing.uploaded_at) {
+      updates.uploaded_at = new Date().toISOString();
+      updates.uploader_ip = req.ip;
+    }
+    if (owner) updates.owner = owner;
+    if (permlink) updates.permlink = permlink;
+    if (expectedSize != null) updates.expected_size_bytes = expectedSize;
+
+    const applyPreValidated = preValidated === true && (!existing || existing.status === 'pending');
+    if (applyPreValidated) {
+      updates.status = 'valid';
+      updates.validation_source = 'ingest';
+    } else if (preValidated === true) {
+      logger.warn(`Ingest: ignored pre_validated for ${cid} from ${req.encoder}, pin is already ${existing.status}`);
+    }
+    await db.updatePin(cid, updates);
+
+    const sizeMismatch = expectedSize != null && size !== expectedSize;
+    await db.logEvent({
+      event_type: 'pin_ingested',
+      severity: sizeMismatch ? 'warning' : 'info',
+      message: sizeMismatch
+        ? `Encoder ${req.encoder} registered ${cid}: size ${size} bytes, expected ${expectedSize}`
+        : `Encoder ${req.encoder} registered ${cid} (${size} bytes)`,
+      metadata: { cid, encoder: req.encoder, owner, permlink, size, expectedSize, preValidated: applyPreValidated }
+    });
+
+    logger.info(`Ingest: ${cid} registered by ${req.encoder}${pinnedNow ? ' (pinned now)' : ''}`);
+
+    const pin = await db.getPin(cid);
+    res.json({
+      success: true,
+      cid,
+      size,
+      status: pin.status,
+      created: !existing,
+      pinned: pinnedNow,
+      sizeMismatch
+    });
+  } catch (error) {
+    logger.error('Failed to ingest CID:', error);
+    res.status(500).json({ error: 'Failed to ingest CID', message: error.message });
+  }
+});
+
 /**
  * Login endpoint
  */
@@ -354,8 +534,48 @@ router.get('/pins/overdue/download', async (req, res) => {
   }
 });
 
+/**
+ * Get quarantined pins: unpinned content with a restore deadline
+ */
+router.get('/pins/quarantine', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const db = getDatabase();
+    
+    const pins = await db.getQuarantinedPins(limit);
+    
+    res.json({ pins, quarantine_hours: config.cleanup.quarantine_hours });
+  } catch (error) {
+    logger.error('Failed to get quarantined pins:', error);
+    res.status(500).json({ error: 'Failed to get quarantined pins' });
+  }
+});
+
+/**
+ * Get archived pins (invalid content removed by cleanup)
+ * Query: cid, limit
+ */
+router.get('/pins/archive', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const db = getDatabase();
+    
+    const pins = await db.getArchivedPins({ cid: req.query.cid, limit });
+    
+    res.json({ pins });
+  } catch (error) {
+    logger.error('Failed to get archived pins:', error);
+    res.status(500).json({ error: 'Failed to get archived pins' });
+  }
+});
+
 /**
  * Get specific pin details
+ * Includes per-target replication records showing where the CID lives,
+ * the latest migration job with live transfer progress while it runs,
+ * the retention rule that currently applies, and how the pin was validated
+ * (with the validation server's signature re-checked against
+ * VALIDATION_TRUSTED_KEYS, ignoring its age)
  */
 router.get('/pins/:cid', async (req, res) => {
   try {
@@ -368,7 +588,35 @@ router.get('/pins/:cid', async (req, res) => {
       return res.status(404).json({ error: 'Pin not found' });
     }
     
-    res.json({ pin });
+    const replicas = await db.getPinReplicas(cid);
+    const job = await db.getLatestMigrationJob(cid);
+    const history = await db.getMigrationHistory({ cid, limit: 20 });
+    const signature = pin.validation_signature ? JSON.parse(pin.validation_signature) : null;
+    
+    res.json({
+      pin,
+      replication: {
+        required: config.supernode.required_replicas,
+        verified: replicas.filter(replica => replica.state === 'verified').length,
+        replicas
+      },
+      migration: {
+        job: job || null,
+        progress: migrationWorker.getMigrationWorker().getProgress(cid),
+        history
+      },
+      retention: pin.unpinned
+        ? { rule: pin.retention_rule, unpinned_at: pin.unpinned_at }
+        : getRetentionPolicy().evaluate(pin),
+      validation: {
+        source: pin.validation_source,
+        detail: pin.validation_detail,
+        signature,
+        signature_check: signature
+          ? verifySignedResult({ cid, valid: signature.valid, owner: signature.owner, signature }, config.validation.trusted_keys, 0) || 'verified'
+          : null
+      }
+    });
   } catch (error) {
     logger.error('Failed to get pin:', error);
     res.status(500).json({ error: 'Failed to get pin' });
@@ -423,25 +671,113 @@ router.post('/pins/remove', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'CID required' });
     }
     
+    const pin = await getDatabase().getPin(cid);
+    if (pin?.sticky) {
+      return res.status(409).json({ error: 'Pin is sticky', message: 'Clear the sticky flag before unpinning' });
+    }
+    
+    // Unpin into quarantine so it can be restored until the deadline
+    const { restore_deadline, held } = await getQuarantine().unpin(cid, { notes: 'Manually unpinned', rule: 'manual' });
+    
+    logger.info(`Manually unpinned: ${cid}${restore_deadline ? ` (restorable until ${restore_deadline})` : ''}`);
+    
+    res.json({ success: true, cid, restore_deadline, held });
+  } catch (error) {
+    logger.error('Failed to remove pin:', error);
+    res.status(500).json({ error: 'Failed to remove pin', message: error.message });
+  }
+});
+
+/**
+ * Restore an unpinned pin: re-pin it locally, from quarantine if its blocks
+ * are still held, otherwise from the supernode targets holding its replicas
+ */
+router.post('/pins/:cid/restore', requireAuth, async (req, res) => {
+  try {
+    const { cid } = req.params;
     const db = getDatabase();
-    const ipfs = getIPFSClient();
+    const quarantine = getQuarantine();
     
-    // Unpin from IPFS
-    await ipfs.pinRm(cid);
+    const pin = await db.getPin(cid);
     
-    // Update database
-    await db.updatePin(cid, {
-      unpinned: 1,
-      unpinned_at: new Date().toISOString(),
-      notes: 'Manually unpinned'
+    if (!pin) {
+      return res.status(404).json({ error: 'Pin not found' });
+    }
+    
+    if (!pin.unpinned) {
+      return res.status(409).json({ error: 'Pin is not unpinned' });
+    }
+    
+    if (!quarantine.canRestore(pin)) {
+      return res.status(409).json({
+        error: 'Cannot restore',
+        message: 'Quarantine hold has been released and there is no supernode copy'
+      });
+    }
+    
+    const result = await quarantine.restore(pin);
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Failed to restore pin:', error);
+    res.status(500).json({ error: 'Failed to restore pin', message: error.message });
+  }
+});
+
+/**
+ * Set retention overrides on a pin
+ * Body: { sticky: true|false, tags: ["featured", ...] } (either or both)
+ * Sticky pins are never unpinned locally; tags can be matched by retention rules
+ */
+router.post('/pins/:cid/retention', requireAuth, async (req, res) => {
+  try {
+    const { cid } = req.params;
+    const { sticky, tags } = req.body;
+    const db = getDatabase();
+    
+    const pin = await db.getPin(cid);
+    
+    if (!pin) {
+      return res.status(404).json({ error: 'Pin not found' });
+    }
+    
+    const updates = {};
+    if (sticky !== undefined) {
+      updates.sticky = sticky ? 1 : 0;
+    }
+    if (tags !== undefined) {
+      if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string' && tag.trim())) {
+        return res.status(400).json({ error: 'tags must be an array of non-empty strings' });
+      }
+      updates.tags = JSON.stringify([...new Set(tags.map(tag => tag.trim()))]);
+    }
+    
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'sticky or tags required' });
+    }
+    
+    await db.updatePin(cid, updates);
+    const updated = await db.getPin(cid);
+    
+    await db.logEvent({
+      event_type: 'pin_retention',
+      severity: 'info',
+      message: `Retention overrides for ${cid}: sticky ${updated.sticky ? 'on' : 'off'}, tags [${pinTags(updated).join(', ')}]`,
+      metadata: { cid, sticky: !!updated.sticky, tags: pinTags(updated) }
     });
     
-    logger.info(`Manually unpinned: ${cid}`);
+    logger.info(`Updated retention overrides for ${cid}`);
     
-    res.json({ success: true, cid });
+    res.json({
+      success: true,
+      cid,
+      sticky: !!updated.sticky,
+      tags: pinTags(updated),
+      retention: updated.unpinned ? null : getRetentionPolicy().evaluate(updated)
+    });
   } catch (error) {
-    logger.error('Failed to remove pin:', error);
-    res.status(500).json({ error: 'Failed to remove pin', message: error.message });
+    logger.error('Failed to update retention overrides:', error);
+    res.status(500).json({ error: 'Failed to update retention overrides', message: error.message });
   }
 });
 
@@ -550,6 +886,11 @@ router.post('/pins/mark-migrated', requireAuth, async (req, res) => {
       notes: 'Verified on supernode, marked as migrated'
     });
     
+    // The manual check runs against the primary target
+    if (config.supernode.primary_target) {
+      await db.upsertPinReplica(cid, config.supernode.primary_target.name, 'verified');
+    }
+    
     logger.info(`Marked as migrated: ${cid}`);
     
     res.json({ success: true, cid });
@@ -560,69 +901,20 @@ router.post('/pins/mark-migrated', requireAuth, async (req, res) => {
 });
 
 /**
- * Scan nginx logs for uploaded pins and add them to database
- * Actually scans IPFS for all current pins and syncs with database
+ * Scan IPFS for pins missing from the database and add them
+ * Runs the pin discovery worker now and waits for it
  */
 router.post('/pins/scan-logs', requireAuth, async (req, res) => {
   try {
-    const db = getDatabase();
-    const ipfs = getIPFSClient();
-    
-    logger.info('Scanning IPFS for pins...');
+    logger.info('Manual pin discovery triggered');
     
-    // Get all pins from IPFS
-    const pinsResult = await ipfs.pinLs();
-    const ipfsPins = pinsResult.Keys || {};
-    const ipfsCIDs = Object.keys(ipfsPins);
+    const summary = await pinDiscoveryWorker.run('api');
     
-    logger.info(`Found ${ipfsCIDs.length} pins in IPFS`);
-    
-    let added = 0;
-    let alreadyExists = 0;
-    const errors = [];
-    
-    // Process each CID
-    for (const cid of ipfsCIDs) {
-      try {
-        // Check if already in database
-        const existing = await db.getPin(cid);
-        
-        if (existing) {
-          alreadyExists++;
-          continue;
-        }
-        
-        // Get size
-        const size = await ipfs.getCIDSize(cid);
-        
-        // Add to database
-        await db.insertPin({
-          cid,
-          size_bytes: size,
-          status: 'pending',
-          notes: 'Discovered from IPFS pin scan'
-        });
-        
-        added++;
-        logger.info(`Added pin from IPFS scan: ${cid}`);
-        
-      } catch (error) {
-        errors.push(`${cid}: ${error.message}`);
-        logger.error(`Failed to process CID ${cid}:`, error);
-      }
+    if (summary.skipped) {
+      return res.status(409).json({ error: 'Pin discovery already running', message: 'A pin scan is already running, try again when it finishes' });
     }
     
-    const summary = {
-      success: true,
-      scanned: ipfsCIDs.length,
-      added,
-      alreadyExists,
-      errors: errors.slice(0, 5)
-    };
-    
-    logger.info('IPFS pin scan complete:', summary);
-    
-    res.json(summary);
+    res.json({ success: true, ...summary });
   } catch (error) {
     logger.error('Failed to scan IPFS pins:', error);
     res.status(500).json({ error: 'Failed to scan IPFS pins', message: error.message });
@@ -631,6 +923,7 @@ router.post('/pins/scan-logs', requireAuth, async (req, res) => {
 
 /**
  * Trigger migration for specific pin
+ * Queues a migration job; the migration queue picks it up in the background
  */
 router.post('/pins/migrate', requireAuth, async (req, res) => {
   try {
@@ -654,67 +947,24 @@ router.post('/pins/migrate', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Pin already migrated', message: 'This pin is already marked as migrated' });
     }
     
+    if (pin.dead_letter_state) {
+      return res.status(400).json({ error: 'Pin is dead-lettered', message: 'Requeue this pin from the dead-letter list to retry migration' });
+    }
+    
+    if (pin.status === 'revoked') {
+      return res.status(400).json({ error: 'Pin is revoked', message: `Re-validation revoked this pin: ${pin.validation_detail || 'rejected'}` });
+    }
+    
     logger.info(`Manual migration triggered for ${cid}`);
     
-    // Respond immediately and process in background
+    const queued = await worker.enqueuePin(cid, 'manual');
+    
     res.json({ 
       success: true, 
       cid,
-      message: 'Migration started in background. Check pin status in a few moments.'
-    });
-    
-    // Process migration in background (don't await)
-    setImmediate(async () => {
-      try {
-        // First, check if pin already exists on supernode
-        const alreadyPinned = await worker.verifySupernodePin(cid);
-        
-        if (alreadyPinned) {
-          // Pin already exists on supernode, just mark as migrated
-          logger.info(`Pin already exists on supernode: ${cid}`);
-          
-          await db.updatePin(cid, {
-            migrated: 1,
-            migrated_at: new Date().toISOString(),
-            notes: 'Already pinned on supernode (manual check)'
-          });
-          
-          logger.info(`✓ Marked as migrated (already existed): ${cid}`);
-        } else {
-          // Pin doesn't exist, add it to supernode
-          logger.info(`Migrating: ${cid} (${(pin.size_bytes / (1024 * 1024)).toFixed(2)}MB)`);
-          await worker.pinToSupernode(cid, pin.size_bytes);
-          
-          // Wait a moment for pin to propagate
-          await worker.sleep(2000);
-          
-          // Verify pin exists on supernode
-          const verified = await worker.verifySupernodePin(cid);
-          
-          if (verified) {
-            // Update database
-            await db.updatePin(cid, {
-              migrated: 1,
-              migrated_at: new Date().toISOString(),
-              notes: 'Manually migrated'
-            });
-            
-            logger.info(`✓ Successfully migrated manually: ${cid}`);
-          } else {
-            throw new Error('Supernode verification failed after pinning');
-          }
-        }
-      } catch (migrationError) {
-        // Update retry count
-        const newRetryCount = (pin.retry_count || 0) + 1;
-        await db.updatePin(cid, {
-          retry_count: newRetryCount,
-          last_retry_at: new Date().toISOString(),
-          notes: `Manual migration failed: ${migrationError.message}`
-        });
-        
-        logger.error(`✗ Manual migration failed for ${cid}:`, migrationError.message);
-      }
+      message: queued
+        ? 'Migration queued. Check pin status in a few moments.'
+        : 'Migration already queued for this pin.'
     });
   } catch (error) {
     logger.error('Failed to start migration:', error);
@@ -722,29 +972,234 @@ router.post('/pins/migrate', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Set or clear the "migrate next" boost for a pin
+ * A boosted pin is queued (if eligible) and jumps ahead of all unboosted jobs
+ * Body: { cid: "Qm...", boost: true|false }
+ */
+router.post('/pins/priority', requireAuth, async (req, res) => {
+  try {
+    const { cid } = req.body;
+    const boost = req.body.boost !== false;
+    
+    if (!cid) {
+      return res.status(400).json({ error: 'CID required' });
+    }
+    
+    const db = getDatabase();
+    const worker = migrationWorker.getMigrationWorker();
+    
+    const pin = await db.getPin(cid);
+    if (!pin) {
+      return res.status(404).json({ error: 'Pin not found' });
+    }
+    
+    if (boost && (pin.migrated || pin.unpinned || pin.dead_letter_state || pin.status !== 'valid')) {
+      return res.status(400).json({ error: 'Pin cannot be migrated', message: 'Only valid, unmigrated pins can be boosted' });
+    }
+    
+    await db.updatePin(cid, { priority_boost: boost ? 1 : 0 });
+    
+    if (boost) {
+      await worker.enqueuePin(cid, 'manual');
+    } else {
+      await worker.rescoreQueue(cid);
+    }
+    
+    await db.logEvent({
+      event_type: 'migration_priority',
+      severity: 'info',
+      message: `${boost ? 'Boosted' : 'Cleared boost for'} ${cid}`,
+      metadata: { cid, boost }
+    });
+    
+    res.json({
+      success: true,
+      cid,
+      boost,
+      message: boost ? 'Pin will migrate next.' : 'Boost cleared.'
+    });
+  } catch (error) {
+    logger.error('Failed to set migration priority:', error);
+    res.status(500).json({ error: 'Failed to set migration priority', message: error.message });
+  }
+});
+
 /**
  * Trigger immediate migration run
+ * Queues all eligible pins onto the migration queue
  */
 router.post('/migration/run', requireAuth, async (req, res) => {
   try {
     logger.info('Manual migration triggered');
     
-    // Run migration worker asynchronously
-    migrationWorker.run()
-      .then(result => {
-        logger.info('Manual migration completed:', result);
-      })
-      .catch(error => {
-        logger.error('Manual migration failed:', error);
-      });
+    const worker = migrationWorker.getMigrationWorker();
+    const queued = await worker.enqueueEligible('api');
     
-    res.json({ success: true, message: 'Migration started' });
+    res.json({ success: true, message: `Migration started (${queued} pins queued)`, queued });
   } catch (error) {
     logger.error('Failed to start migration:', error);
     res.status(500).json({ error: 'Failed to start migration' });
   }
 });
 
+/**
+ * Preview what the next migration runs would do (dry run)
+ * Reads only; with check_supernode=true, targets are queried with read-only pin/ls
+ * Query: runs (default 1), limit (default 100), check_supernode
+ */
+router.get('/migration/plan', requireAuth, async (req, res) => {
+  try {
+    const runs = Math.min(Math.max(parseInt(req.query.runs, 10) || 1, 1), 168);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    const checkSupernode = req.query.check_supernode === 'true';
+    
+    const plan = await migrationWorker.getMigrationWorker().plan({ runs, limit, checkSupernode });
+    
+    res.json(plan);
+  } catch (error) {
+    logger.error('Failed to build migration plan:', error);
+    res.status(500).json({ error: 'Failed to build migration plan', message: error.message });
+  }
+});
+
+/**
+ * Get migration history, one entry per transfer attempt to a target
+ * Query: cid, result (success|already_pinned|failure), limit
+ */
+router.get('/migration/history', async (req, res) => {
+  try {
+    const { cid, result } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const db = getDatabase();
+    
+    const history = await db.getMigrationHistory({ cid, result, limit });
+    
+    res.json({ history });
+  } catch (error) {
+    logger.error('Failed to get migration history:', error);
+    res.status(500).json({ error: 'Failed to get migration history' });
+  }
+});
+
+/**
+ * Get migration queue state
+ * Query: state (queued|running|verifying|done|failed), limit
+ */
+router.get('/migration/queue', async (req, res) => {
+  try {
+    const { state, limit = 50 } = req.query;
+    const db = getDatabase();
+    
+    const counts = await db.getMigrationJobCounts();
+    const jobs = await db.getMigrationJobs(state || null, parseInt(limit, 10));
+    
+    res.json({
+      // Every state getMigrationJobCounts() counts; SUM is null on an empty table
+      counts: Object.fromEntries(Object.entries(counts || {}).map(([jobState, count]) => [jobState, count || 0])),
+      throttle: migrationWorker.getMigrationWorker().throttle.getState(),
+      jobs
+    });
+  } catch (error) {
+    logger.error('Failed to get migration queue:', error);
+    res.status(500).json({ error: 'Failed to get migration queue' });
+  }
+});
+
+/**
+ * List dead-lettered pins (migration gave up after MIGRATION_MAX_RETRIES)
+ */
+router.get('/migration/dead-letter', async (req, res) => {
+  try {
+    const { limit = 100 } = req.query;
+    const db = getDatabase();
+    
+    const pins = await db.getDeadLetteredPins(parseInt(limit, 10));
+    
+    res.json({ pins });
+  } catch (error) {
+    logger.error('Failed to list dead-lettered pins:', error);
+    res.status(500).json({ error: 'Failed to list dead-lettered pins' });
+  }
+});
+
+/**
+ * Requeue dead-lettered pins with a fresh retry budget
+ * Body: { cid: "Qm..." } or { cids: ["Qm...", ...] }
+ */
+router.post('/migration/dead-letter/requeue', requireAuth, async (req, res) => {
+  try {
+    const cids = req.body.cids || (req.body.cid ? [req.body.cid] : []);
+    
+    if (!Array.isArray(cids) || cids.length === 0) {
+      return res.status(400).json({ error: 'CID required' });
+    }
+    
+    const db = getDatabase();
+    const worker = migrationWorker.getMigrationWorker();
+    let requeued = 0;
+    
+    for (const cid of cids) {
+      const result = await db.requeueDeadLetteredPin(cid);
+      if (result.changes > 0) {
+        await worker.enqueuePin(cid, 'manual');
+        requeued++;
+      }
+    }
+    
+    await db.logEvent({
+      event_type: 'migration_dead_letter',
+      severity: 'info',
+      message: `Requeued ${requeued} dead-lettered pins`,
+      metadata: { cids }
+    });
+    
+    logger.info(`Requeued ${requeued} dead-lettered pins`);
+    
+    res.json({ success: true, requeued });
+  } catch (error) {
+    logger.error('Failed to requeue dead-lettered pins:', error);
+    res.status(500).json({ error: 'Failed to requeue pins', message: error.message });
+  }
+});
+
+/**
+ * Abandon dead-lettered pins: stop migrating them and drop them from the list
+ * The local copy is kept; it can still be unpinned manually
+ * Body: { cid: "Qm..." } or { cids: ["Qm...", ...] }
+ */
+router.post('/migration/dead-letter/abandon', requireAuth, async (req, res) => {
+  try {
+    const cids = req.body.cids || (req.body.cid ? [req.body.cid] : []);
+    
+    if (!Array.isArray(cids) || cids.length === 0) {
+      return res.status(400).json({ error: 'CID required' });
+    }
+    
+    const db = getDatabase();
+    let abandoned = 0;
+    
+    for (const cid of cids) {
+      const result = await db.abandonDeadLetteredPin(cid);
+      abandoned += result.changes;
+    }
+    
+    await db.logEvent({
+      event_type: 'migration_dead_letter',
+      severity: 'warning',
+      message: `Abandoned migration of ${abandoned} dead-lettered pins`,
+      metadata: { cids }
+    });
+    
+    logger.info(`Abandoned ${abandoned} dead-lettered pins`);
+    
+    res.json({ success: true, abandoned });
+  } catch (error) {
+    logger.error('Failed to abandon dead-lettered pins:', error);
+    res.status(500).json({ error: 'Failed to abandon pins', message: error.message });
+  }
+});
+
 /**
  * Trigger MongoDB validation of pending pins
  */
@@ -753,7 +1208,7 @@ router.post('/validators/mongo', requireAuth, async (req, res) => {
     logger.info('Manual MongoDB validation triggered');
     
     // Run validator worker asynchronously
-    mongoValidator.run()
+    mongoValidator.run('api')
       .then(result => {
         logger.info('Manual MongoDB validation completed:', result);
       })
@@ -768,6 +1223,30 @@ router.post('/validators/mongo', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Trigger re-validation of valid pins that are due; rejected ones are revoked
+ * per REVALIDATION_POLICY
+ */
+router.post('/validators/revalidate', requireAuth, async (req, res) => {
+  try {
+    logger.info('Manual re-validation triggered');
+    
+    // Run re-validation worker asynchronously
+    revalidationWorker.run('api')
+      .then(result => {
+        logger.info(`Manual re-validation completed: ${result.skipped ? 'already running' : `${result.revoked} revoked of ${result.checked}`}`);
+      })
+      .catch(error => {
+        logger.error('Manual re-validation failed:', error);
+      });
+    
+    res.json({ success: true, message: 'Re-validation started', policy: config.revalidation.policy });
+  } catch (error) {
+    logger.error('Failed to start re-validation:', error);
+    res.status(500).json({ error: 'Failed to start re-validation' });
+  }
+});
+
 /**
  * Trigger garbage collection
  */
@@ -775,8 +1254,8 @@ router.post('/gc/run', requireAuth, async (req, res) => {
   try {
     logger.info('Manual GC triggered');
     
-    // Run cleanup worker asynchronously
-    cleanupWorker.run()
+    // Run cleanup worker asynchronously; unscheduled runs always collect
+    cleanupWorker.run('api')
       .then(result => {
         logger.info('Manual GC completed:', result);
       })
@@ -791,6 +1270,95 @@ router.post('/gc/run', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Get the retention rules, in evaluation order (configured rules, then defaults)
+ */
+router.get('/retention/rules', async (req, res) => {
+  try {
+    res.json({ rules: getRetentionPolicy().rules });
+  } catch (error) {
+    logger.error('Failed to get retention rules:', error);
+    res.status(500).json({ error: 'Failed to get retention rules' });
+  }
+});
+
+/**
+ * Get pin discrepancies found by reconciliation
+ * Query: state (open|fixed|cleared, default open), kind, limit
+ */
+router.get('/reconcile', async (req, res) => {
+  try {
+    const { state = 'open', kind } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 500, 5000);
+    const db = getDatabase();
+    
+    const discrepancies = await db.getDiscrepancies({ state, kind: kind || null, limit });
+    
+    res.json({
+      counts: await db.getDiscrepancyCounts(),
+      discrepancies,
+      policy: config.reconcile,
+      actions: reconciliationWorker.ACTIONS,
+      last_run: await db.getConfig('last_reconcile_run')
+    });
+  } catch (error) {
+    logger.error('Failed to get discrepancies:', error);
+    res.status(500).json({ error: 'Failed to get discrepancies', message: error.message });
+  }
+});
+
+/**
+ * Run reconciliation now
+ * Waits for the run; auto-fix policies apply as on the scheduled run
+ */
+router.post('/reconcile/run', requireAuth, async (req, res) => {
+  try {
+    logger.info('Manual reconciliation triggered');
+    
+    const summary = await reconciliationWorker.run('api');
+    
+    res.json({ success: true, summary });
+  } catch (error) {
+    logger.error('Failed to run reconciliation:', error);
+    res.status(500).json({ error: 'Failed to run reconciliation', message: error.message });
+  }
+});
+
+/**
+ * Fix open discrepancies in bulk
+ * Body: { ids: [1, 2, ...], action: "mark_unpinned" }
+ * Each discrepancy is rechecked first; ones that no longer hold are cleared
+ */
+router.post('/reconcile/fix', requireAuth, async (req, res) => {
+  try {
+    const { ids, action } = req.body;
+    
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'Discrepancy ids required' });
+    }
+    
+    const allActions = Object.values(reconciliationWorker.ACTIONS).flat();
+    if (!allActions.includes(action)) {
+      return res.status(400).json({ error: `Action must be one of: ${allActions.join(', ')}` });
+    }
+    
+    const result = await reconciliationWorker.fix(ids.map(id => parseInt(id, 10)), action, 'api');
+    
+    const db = getDatabase();
+    await db.logEvent({
+      event_type: 'reconciliation',
+      severity: result.failed > 0 ? 'warning' : 'info',
+      message: `Manually fixed ${result.fixed} discrepancies (${action})`,
+      metadata: { action, ids, ...result }
+    });
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Failed to fix discrepancies:', error);
+    res.status(500).json({ error: 'Failed to fix discrepancies', message: error.message });
+  }
+});
+
 /**
  * Get traffic stats
  */
@@ -813,6 +1381,19 @@ router.get('/stats/:period', async (req, res) => {
   }
 });
 
+/**
+ * Success rate and average transfer speed for a migration stats summary
+ */
+function migrationRates(summary) {
+  const attempts = (summary?.total_success || 0) + (summary?.total_failures || 0);
+  const transferMs = summary?.total_transfer_ms || 0;
+  
+  return {
+    success_rate: attempts > 0 ? (summary.total_success / attempts) * 100 : null,
+    avg_speed_bps: transferMs > 0 ? Math.round(summary.total_bytes_migrated / (transferMs / 1000)) : null
+  };
+}
+
 /**
  * Get comprehensive stats summary
  * Returns aggregated stats for 7, 30, and 90 day periods
@@ -840,13 +1421,18 @@ router.get('/stats/summary/all', async (req, res) => {
     // Get recent GC logs
     const gcLogs = await db.getRecentGCLogs(10);
     
+    // Validation cache since startup and the MongoDB connection
+    const validationCache = await getValidationCache().getStats();
+    
     res.json({
       pins: {
         total: pinStats.total || 0,
         pending: pinStats.pending || 0,
+        validation_unavailable: pinStats.validation_unavailable || 0,
         pending_migration: pinStats.pending_migration || 0,
         migrated: pinStats.migrated || 0,
         invalid: pinStats.invalid || 0,
+        revoked: pinStats.revoked || 0,
         overdue: pinStats.overdue || 0
       },
       migration: {
@@ -854,19 +1440,22 @@ router.get('/stats/summary/all', async (req, res) => {
           success: migration7?.total_success || 0,
           failures: migration7?.total_failures || 0,
           bytes_migrated: migration7?.total_bytes_migrated || 0,
-          max_retries: migration7?.total_max_retries || 0
+          max_retries: migration7?.total_max_retries || 0,
+          ...migrationRates(migration7)
         },
         days_30: {
           success: migration30?.total_success || 0,
           failures: migration30?.total_failures || 0,
           bytes_migrated: migration30?.total_bytes_migrated || 0,
-          max_retries: migration30?.total_max_retries || 0
+          max_retries: migration30?.total_max_retries || 0,
+          ...migrationRates(migration30)
         },
         days_90: {
           success: migration90?.total_success || 0,
           failures: migration90?.total_failures || 0,
           bytes_migrated: migration90?.total_bytes_migrated || 0,
-          max_retries: migration90?.total_max_retries || 0
+          max_retries: migration90?.total_max_retries || 0,
+          ...migrationRates(migration90)
         }
       },
       cleanup: {
@@ -905,6 +1494,17 @@ router.get('/stats/summary/all', async (req, res) => {
         memory_max: systemMetrics?.max_memory_used || 0,
         disk_avg: systemMetrics?.avg_disk || 0
       },
+      validation: {
+        cache: validationCache,
+        mongodb: getMongoDBClient().getStatus(),
+        // Circuit state per validation server, when the api provider is in use
+        servers: config.validation.providers.includes('api') ? getValidationClient().getStatus() : null,
+        revalidation: {
+          enabled: config.revalidation.enabled,
+          policy: config.revalidation.policy,
+          last_run: await db.getConfig('last_revalidation_run')
+        }
+      },
       gc_history: gcLogs
     });
   } catch (error) {
@@ -986,6 +1586,53 @@ router.get('/events', async (req, res) => {
   }
 });
 
+/**
+ * Get worker run history, newest first
+ * Query: worker (cleanup, migration, validator, revalidation, discovery, reconciliation, stats, health),
+ * status (running, success, partial, failed, interrupted), limit, offset
+ */
+router.get('/runs', async (req, res) => {
+  try {
+    const { worker, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const db = getDatabase();
+    
+    const runs = await db.getWorkerRuns({ worker: worker || null, status: status || null, limit, offset });
+    
+    res.json({ runs: runs.map(formatRun), limit, offset });
+  } catch (error) {
+    logger.error('Failed to get worker runs:', error);
+    res.status(500).json({ error: 'Failed to get worker runs', message: error.message });
+  }
+});
+
+/**
+ * Get one worker run with its full error list and the CIDs it touched
+ * Query: action (only items with this action), limit (items, default 1000)
+ */
+router.get('/runs/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 1000, 10000);
+    const db = getDatabase();
+    
+    const run = formatRun(await db.getWorkerRun(id));
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    
+    res.json({
+      run,
+      item_counts: await db.getWorkerRunItemCounts(id),
+      items: await db.getWorkerRunItems(id, { action: req.query.action || null, limit })
+    });
+  } catch (error) {
+    logger.error('Failed to get worker run:', error);
+    res.status(500).json({ error: 'Failed to get worker run', message: error.message });
+  }
+});
+
 /**
  * Get GC logs
  */
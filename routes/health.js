@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { getDatabase } = require('../utils/database');
 const { getIPFSClient } = require('../utils/ipfs');
+const { getMaintenanceWindow } = require('../utils/maintenance');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
 
@@ -10,6 +11,11 @@ const config = require('../utils/config');
  * 
  * Used by Traffic Director to determine if hot node is healthy
  * and ready to receive uploads
+ *
+ * status is "active", "disabled", or "maintenance" while GC or another heavy
+ * job runs; the Traffic Director should route new uploads elsewhere until the
+ * node reports active again. With MAINTENANCE_HEALTH_MODE=disabled the window
+ * is reported as enabled: false instead, for directors that only read enabled.
  */
 
 router.get('/', async (req, res) => {
@@ -30,7 +36,18 @@ router.get('/', async (req, res) => {
     }
     
     // Get enabled status
-    const enabled = (await db.getConfig('enabled')) === 'true';
+    let enabled = (await db.getConfig('enabled')) === 'true';
+    const maintenance = await getMaintenanceWindow().getState();
+    
+    let status = enabled ? 'active' : 'disabled';
+    if (enabled && maintenance.active) {
+      if (config.maintenance.health_mode === 'disabled') {
+        enabled = false;
+        status = 'disabled';
+      } else {
+        status = 'maintenance';
+      }
+    }
     
     // Get pin stats
     const pinStats = await db.getPinStats();
@@ -64,6 +81,12 @@ router.get('/', async (req, res) => {
     // Health response
     const health = {
       enabled,
+      status,
+      maintenance: maintenance.active ? {
+        reasons: maintenance.reasons,
+        since: maintenance.since,
+        until: maintenance.until
+      } : null,
       timestamp: new Date().toISOString(),
       disk_usage_percent: diskUsagePercent,
       bandwidth_24h: bandwidth24h,
@@ -122,6 +145,7 @@ router.get('/status', async (req, res) => {
         enabled: (await db.getConfig('enabled')) === 'true',
         version: '1.0.0'
       },
+      maintenance: await getMaintenanceWindow().getState(),
       ipfs: ipfsInfo ? {
         id: ipfsInfo.ID,
         addresses: ipfsInfo.Addresses
@@ -3,7 +3,7 @@ const path = require('path');
 const fs = require('fs');
 
 const DB_PATH = path.join(__dirname, '../database/hotnode.db');
-const SCHEMA_VERSION = 2; // Increment when schema changes
+const SCHEMA_VERSION = 23; // Increment when schema changes
 
 // Ensure database directory exists
 const dbDir = path.dirname(DB_PATH);
@@ -26,6 +26,31 @@ CREATE TABLE IF NOT EXISTS pins (
     unpinned_at DATETIME,
     retry_count INTEGER DEFAULT 0,
     last_retry_at DATETIME,
+    next_attempt_at DATETIME,
+    dead_letter_state TEXT,
+    dead_lettered_at DATETIME,
+    deep_verify_status TEXT,
+    deep_verified_at DATETIME,
+    deep_verify_details TEXT,
+    priority_boost INTEGER DEFAULT 0,
+    last_served_at DATETIME,
+    quarantine_until DATETIME,
+    quarantine_held BOOLEAN DEFAULT 0,
+    restored_at DATETIME,
+    sticky BOOLEAN DEFAULT 0,
+    tags TEXT,
+    owner TEXT,
+    validation_source TEXT,
+    validation_detail TEXT,
+    validation_signature TEXT,
+    revalidated_at DATETIME,
+    revoked_at DATETIME,
+    retention_rule TEXT,
+    uploaded_at DATETIME,
+    uploader_ip TEXT,
+    registered_by TEXT,
+    permlink TEXT,
+    expected_size_bytes INTEGER,
     notes TEXT
 );
 
@@ -52,6 +77,9 @@ CREATE TABLE IF NOT EXISTS gc_logs (
     run_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     duration_seconds INTEGER,
     freed_bytes INTEGER,
+    keys_removed INTEGER,
+    aborted BOOLEAN DEFAULT 0,
+    triggered_by TEXT,
     error TEXT
 );
 
@@ -76,6 +104,7 @@ CREATE INDEX IF NOT EXISTS idx_events_type ON events(event_type, timestamp);
 CREATE INDEX IF NOT EXISTS idx_events_severity ON events(severity, timestamp);
 
 -- Migration statistics table: daily summaries
+-- Superseded by migration_history; kept for days recorded before it existed
 CREATE TABLE IF NOT EXISTS migration_stats (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     date DATE NOT NULL UNIQUE,
@@ -116,6 +145,201 @@ CREATE TABLE IF NOT EXISTS system_metrics (
 );
 
 CREATE INDEX IF NOT EXISTS idx_system_metrics_timestamp ON system_metrics(timestamp);
+
+-- Migration job queue: one row per migration attempt of a CID
+-- States: queued -> running -> verifying -> done | failed
+CREATE TABLE IF NOT EXISTS migration_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    cid TEXT NOT NULL,
+    state TEXT DEFAULT 'queued',
+    trigger TEXT DEFAULT 'cron',
+    attempts INTEGER DEFAULT 0,
+    error TEXT,
+    target TEXT,
+    blocks_fetched INTEGER DEFAULT 0,
+    progress_at DATETIME,
+    priority REAL DEFAULT 0,
+    priority_inputs TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    started_at DATETIME,
+    finished_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_migration_jobs_state ON migration_jobs(state, id);
+CREATE INDEX IF NOT EXISTS idx_migration_jobs_cid ON migration_jobs(cid);
+-- At most one active job per CID, so enqueueing the same pin twice is a no-op
+CREATE UNIQUE INDEX IF NOT EXISTS idx_migration_jobs_active ON migration_jobs(cid)
+    WHERE state IN ('queued', 'running', 'verifying');
+
+-- Per-target replication records: where each CID lives in cold storage
+CREATE TABLE IF NOT EXISTS pin_replicas (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    cid TEXT NOT NULL,
+    target TEXT NOT NULL,
+    state TEXT NOT NULL,
+    error TEXT,
+    verified_at DATETIME,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(cid, target)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pin_replicas_target ON pin_replicas(target, state);
+
+-- Migration history: one row per transfer attempt to a target
+-- Daily migration stats are derived from this table
+CREATE TABLE IF NOT EXISTS migration_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id INTEGER,
+    cid TEXT NOT NULL,
+    target TEXT NOT NULL,
+    bytes INTEGER DEFAULT 0,
+    duration_ms INTEGER DEFAULT 0,
+    result TEXT NOT NULL,
+    error TEXT,
+    finished_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_migration_history_finished ON migration_history(finished_at);
+CREATE INDEX IF NOT EXISTS idx_migration_history_cid ON migration_history(cid, finished_at);
+
+-- Pin archive: pins removed from the pins table (invalid content), kept for history
+CREATE TABLE IF NOT EXISTS pin_archive (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    cid TEXT NOT NULL,
+    status TEXT,
+    size_bytes INTEGER,
+    added_at DATETIME,
+    reason TEXT,
+    pin_data TEXT,
+    archived_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_pin_archive_cid ON pin_archive(cid);
+CREATE INDEX IF NOT EXISTS idx_pin_archive_archived ON pin_archive(archived_at);
+
+-- Pin discrepancies: drift between the pins table and the IPFS pinset
+-- kind: missing_locally, untracked, unpinned_but_pinned
+-- state: open, fixed (resolution is the action taken), cleared (gone on its own)
+CREATE TABLE IF NOT EXISTS pin_discrepancies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    cid TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    state TEXT NOT NULL DEFAULT 'open',
+    details TEXT,
+    detected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    resolved_at DATETIME,
+    resolution TEXT,
+    error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_pin_discrepancies_state ON pin_discrepancies(state, kind);
+CREATE INDEX IF NOT EXISTS idx_pin_discrepancies_cid ON pin_discrepancies(cid, kind, state);
+
+-- Validation cache: last validation result per CID and source (mongodb, api),
+-- until expires_at (separate TTLs for valid and invalid results)
+CREATE TABLE IF NOT EXISTS validation_cache (
+    cid TEXT NOT NULL,
+    source TEXT NOT NULL,
+    valid BOOLEAN NOT NULL,
+    owner TEXT,
+    signature TEXT,
+    checked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    PRIMARY KEY (cid, source)
+);
+
+CREATE INDEX IF NOT EXISTS idx_validation_cache_expires ON validation_cache(expires_at);
+
+-- Worker runs: one row per execution of a worker
+-- status: running, success, partial (finished with errors), failed, interrupted (by a restart)
+CREATE TABLE IF NOT EXISTS worker_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    worker TEXT NOT NULL,
+    triggered_by TEXT,
+    status TEXT NOT NULL DEFAULT 'running',
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME,
+    summary TEXT,
+    errors TEXT,
+    error_count INTEGER DEFAULT 0,
+    item_count INTEGER DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_worker_runs_worker ON worker_runs(worker, started_at);
+CREATE INDEX IF NOT EXISTS idx_worker_runs_started ON worker_runs(started_at);
+
+-- Worker run items: each CID a run touched and what it did to it
+CREATE TABLE IF NOT EXISTS worker_run_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id INTEGER NOT NULL,
+    cid TEXT NOT NULL,
+    action TEXT NOT NULL,
+    detail TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_worker_run_items_run ON worker_run_items(run_id);
+CREATE INDEX IF NOT EXISTS idx_worker_run_items_cid ON worker_run_items(cid, created_at);
+
+-- Maintenance holds: one row per job holding the maintenance window, until
+-- it exits or expires_at passes
+CREATE TABLE IF NOT EXISTS maintenance_holds (
+    id TEXT PRIMARY KEY,
+    reason TEXT NOT NULL,
+    started_at DATETIME NOT NULL,
+    expires_at DATETIME NOT NULL
+);
+`;
+
+// Columns added after a table was first released.
+// CREATE TABLE IF NOT EXISTS leaves existing tables untouched, so these are
+// added with ALTER TABLE when missing: [table, column, definition]
+const columnMigrations = [
+  ['pins', 'next_attempt_at', 'DATETIME'],
+  ['pins', 'dead_letter_state', 'TEXT'],
+  ['pins', 'dead_lettered_at', 'DATETIME'],
+  ['pins', 'deep_verify_status', 'TEXT'],
+  ['pins', 'deep_verified_at', 'DATETIME'],
+  ['pins', 'deep_verify_details', 'TEXT'],
+  ['pins', 'priority_boost', 'INTEGER DEFAULT 0'],
+  ['pins', 'last_served_at', 'DATETIME'],
+  ['pins', 'quarantine_until', 'DATETIME'],
+  ['pins', 'quarantine_held', 'BOOLEAN DEFAULT 0'],
+  ['pins', 'restored_at', 'DATETIME'],
+  ['pins', 'sticky', 'BOOLEAN DEFAULT 0'],
+  ['pins', 'tags', 'TEXT'],
+  ['pins', 'owner', 'TEXT'],
+  ['pins', 'validation_source', 'TEXT'],
+  ['pins', 'validation_detail', 'TEXT'],
+  ['pins', 'validation_signature', 'TEXT'],
+  ['pins', 'revalidated_at', 'DATETIME'],
+  ['pins', 'revoked_at', 'DATETIME'],
+  ['pins', 'retention_rule', 'TEXT'],
+  ['pins', 'uploaded_at', 'DATETIME'],
+  ['pins', 'uploader_ip', 'TEXT'],
+  ['pins', 'registered_by', 'TEXT'],
+  ['pins', 'permlink', 'TEXT'],
+  ['pins', 'expected_size_bytes', 'INTEGER'],
+  ['gc_logs', 'keys_removed', 'INTEGER'],
+  ['gc_logs', 'aborted', 'BOOLEAN DEFAULT 0'],
+  ['gc_logs', 'triggered_by', 'TEXT'],
+  ['migration_jobs', 'target', 'TEXT'],
+  ['migration_jobs', 'blocks_fetched', 'INTEGER DEFAULT 0'],
+  ['migration_jobs', 'progress_at', 'DATETIME'],
+  ['migration_jobs', 'priority', 'REAL DEFAULT 0'],
+  ['migration_jobs', 'priority_inputs', 'TEXT'],
+  ['validation_cache', 'signature', 'TEXT']
+];
+
+// Indexes on migrated columns, created once the columns exist
+const migrationIndexes = `
+CREATE INDEX IF NOT EXISTS idx_pins_next_attempt ON pins(next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_pins_dead_letter ON pins(dead_letter_state);
+CREATE INDEX IF NOT EXISTS idx_migration_jobs_priority ON migration_jobs(state, priority DESC, id);
+CREATE INDEX IF NOT EXISTS idx_pins_last_served ON pins(migrated, unpinned, last_served_at);
+CREATE INDEX IF NOT EXISTS idx_pins_quarantine ON pins(quarantine_held, quarantine_until);
+CREATE INDEX IF NOT EXISTS idx_pins_revalidation ON pins(status, unpinned, revalidated_at);
 `;
 
 // Default configuration values
@@ -125,12 +349,85 @@ const defaultConfig = [
   ['migration_batch_size', '10'],
   ['migration_start_days', '4'],
   ['log_parse_offset', '0'],
+  ['log_parse_inode', ''],
   ['last_gc_run', ''],
   ['last_migration_run', ''],
   ['last_stats_run', ''],
   ['schema_version', SCHEMA_VERSION.toString()]
 ];
 
+/**
+ * Drop a validation_cache keyed by CID alone (schema 22 and older) so the
+ * schema recreates it keyed by CID and source; it only holds cached results
+ */
+function dropCidOnlyValidationCache(db) {
+  return new Promise((resolve, reject) => {
+    db.all('PRAGMA table_info(validation_cache)', (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      const keyColumns = rows.filter(row => row.pk > 0).map(row => row.name);
+      if (keyColumns.length !== 1) {
+        resolve();
+        return;
+      }
+
+      db.exec('DROP TABLE validation_cache;', (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        console.log('Dropped validation_cache to key it by CID and source');
+        resolve();
+      });
+    });
+  });
+}
+
+/**
+ * Add any columns from columnMigrations that an older database is missing
+ */
+function addMissingColumns(db) {
+  const byTable = {};
+  columnMigrations.forEach(([table, column, definition]) => {
+    (byTable[table] = byTable[table] || []).push([column, definition]);
+  });
+
+  return Object.entries(byTable).reduce((chain, [table, columns]) => chain.then(() => {
+    return new Promise((resolve, reject) => {
+      db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        const existing = new Set(rows.map(row => row.name));
+        const missing = columns.filter(([column]) => !existing.has(column));
+
+        const statements = missing
+          .map(([column, definition]) => `ALTER TABLE ${table} ADD COLUMN ${column} ${definition};`)
+          .join('\n');
+
+        if (!statements) {
+          resolve();
+          return;
+        }
+
+        db.exec(statements, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          missing.forEach(([column]) => console.log(`Added column ${table}.${column}`));
+          resolve();
+        });
+      });
+    });
+  }), Promise.resolve());
+}
+
 function initializeDatabase() {
   return new Promise((resolve, reject) => {
     const db = new sqlite3.Database(DB_PATH, (err) => {
@@ -142,7 +439,7 @@ function initializeDatabase() {
       console.log('Connected to SQLite database');
       
       // Execute schema
-      db.exec(schema, (err) => {
+      dropCidOnlyValidationCache(db).then(() => db.exec(schema, (err) => {
         if (err) {
           reject(err);
           return;
@@ -150,31 +447,52 @@ function initializeDatabase() {
         
         console.log('Database schema created/verified');
         
-        // Insert default configuration
-        const stmt = db.prepare('INSERT OR IGNORE INTO config (key, value) VALUES (?, ?)');
-        
-        defaultConfig.forEach(([key, value]) => {
-          stmt.run(key, value);
-        });
-        
-        stmt.finalize((err) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-          
-          console.log('Default configuration inserted');
-          
-          db.close((err) => {
+        addMissingColumns(db).then(() => {
+          db.exec(migrationIndexes, (err) => {
             if (err) {
               reject(err);
               return;
             }
-            console.log('Database initialization complete');
-            resolve();
+            
+            // Insert default configuration
+            const stmt = db.prepare('INSERT OR IGNORE INTO config (key, value) VALUES (?, ?)');
+            
+            defaultConfig.forEach(([key, value]) => {
+              stmt.run(key, value);
+            });
+            
+            stmt.finalize((err) => {
+              if (err) {
+                reject(err);
+                return;
+              }
+              
+              console.log('Default configuration inserted');
+              
+              // Existing databases keep their old default, so record the upgrade
+              db.run(
+                'UPDATE config SET value = ?, updated_at = CURRENT_TIMESTAMP WHERE key = ?',
+                [SCHEMA_VERSION.toString(), 'schema_version'],
+                (err) => {
+                  if (err) {
+                    reject(err);
+                    return;
+                  }
+                  
+                  db.close((err) => {
+                    if (err) {
+                      reject(err);
+                      return;
+                    }
+                    console.log('Database initialization complete');
+                    resolve();
+                  });
+                }
+              );
+            });
           });
-        });
-      });
+        }).catch(reject);
+      })).catch(reject);
     });
   });
 }
@@ -193,4 +511,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { initializeDatabase, DB_PATH, SCHEMA_VERSION };
+module.exports = { initializeDatabase, DB_PATH, SCHEMA_VERSION, schema };
@@ -206,6 +206,7 @@ install_dependencies() {
         build-essential \
         sqlite3 \
         nginx \
+        libnginx-mod-http-js \
         ufw \
         jq \
         certbot \
@@ -370,15 +371,24 @@ generate_nginx_config() {
     
     local CONFIG_FILE="/etc/nginx/sites-available/ipfs-hotnode"
     
+    # Body filter that logs the CID of encoder uploads (run from the project root)
+    mkdir -p /etc/nginx/njs
+    cp config/nginx-upload-cid.js /etc/nginx/njs/hotnode-upload-cid.js
+    
     # Create base configuration
     cat > "$CONFIG_FILE" <<'EOF'
 # IPFS Hot Node - nginx Configuration
 # Generated by install script
 
+# CID returned by encoder uploads (POST /api/v0/add), for the log follower
+js_import hotnode_upload from /etc/nginx/njs/hotnode-upload-cid.js;
+js_var $upload_cid;
+js_var $upload_partial;
+
 # Custom log format for IPFS gateway requests
 log_format ipfs_gateway '$remote_addr - [$time_local] "$request" '
                         '$status $body_bytes_sent "$http_user_agent" '
-                        '$request_time';
+                        '$request_time "$upload_cid"';
 
 # Rate limit zone (protects gateway abuse)
 limit_req_zone $binary_remote_addr zone=ipfs:20m rate=30r/s;
@@ -432,6 +442,23 @@ server {
     proxy_read_timeout 900s;
     send_timeout 900s;
 
+    # Encoder uploads: log the CID Kubo answers with (\$upload_cid)
+    location = /api/v0/add {
+        js_body_filter hotnode_upload.captureAddedCid;
+
+        proxy_pass http://127.0.0.1:8080;
+
+        proxy_http_version 1.1;
+        proxy_set_header Host \$host;
+        proxy_set_header X-Real-IP \$remote_addr;
+        proxy_set_header X-Forwarded-For \$proxy_add_x_forwarded_for;
+        proxy_set_header X-Forwarded-Proto \$scheme;
+
+        proxy_buffering off;
+        proxy_request_buffering off;
+        proxy_max_temp_file_size 0;
+    }
+
     location / {
         limit_req zone=ipfs burst=200 nodelay;
 
@@ -477,6 +504,23 @@ server {
     proxy_read_timeout 900s;
     send_timeout 900s;
 
+    # Encoder uploads: log the CID Kubo answers with (\$upload_cid)
+    location = /api/v0/add {
+        js_body_filter hotnode_upload.captureAddedCid;
+
+        proxy_pass http://127.0.0.1:8080;
+
+        proxy_http_version 1.1;
+        proxy_set_header Host \$host;
+        proxy_set_header X-Real-IP \$remote_addr;
+        proxy_set_header X-Forwarded-For \$proxy_add_x_forwarded_for;
+        proxy_set_header X-Forwarded-Proto \$scheme;
+
+        proxy_buffering off;
+        proxy_request_buffering off;
+        proxy_max_temp_file_size 0;
+    }
+
     location / {
         limit_req zone=ipfs burst=200 nodelay;
 
@@ -524,6 +568,23 @@ server {
     proxy_read_timeout 900s;
     send_timeout 900s;
 
+    # Encoder uploads: log the CID Kubo answers with (\$upload_cid)
+    location = /api/v0/add {
+        js_body_filter hotnode_upload.captureAddedCid;
+
+        proxy_pass http://127.0.0.1:8080;
+
+        proxy_http_version 1.1;
+        proxy_set_header Host \$host;
+        proxy_set_header X-Real-IP \$remote_addr;
+        proxy_set_header X-Forwarded-For \$proxy_add_x_forwarded_for;
+        proxy_set_header X-Forwarded-Proto \$scheme;
+
+        proxy_buffering off;
+        proxy_request_buffering off;
+        proxy_max_temp_file_size 0;
+    }
+
     location / {
         limit_req zone=ipfs burst=200 nodelay;
 
@@ -692,9 +753,16 @@ MONGODB_TIMEOUT_MS=5000
 
 EOF
     else
+        # Responses from the validation server are only accepted signed by its key
+        VALIDATION_TRUSTED_KEY=$(curl -fsS --max-time 15 "${VALIDATION_SERVER}/api/validate/key" | jq -r '.trusted_key // empty' 2>/dev/null)
+        if [ -z "$VALIDATION_TRUSTED_KEY" ]; then
+            log_warn "Could not fetch the validation server key; set VALIDATION_TRUSTED_KEYS in $INSTALL_DIR/.env before starting"
+        fi
+
         cat >> "$INSTALL_DIR/.env" <<EOF
 # Validation Server (for Community Nodes)
 VALIDATION_SERVER_URL=${VALIDATION_SERVER}
+VALIDATION_TRUSTED_KEYS=${VALIDATION_TRUSTED_KEY}
 
 # MongoDB not needed for community nodes
 # MONGODB_URI=
@@ -0,0 +1,236 @@
+/**
+ * Migration Target Adapter Test
+ *
+ * Runs each migration target adapter against a small local mock server:
+ * 1. Kubo RPC - streaming pin/add?progress=true then pin/ls, stall detection
+ * 2. Pinning Services API - request queued -> pinning -> pinned, bearer token
+ * 3. IPFS Cluster REST - peer status pinning -> pinned, basic auth
+ * 4. Failure paths - failed pin request, all cluster peers in pin_error
+ * 5. Unpin (revoked content) - each adapter drops the pin; unpinning what
+ *    isn't pinned succeeds
+ *
+ * No IPFS daemon or network access needed.
+ *
+ * Usage:
+ *   node tests/migration-targets-test.js
+ */
+
+process.env.SUPERNODE_API = process.env.SUPERNODE_API || 'http://127.0.0.1:5998';
+process.env.SUPERNODE_POLL_INTERVAL_MS = '50';
+
+const express = require('express');
+const { KuboTarget, PinningServiceTarget, ClusterTarget } = require('../utils/migrationTargets');
+
+const PORT = 5998;
+const API = `http://127.0.0.1:${PORT}`;
+const TOKEN = 'test-token';
+const FAIL_CID = 'QmFailFailFailFailFailFailFailFailFailFailFailFa';
+const STALL_CID = 'QmStallStallStallStallStallStallStallStallStallS';
+
+/**
+ * Mock server speaking all three target APIs under different prefixes
+ */
+function startMockServer() {
+  const app = express();
+  app.use(express.json());
+
+  // Kubo RPC
+  const kuboPins = new Set();
+  app.post('/kubo/api/v0/pin/add', (req, res) => {
+    const cid = req.query.arg;
+    res.setHeader('Content-Type', 'application/json');
+
+    // Like Kubo, repeat the current block count on a ticker; a stalled
+    // transfer keeps repeating the same value
+    let blocks = 0;
+    const ticker = setInterval(() => {
+      if (cid !== STALL_CID || blocks === 0) {
+        blocks++;
+      }
+      res.write(JSON.stringify({ Progress: blocks }) + '\n');
+
+      if (cid !== STALL_CID && blocks >= 5) {
+        clearInterval(ticker);
+        kuboPins.add(cid);
+        res.end(JSON.stringify({ Pins: [cid] }) + '\n');
+      }
+    }, 20);
+    res.on('close', () => clearInterval(ticker));
+  });
+  app.post('/kubo/api/v0/pin/ls', (req, res) => {
+    if (kuboPins.has(req.query.arg)) {
+      return res.json({ Keys: { [req.query.arg]: { Type: 'recursive' } } });
+    }
+    res.status(500).json({ Message: `path '${req.query.arg}' is not pinned`, Code: 0 });
+  });
+  app.post('/kubo/api/v0/pin/rm', (req, res) => {
+    if (!kuboPins.delete(req.query.arg)) {
+      return res.status(500).json({ Message: 'not pinned or pinned indirectly', Code: 0 });
+    }
+    res.json({ Pins: [req.query.arg] });
+  });
+
+  // Pinning Services API - each status poll advances the request one step
+  const requests = new Map();
+  const steps = ['queued', 'pinning', 'pinned'];
+  app.use('/psa', (req, res, next) => {
+    if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+      return res.status(401).json({ error: { reason: 'UNAUTHORIZED' } });
+    }
+    next();
+  });
+  app.get('/psa/pins', (req, res) => {
+    const statuses = (req.query.status || 'pinned').split(',');
+    const results = [...requests.values()]
+      .filter(r => r.pin.cid === req.query.cid && statuses.includes(r.status));
+    res.json({ count: results.length, results: results.slice(0, 1) });
+  });
+  app.post('/psa/pins', (req, res) => {
+    const request = {
+      requestid: `req-${requests.size + 1}`,
+      status: 'queued',
+      created: new Date().toISOString(),
+      pin: { cid: req.body.cid, name: req.body.name },
+      delegates: [],
+      info: {}
+    };
+    requests.set(request.requestid, request);
+    res.status(202).json(request);
+  });
+  app.get('/psa/pins/:requestid', (req, res) => {
+    const request = requests.get(req.params.requestid);
+    if (!request) {
+      return res.status(404).json({ error: { reason: 'NOT_FOUND' } });
+    }
+    if (request.pin.cid === FAIL_CID) {
+      request.status = 'failed';
+      request.info = { status_details: 'content not found' };
+    } else if (request.status !== 'pinned') {
+      request.status = steps[steps.indexOf(request.status) + 1];
+    }
+    res.json(request);
+  });
+  app.delete('/psa/pins/:requestid', (req, res) => {
+    if (!requests.delete(req.params.requestid)) {
+      return res.status(404).json({ error: { reason: 'NOT_FOUND' } });
+    }
+    res.status(202).end();
+  });
+
+  // IPFS Cluster REST - the second peer finishes after a couple of polls
+  const clusterPins = new Map();
+  app.use('/cluster', (req, res, next) => {
+    const expected = 'Basic ' + Buffer.from('admin:secret').toString('base64');
+    if (req.headers.authorization !== expected) {
+      return res.status(401).json({ code: 401, message: 'Unauthorized' });
+    }
+    next();
+  });
+  app.post('/cluster/pins/:cid', (req, res) => {
+    clusterPins.set(req.params.cid, 0);
+    res.json({ cid: req.params.cid, name: req.query.name, replication_factor_min: -1 });
+  });
+  app.get('/cluster/pins/:cid', (req, res) => {
+    const { cid } = req.params;
+    if (!clusterPins.has(cid)) {
+      return res.status(404).json({ code: 404, message: 'pin not found' });
+    }
+    const polls = clusterPins.get(cid) + 1;
+    clusterPins.set(cid, polls);
+
+    const failing = cid === FAIL_CID;
+    res.json({
+      cid,
+      peer_map: {
+        peerA: { status: failing ? 'pin_error' : 'pinning', error: failing ? 'context deadline exceeded' : '' },
+        peerB: { status: failing ? 'pin_error' : (polls >= 2 ? 'pinned' : 'pin_queued'), error: '' }
+      }
+    });
+  });
+  app.delete('/cluster/pins/:cid', (req, res) => {
+    if (!clusterPins.delete(req.params.cid)) {
+      return res.status(404).json({ code: 404, message: 'pin not found' });
+    }
+    res.json({ cid: req.params.cid });
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(PORT, '127.0.0.1', () => resolve(server));
+  });
+}
+
+let failures = 0;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) {
+    failures++;
+  }
+}
+
+async function expectFailure(label, promise) {
+  try {
+    await promise;
+    check(label, false);
+  } catch (error) {
+    check(`${label} (${error.message})`, true);
+  }
+}
+
+async function main() {
+  const server = await startMockServer();
+  const cid = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+
+  try {
+    console.log('\n📦 Kubo RPC');
+    const kubo = new KuboTarget({ name: 'kubo', api: `${API}/kubo`, type: 'kubo' });
+    check('not pinned before pin', !(await kubo.isPinned(cid)));
+    const progress = [];
+    const result = await kubo.pin(cid, { stallTimeout: 1000, onProgress: blocks => progress.push(blocks) });
+    check(`progress reported (${progress.join(', ')})`, progress.join() === '1,2,3,4,5' && result.blocks === 5);
+    check('pinned after pin', await kubo.isPinned(cid));
+    await expectFailure('stalled transfer rejects', kubo.pin(STALL_CID, { stallTimeout: 300 }));
+
+    console.log('\n📦 Pinning Services API');
+    const psa = new PinningServiceTarget({ name: 'psa', api: `${API}/psa`, type: 'psa', token: TOKEN });
+    check('not pinned before pin', !(await psa.isPinned(cid)));
+    const request = await psa.pin(cid, { timeout: 5000 });
+    check(`request ${request.requestid} reached pinned`, request.status === 'pinned');
+    check('pinned after pin', await psa.isPinned(cid));
+    const again = await psa.pin(cid, { timeout: 5000 });
+    check('existing request reused', again.requestid === request.requestid);
+    await expectFailure('failed request rejects', psa.pin(FAIL_CID, { timeout: 5000 }));
+    const anonymous = new PinningServiceTarget({ name: 'psa', api: `${API}/psa`, type: 'psa' });
+    await expectFailure('missing token rejects', anonymous.pin(cid, { timeout: 5000 }));
+
+    console.log('\n📦 IPFS Cluster REST');
+    const cluster = new ClusterTarget({
+      name: 'cluster',
+      api: `${API}/cluster`,
+      type: 'cluster',
+      auth: { username: 'admin', password: 'secret' }
+    });
+    check('not pinned before pin', !(await cluster.isPinned(cid)));
+    await cluster.pin(cid, { timeout: 5000 });
+    check('pinned after pin', await cluster.isPinned(cid));
+    await expectFailure('all peers in pin_error rejects', cluster.pin(FAIL_CID, { timeout: 5000 }));
+
+    console.log('\n🗑️  Unpin');
+    for (const target of [kubo, psa, cluster]) {
+      await target.unpin(cid);
+      check(`${target.type}: not pinned after unpin`, !(await target.isPinned(cid)));
+      await target.unpin(cid);
+      check(`${target.type}: unpinning again succeeds`, true);
+    }
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n${failures === 0 ? '🎉 All adapter checks passed' : `💥 ${failures} check(s) failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('❌ Test crashed:', error.message);
+  process.exit(1);
+});
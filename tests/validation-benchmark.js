@@ -0,0 +1,288 @@
+/**
+ * CID Validation Benchmark
+ *
+ * Compares the old regex lookup with the indexed exact-match lookups in
+ * utils/mongo.js, against an in-memory stand-in for the Traffic Director
+ * database:
+ * - legacy collection with video_v2 as ipfs://CID/manifest.m3u8 (most),
+ *   ipfs://CID (some) or missing (a few)
+ * - embed-video collection with a bare manifest_cid
+ *
+ * The stand-in keeps a hash index per indexed field and counts every document
+ * a query examines, so a collection scan shows up whatever the machine.
+ * Checks that both approaches return the same verdicts and owners, that
+ * large batches are chunked, and that missing indexes are reported.
+ *
+ * No MongoDB server needed.
+ *
+ * Usage:
+ *   node tests/validation-benchmark.js [legacyDocs] [embedDocs]
+ */
+
+process.env.SUPERNODE_API = process.env.SUPERNODE_API || 'http://127.0.0.1:5998';
+process.env.MONGODB_VALIDATION_CHUNK_SIZE = process.env.MONGODB_VALIDATION_CHUNK_SIZE || '500';
+
+const { MongoDBClient } = require('../utils/mongo');
+const config = require('../utils/config');
+
+const LEGACY_DOCS = parseInt(process.argv[2] || '200000', 10);
+const EMBED_DOCS = parseInt(process.argv[3] || '50000', 10);
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+let failures = 0;
+
+function check(label, ok) {
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+  if (!ok) failures++;
+}
+
+// Deterministic PRNG so runs are comparable
+let seed = 42;
+function random() {
+  // mulberry32
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function randomCID() {
+  let cid = 'Qm';
+  for (let i = 0; i < 44; i++) {
+    cid += BASE58[Math.floor(random() * BASE58.length)];
+  }
+  return cid;
+}
+
+/**
+ * Just enough of a MongoDB collection for utils/mongo.js: find/findOne with
+ * equality, $in, $regex and $exists/$ne filters on one field, and indexes()
+ */
+class MemoryCollection {
+  constructor(docs, indexedFields = []) {
+    this.docs = docs;
+    this.indexes_ = new Map();
+    this.examined = 0;
+    this.queries = 0;
+
+    for (const field of indexedFields) {
+      const index = new Map();
+      for (const doc of docs) {
+        if (doc[field] == null) continue;
+        if (!index.has(doc[field])) index.set(doc[field], []);
+        index.get(doc[field]).push(doc);
+      }
+      this.indexes_.set(field, index);
+    }
+  }
+
+  query(filter) {
+    this.queries++;
+    const [field, condition] = Object.entries(filter)[0];
+    const index = this.indexes_.get(field);
+    const isOperator = condition !== null && typeof condition === 'object' && !(condition instanceof RegExp);
+
+    // Equality and $in can use an index
+    if (index && (!isOperator || condition.$in)) {
+      const values = isOperator ? condition.$in : [condition];
+      const matches = values.flatMap(value => index.get(value) || []);
+      this.examined += matches.length;
+      return matches;
+    }
+
+    const matches = [];
+    for (const doc of this.docs) {
+      this.examined++;
+      const value = doc[field];
+      if (!isOperator) {
+        if (value === condition) matches.push(doc);
+      } else if (condition.$in) {
+        if (condition.$in.includes(value)) matches.push(doc);
+      } else if (condition.$regex) {
+        if (typeof value === 'string' && condition.$regex.test(value)) matches.push(doc);
+      } else if (condition.$exists) {
+        if (value !== undefined && value !== condition.$ne) matches.push(doc);
+      }
+    }
+    return matches;
+  }
+
+  find(filter) {
+    return { toArray: async () => this.query(filter) };
+  }
+
+  async findOne(filter) {
+    return this.query(filter)[0] || null;
+  }
+
+  async indexes() {
+    return [{ key: { _id: 1 } }, ...[...this.indexes_.keys()].map(field => ({ key: { [field]: 1 } }))];
+  }
+}
+
+function buildDatabase() {
+  const legacy = [];
+  const embed = [];
+  const samples = { manifest: [], bare: [], embed: [], owners: new Map() };
+
+  for (let i = 0; i < LEGACY_DOCS; i++) {
+    const cid = randomCID();
+    const owner = `user${i % 5000}`;
+    const roll = random();
+    const doc = { _id: i, owner, permlink: `video-${i}`, title: `Video ${i}`, created: new Date(1600000000000 + i * 60000) };
+    if (roll < 0.85) {
+      doc.video_v2 = `ipfs://${cid}/manifest.m3u8`;
+      if (samples.manifest.length < 2000) samples.manifest.push(cid);
+    } else if (roll < 0.95) {
+      doc.video_v2 = `ipfs://${cid}`;
+      if (samples.bare.length < 500) samples.bare.push(cid);
+    }
+    if (doc.video_v2) samples.owners.set(cid, owner);
+    legacy.push(doc);
+  }
+
+  for (let i = 0; i < EMBED_DOCS; i++) {
+    const cid = randomCID();
+    const owner = `embed${i % 2000}`;
+    embed.push({ _id: i, owner, permlink: `embed-${i}`, manifest_cid: cid, status: 'published' });
+    if (samples.embed.length < 1000) samples.embed.push(cid);
+    samples.owners.set(cid, owner);
+  }
+
+  const collections = {
+    [config.mongodb.collection_legacy]: new MemoryCollection(legacy, ['video_v2']),
+    [config.mongodb.collection_new]: new MemoryCollection(embed, ['manifest_cid'])
+  };
+
+  return {
+    db: { collection: name => collections[name] },
+    collections: Object.values(collections),
+    samples
+  };
+}
+
+/**
+ * The lookup validateCIDs used before: one regex alternation over video_v2
+ * plus $in on manifest_cid
+ */
+async function regexValidate(db, cids) {
+  const found = new Map();
+  const legacyVideos = await db.collection(config.mongodb.collection_legacy).find({
+    video_v2: { $regex: new RegExp(`^ipfs://(${cids.join('|')})(/|$)`) }
+  }).toArray();
+  legacyVideos.forEach(video => {
+    const match = video.video_v2.match(/^ipfs:\/\/([^/]+)/);
+    if (match && cids.includes(match[1])) found.set(match[1], video.owner || null);
+  });
+  const embedVideos = await db.collection(config.mongodb.collection_new).find({
+    manifest_cid: { $in: cids }
+  }).toArray();
+  embedVideos.forEach(video => found.set(video.manifest_cid, video.owner || null));
+  return cids.map(cid => ({ cid, valid: found.has(cid), owner: found.get(cid) || null }));
+}
+
+/**
+ * The lookup validateCID used before for the legacy collection: load every
+ * document with a video_v2 and compare in JS
+ */
+async function loadAllValidate(db, cid) {
+  const videos = await db.collection(config.mongodb.collection_legacy).find({
+    video_v2: { $exists: true, $ne: null }
+  }).toArray();
+  return videos.some(video => (video.video_v2.match(/^ipfs:\/\/([^/]+)/) || [])[1] === cid);
+}
+
+/**
+ * Run fn quietly (utils/mongo.js logs every call), returning its result,
+ * wall time and documents examined
+ */
+async function measure(collections, fn) {
+  const log = console.log;
+  console.log = () => {};
+  collections.forEach(collection => {
+    collection.examined = 0;
+    collection.queries = 0;
+  });
+  const started = process.hrtime.bigint();
+  try {
+    const result = await fn();
+    const ms = Number(process.hrtime.bigint() - started) / 1e6;
+    const examined = collections.reduce((sum, collection) => sum + collection.examined, 0);
+    return { result, ms, examined, queries: collections[0].queries };
+  } finally {
+    console.log = log;
+  }
+}
+
+function report(label, { ms, examined }) {
+  console.log(`   ${label.padEnd(44)} ${ms.toFixed(1).padStart(9)} ms ${String(examined).padStart(10)} docs examined`);
+}
+
+async function main() {
+  console.log(`\n📦 Building stand-in: ${LEGACY_DOCS} legacy videos, ${EMBED_DOCS} embed videos`);
+  const { db, collections, samples } = buildDatabase();
+
+  const mongo = new MongoDBClient();
+  mongo.db = db;
+  mongo.connected = true;
+
+  // A batch like /api/validate/batch gets: legacy (both URL forms), embed and unknown CIDs
+  const batch = [
+    ...samples.manifest.slice(0, 40),
+    ...samples.bare.slice(0, 20),
+    ...samples.embed.slice(0, 20),
+    ...Array.from({ length: 20 }, randomCID)
+  ];
+  const unknown = new Set(batch.slice(80));
+
+  console.log('\n⏱️  Timings');
+  const oldBatch = await measure(collections, () => regexValidate(db, batch));
+  report('regex alternation, 100 CIDs (old)', oldBatch);
+  const newBatch = await measure(collections, () => mongo.validateCIDs(batch));
+  report('exact match, 100 CIDs', newBatch);
+
+  const single = samples.manifest[1000];
+  const oldSingle = await measure(collections, () => loadAllValidate(db, single));
+  report('load whole collection, 1 CID (old validateCID)', oldSingle);
+  const newSingle = await measure(collections, () => mongo.validateCID(single));
+  report('exact match, 1 CID', newSingle);
+
+  const large = [...samples.manifest, ...samples.bare, ...samples.embed, ...Array.from({ length: 1500 }, randomCID)];
+  const newLarge = await measure(collections, () => mongo.validateCIDs(large));
+  report(`exact match, ${large.length} CIDs`, newLarge);
+
+  console.log('\n🔎 Checks');
+  check('Old and new lookups agree on every verdict and owner',
+    JSON.stringify(oldBatch.result) === JSON.stringify(newBatch.result));
+  check('Legacy manifest, bare ipfs:// and embed CIDs are valid, unknown ones are not',
+    newBatch.result.every(result => result.valid === !unknown.has(result.cid)));
+  check('Owners come from the matching video',
+    newBatch.result.filter(result => result.valid).every(result => result.owner === samples.owners.get(result.cid)));
+  check('Single CID lookups agree', oldSingle.result === true && newSingle.result === true);
+  check('Exact-match batch examines only matching documents', newBatch.examined === 80);
+  const chunks = Math.ceil(large.length / config.mongodb.validation_chunk_size);
+  check(`Large batch is looked up in ${chunks} chunks`, newLarge.queries === chunks);
+  check('Large batch finds every known CID', newLarge.result.filter(result => result.valid).length === large.length - 1500);
+
+  const { result: [variant] } = await measure(collections, () =>
+    mongo.validateCIDs([`ipfs://${samples.manifest[0]}/manifest.m3u8`])
+  );
+  check('ipfs://CID/manifest.m3u8 input is normalized', variant.valid);
+  const metadata = await mongo.getVideoMetadata(samples.bare[0]);
+  check('getVideoMetadata finds a bare ipfs:// legacy video', metadata && metadata.video_v2 === `ipfs://${samples.bare[0]}`);
+
+  check('No missing indexes reported on the indexed stand-in', (await mongo.missingIndexes()).length === 0);
+  const unindexed = new MemoryCollection([]);
+  mongo.db = { collection: () => unindexed };
+  const missing = await mongo.missingIndexes();
+  check('Missing indexes are reported on an unindexed stand-in',
+    missing.length === 2 && missing[0].endsWith('.video_v2') && missing[1].endsWith('.manifest_cid'));
+
+  console.log(failures === 0 ? '\n🎉 All checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('Benchmark failed:', error);
+  process.exit(1);
+});
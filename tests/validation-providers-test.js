@@ -0,0 +1,409 @@
+/**
+ * Validation Provider Test
+ *
+ * Runs the validation providers and chain (utils/validationProviders.js)
+ * against a small local mock server standing in for a Hive API node and the
+ * IPFS cat API:
+ * 1. List - allowlist, denylist, no opinion, unreadable file
+ * 2. Hive - post referencing the CID, missing post, post without the CID,
+ *    RPC error on one pin
+ * 3. Manifest - good signature, tampered manifest, signature copied into
+ *    another directory, unknown signer, no signature
+ * 4. Chain - first rejection wins, required agreement, failing providers,
+ *    cached providers each asking their own backend
+ * 5. Signed responses - the validation client accepts results signed by a
+ *    trusted key and rejects unsigned, stale, tampered or incomplete ones,
+ *    and everything when it has no trusted keys
+ * 6. Failover - a failing validation server is skipped once its circuit
+ *    opens and let back in after its health check passes
+ *
+ * No IPFS daemon, MongoDB or network access needed.
+ *
+ * Usage:
+ *   node tests/validation-providers-test.js
+ */
+
+process.env.SUPERNODE_API = process.env.SUPERNODE_API || 'http://127.0.0.1:5998';
+process.env.IPFS_API_URL = 'http://127.0.0.1:5998';
+process.env.VALIDATION_SERVER_URLS = 'http://127.0.0.1:5998';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const sqlite3 = require('sqlite3');
+const { Database } = require('../utils/database');
+const { schema } = require('../scripts/initDatabase');
+const { ValidationCache } = require('../utils/validationCache');
+const { ValidationChain, MongoProvider, RemoteProvider, ListProvider, HiveProvider, ManifestProvider, manifestSigningPayload } = require('../utils/validationProviders');
+const { ValidationSigner } = require('../utils/validationSignature');
+const { ValidationClient } = require('../utils/validationClient');
+
+const PORT = 5998;
+const API = `http://127.0.0.1:${PORT}`;
+
+const CID = {
+  allowed: 'QmAllowAllowAllowAllowAllowAllowAllowAllowAllow',
+  denied: 'QmDenyDenyDenyDenyDenyDenyDenyDenyDenyDenyDenyD',
+  posted: 'QmPostPostPostPostPostPostPostPostPostPostPostP',
+  signed: 'QmSignSignSignSignSignSignSignSignSignSignSignS',
+  tampered: 'QmTampTampTampTampTampTampTampTampTampTampTampT',
+  copied: 'QmCopyCopyCopyCopyCopyCopyCopyCopyCopyCopyCopyC',
+  stranger: 'QmStraStraStraStraStraStraStraStraStraStraStraS',
+  unsigned: 'QmNoSigNoSigNoSigNoSigNoSigNoSigNoSigNoSigNoSig'
+};
+
+const MANIFEST = Buffer.from('#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=800000\n480p/index.m3u8\n');
+
+const SEGMENT = Buffer.from('segment bytes');
+
+/**
+ * Stand-in for a file's CID: a hash of its content
+ */
+const fileCid = content => `bafk${crypto.createHash('sha256').update(content).digest('hex')}`;
+
+/**
+ * Directory entries for /api/v0/ls, as { name, cid }, from the files under cid
+ */
+function listDirectory(files, cid) {
+  return Object.entries(files)
+    .filter(([path]) => path.startsWith(`${cid}/`))
+    .map(([path, content]) => ({ name: path.slice(cid.length + 1), cid: fileCid(content) }));
+}
+
+/**
+ * Signature file contents and files per CID directory, signed with fresh keys
+ */
+function buildFiles() {
+  const encoder = crypto.generateKeyPairSync('ed25519');
+  const stranger = crypto.generateKeyPairSync('ed25519');
+  // What the encoder uploaded: a manifest and a segment
+  const uploaded = [
+    { name: 'manifest.m3u8', cid: fileCid(MANIFEST) },
+    { name: '480p.ts', cid: fileCid(SEGMENT) }
+  ];
+  const signature = (signer, key) => Buffer.from(JSON.stringify({
+    signer, signature: crypto.sign(null, manifestSigningPayload(uploaded, 'manifest.sig.json'), key.privateKey).toString('base64')
+  }));
+  const signedByEncoder = signature('encoder-1', encoder);
+
+  return {
+    // Raw 32-byte public key, the last bytes of the SPKI encoding
+    encoderKey: encoder.publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('base64'),
+    files: {
+      [`${CID.signed}/manifest.m3u8`]: MANIFEST,
+      [`${CID.signed}/480p.ts`]: SEGMENT,
+      [`${CID.signed}/manifest.sig.json`]: signedByEncoder,
+      [`${CID.tampered}/manifest.m3u8`]: Buffer.concat([MANIFEST, Buffer.from('ad.m3u8\n')]),
+      [`${CID.tampered}/480p.ts`]: SEGMENT,
+      [`${CID.tampered}/manifest.sig.json`]: signedByEncoder,
+      // The signed manifest and signature copied next to other content
+      [`${CID.copied}/manifest.m3u8`]: MANIFEST,
+      [`${CID.copied}/480p.ts`]: Buffer.from('other content'),
+      [`${CID.copied}/manifest.sig.json`]: signedByEncoder,
+      [`${CID.stranger}/manifest.m3u8`]: MANIFEST,
+      [`${CID.stranger}/480p.ts`]: SEGMENT,
+      [`${CID.stranger}/manifest.sig.json`]: signature('encoder-9', stranger),
+      [`${CID.unsigned}/manifest.m3u8`]: MANIFEST
+    }
+  };
+}
+
+/**
+ * Mock server speaking condenser_api.get_content, /api/v0/cat, /api/v0/ls and
+ * /api/validate/batch; batch responses are signed by signer and can be
+ * spoiled by setting app.locals.mode (unsigned, stale, tampered, partial).
+ * A second validation server under /down answers (and passes /health) only
+ * while app.locals.downHealthy is set, counting requests in app.locals.downHits
+ */
+function startMockServer(files, signer) {
+  const app = express();
+  app.use(express.json());
+
+  const posts = {
+    'alice/my-video': { author: 'alice', permlink: 'my-video', body: `Watch it: ipfs://${CID.posted}/manifest.m3u8`, json_metadata: '{}' },
+    'alice/other-video': { author: 'alice', permlink: 'other-video', body: 'Nothing here', json_metadata: '{"video":{}}' }
+  };
+  app.post('/hive', (req, res) => {
+    const [author, permlink] = req.body.params;
+    if (author === 'broken') {
+      return res.json({ jsonrpc: '2.0', id: req.body.id, error: { code: -32000, message: 'node overloaded' } });
+    }
+    // Like condenser_api, a missing post is an empty one rather than an error
+    res.json({ jsonrpc: '2.0', id: req.body.id, result: posts[`${author}/${permlink}`] || { author: '', permlink: '', body: '' } });
+  });
+
+  app.post('/api/v0/cat', (req, res) => {
+    const file = files[req.query.arg];
+    if (!file) {
+      return res.status(500).json({ Message: `no link named "${req.query.arg.split('/').pop()}" under ${req.query.arg.split('/')[0]}`, Code: 0 });
+    }
+    res.send(file);
+  });
+
+  app.post('/api/v0/ls', (req, res) => {
+    const links = listDirectory(files, req.query.arg).map(entry => ({ Name: entry.name, Hash: entry.cid, Size: 0, Type: 0 }));
+    res.json({ Objects: [{ Hash: req.query.arg, Links: links }] });
+  });
+
+  app.locals.downHits = 0;
+  app.use('/down', (req, res, next) => {
+    app.locals.downHits++;
+    if (!app.locals.downHealthy) {
+      return res.status(503).json({ error: 'down' });
+    }
+    next();
+  });
+  app.get('/down/health', (req, res) => res.json({ status: 'active' }));
+  app.get('/health', (req, res) => res.json({ status: 'active' }));
+
+  app.post(['/api/validate/batch', '/down/api/validate/batch'], (req, res) => {
+    const results = req.body.cids.map(cid => {
+      const result = { cid, valid: cid === CID.allowed, owner: cid === CID.allowed ? 'alice' : null };
+      const signature = signer.sign(result);
+      if (app.locals.mode === 'stale') {
+        signature.timestamp = new Date(Date.now() - 3600 * 1000).toISOString();
+      }
+      if (app.locals.mode === 'tampered') {
+        result.valid = true;
+      }
+      return app.locals.mode === 'unsigned' ? result : { ...result, signature };
+    });
+    const sent = app.locals.mode === 'partial' ? results.slice(1) : results;
+    res.json({ results: sent, summary: { total: sent.length, valid: sent.filter(r => r.valid).length } });
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(PORT, '127.0.0.1', () => resolve({ server, app }));
+  });
+}
+
+let failures = 0;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) {
+    failures++;
+  }
+}
+
+/**
+ * Database on an in-memory SQLite with the hotnode schema
+ */
+async function memoryDatabase() {
+  const db = new Database();
+  db.db = new sqlite3.Database(':memory:');
+  await new Promise((resolve, reject) => db.db.exec(schema, err => (err ? reject(err) : resolve())));
+  return db;
+}
+
+/**
+ * Backend answering validateCIDs from a fixed set of valid CIDs, counting lookups
+ */
+function stubBackend(valid) {
+  return {
+    asked: [],
+    async validateCIDs(cids) {
+      this.asked.push(...cids);
+      return cids.map(cid => ({ cid, valid: valid.includes(cid), owner: null }));
+    }
+  };
+}
+
+/**
+ * Provider answering from a fixed cid -> verdict map; 'throw' fails the batch
+ */
+function stubProvider(name, verdicts) {
+  return {
+    name,
+    asked: [],
+    async validate(pins) {
+      this.asked.push(...pins.map(pin => pin.cid));
+      if (verdicts === 'throw') {
+        throw new Error(`${name} is down`);
+      }
+      return new Map(pins.map(pin => [pin.cid, { verdict: verdicts[pin.cid] || 'abstain', detail: `${name} says so` }]));
+    }
+  };
+}
+
+async function main() {
+  const { encoderKey, files } = buildFiles();
+  const keyFile = path.join(os.tmpdir(), `validation-key-${process.pid}.pem`);
+  const signer = new ValidationSigner('hotnode-test', keyFile);
+  const { server, app } = await startMockServer(files, signer);
+  const listFile = path.join(os.tmpdir(), `validation-list-${process.pid}.json`);
+  fs.writeFileSync(listFile, JSON.stringify({ allow: [CID.allowed], deny: [CID.denied] }));
+
+  try {
+    console.log('\n📋 List');
+    const list = new ListProvider(listFile);
+    const listed = await list.validate([{ cid: CID.allowed }, { cid: CID.denied }, { cid: CID.posted }]);
+    check('allowlisted CID is valid', listed.get(CID.allowed).verdict === 'valid');
+    check('denylisted CID is invalid', listed.get(CID.denied).verdict === 'invalid');
+    check('unlisted CID gets no opinion', listed.get(CID.posted).verdict === 'abstain');
+    fs.writeFileSync(listFile, JSON.stringify({ deny: [CID.allowed] }));
+    check('list edits apply without a restart',
+      (await list.validate([{ cid: CID.allowed }])).get(CID.allowed).verdict === 'invalid');
+    let listError = null;
+    await new ListProvider(`${listFile}.missing`).validate([{ cid: CID.allowed }]).catch(error => { listError = error; });
+    check('unreadable list fails the batch', listError && listError.message.includes('Cannot read validation list'));
+
+    console.log('\n🐝 Hive');
+    const hive = new HiveProvider(`${API}/hive`);
+    const posted = await hive.validate([
+      { cid: CID.posted, owner: 'alice', permlink: 'my-video' },
+      { cid: CID.allowed, owner: 'alice', permlink: 'other-video' },
+      { cid: CID.denied, owner: 'alice', permlink: 'deleted' },
+      { cid: CID.signed }
+    ]);
+    check('post referencing the CID is valid, owner from the post',
+      posted.get(CID.posted).verdict === 'valid' && posted.get(CID.posted).owner === 'alice');
+    check('post not referencing the CID is invalid', posted.get(CID.allowed).verdict === 'invalid');
+    check('missing post is invalid', posted.get(CID.denied).verdict === 'invalid');
+    check('pin without owner/permlink gets no opinion', posted.get(CID.signed).verdict === 'abstain');
+    const partial = await hive.validate([
+      { cid: CID.posted, owner: 'alice', permlink: 'my-video' },
+      { cid: CID.denied, owner: 'broken', permlink: 'x' }
+    ]);
+    check('RPC error only affects its own pin',
+      partial.get(CID.posted).verdict === 'valid'
+      && partial.get(CID.denied).verdict === 'error' && partial.get(CID.denied).detail.includes('node overloaded'));
+    const lookupFailed = await new ValidationChain([hive]).validate([{ cid: CID.denied, owner: 'broken', permlink: 'x' }]);
+    check('failed lookup leaves the CID undecided', lookupFailed[0].valid === null && lookupFailed[0].detail.includes('node overloaded'));
+
+    console.log('\n✍️  Manifest');
+    const manifest = new ManifestProvider({ 'encoder-1': encoderKey }, 'manifest.sig.json');
+    const signed = await manifest.validate([CID.signed, CID.tampered, CID.copied, CID.stranger, CID.unsigned].map(cid => ({ cid })));
+    check(`signed directory is valid (${signed.get(CID.signed).detail})`, signed.get(CID.signed).verdict === 'valid');
+    check(`tampered manifest is invalid (${signed.get(CID.tampered).detail})`, signed.get(CID.tampered).verdict === 'invalid');
+    check(`signature copied into another directory is invalid (${signed.get(CID.copied).detail})`, signed.get(CID.copied).verdict === 'invalid');
+    check(`unknown signer is invalid (${signed.get(CID.stranger).detail})`, signed.get(CID.stranger).verdict === 'invalid');
+    check('CID without a signature gets no opinion', signed.get(CID.unsigned).verdict === 'abstain');
+
+    console.log('\n⛓️  Chain');
+    fs.writeFileSync(listFile, JSON.stringify({ allow: [CID.allowed], deny: [CID.denied] }));
+    const pins = [
+      { cid: CID.allowed },
+      { cid: CID.denied },
+      { cid: CID.posted, owner: 'alice', permlink: 'my-video' },
+      { cid: CID.unsigned }
+    ];
+    const chain = new ValidationChain([new ListProvider(listFile), new HiveProvider(`${API}/hive`)]);
+    const results = new Map((await chain.validate(pins)).map(result => [result.cid, result]));
+    check('allowlisted CID is decided by the list', results.get(CID.allowed).valid === true && results.get(CID.allowed).source === 'list');
+    check('denylisted CID is rejected by the list', results.get(CID.denied).valid === false && results.get(CID.denied).source === 'list');
+    check('posted CID falls through to hive', results.get(CID.posted).valid === true && results.get(CID.posted).source === 'hive');
+    check('CID no provider accepted is invalid',
+      results.get(CID.unsigned).valid === false && results.get(CID.unsigned).detail === 'no provider accepted');
+
+    const first = stubProvider('first', { [CID.allowed]: 'valid', [CID.denied]: 'valid', [CID.posted]: 'valid' });
+    const second = stubProvider('second', { [CID.allowed]: 'valid', [CID.denied]: 'invalid' });
+    const agreement = new Map((await new ValidationChain([first, second], 2).validate(pins)).map(result => [result.cid, result]));
+    check('two accepts meet a required agreement of 2',
+      agreement.get(CID.allowed).valid === true && agreement.get(CID.allowed).source === 'first+second');
+    check('a rejection wins over an earlier accept',
+      agreement.get(CID.denied).valid === false && agreement.get(CID.denied).source === 'second');
+    check('one accept of two required is invalid',
+      agreement.get(CID.posted).valid === false && agreement.get(CID.posted).detail === 'only 1 of 2 required providers accepted');
+
+    const decisive = stubProvider('decisive', { [CID.allowed]: 'valid', [CID.denied]: 'invalid' });
+    const later = stubProvider('later', {});
+    await new ValidationChain([decisive, later]).validate(pins);
+    check('decided CIDs are not sent to later providers',
+      later.asked.length === 2 && !later.asked.includes(CID.allowed) && !later.asked.includes(CID.denied));
+
+    const down = stubProvider('down', 'throw');
+    const fallback = stubProvider('fallback', { [CID.allowed]: 'valid' });
+    const outage = new Map((await new ValidationChain([down, fallback]).validate(pins)).map(result => [result.cid, result]));
+    check('a failing provider is skipped for the next one', outage.get(CID.allowed).valid === true && outage.get(CID.allowed).source === 'fallback');
+    check('CIDs left undecided after a failure stay undecided',
+      outage.get(CID.denied).valid === null && outage.get(CID.denied).detail.includes('down is down'));
+
+    const cache = new ValidationCache();
+    cache.enabled = true;
+    cache.db = await memoryDatabase();
+    const mongodb = new MongoProvider();
+    const api = new RemoteProvider();
+    mongodb.cache = cache;
+    api.cache = cache;
+    mongodb.mongo = stubBackend([CID.allowed, CID.posted]);
+    api.client = stubBackend([CID.allowed]);
+    const cachedPins = [{ cid: CID.allowed }, { cid: CID.posted }];
+    const cachedChain = new ValidationChain([mongodb, api], 2);
+    const fresh = new Map((await cachedChain.validate(cachedPins)).map(result => [result.cid, result]));
+    check('second cached provider asks its own backend after the first cached its verdicts',
+      api.client.asked.length === 2 && fresh.get(CID.posted).valid === false && fresh.get(CID.posted).source === 'api');
+    check('agreement counts both backends', fresh.get(CID.allowed).valid === true && fresh.get(CID.allowed).source === 'mongodb+api');
+    const again = new Map((await cachedChain.validate(cachedPins)).map(result => [result.cid, result]));
+    check('each provider gets back only its own cached verdicts',
+      mongodb.mongo.asked.length === 2 && api.client.asked.length === 2 &&
+      again.get(CID.posted).valid === false && again.get(CID.posted).source === 'api' && again.get(CID.posted).cached === true);
+    await cache.db.close();
+
+    console.log('\n🔏 Signed responses');
+    const client = new ValidationClient();
+    // Every rejection counts against the server; keep its circuit closed here
+    client.breakerThreshold = 100;
+    const batch = [CID.allowed, CID.denied];
+    client.trustedKeys = {};
+    let keyless = null;
+    await client.validateCIDs(batch).catch(error => { keyless = error; });
+    check('client without trusted keys rejects everything', keyless && keyless.message.includes('VALIDATION_TRUSTED_KEYS is not set'));
+    client.trustedKeys = { 'hotnode-test': signer.publicKey };
+    const verified = await client.validateCIDs(batch);
+    check('results signed by a trusted key are accepted',
+      verified.length === 2 && verified[0].valid === true && verified[0].signature.node_id === 'hotnode-test');
+    for (const [mode, reason] of [['unsigned', 'unsigned'], ['stale', 'stale'], ['tampered', 'bad signature'], ['partial', 'no result']]) {
+      app.locals.mode = mode;
+      let rejected = null;
+      await client.validateCIDs(batch).catch(error => { rejected = error; });
+      check(`${mode} response is rejected`, rejected && rejected.message.includes(reason));
+    }
+    app.locals.mode = null;
+    client.trustedKeys = { 'other-node': signer.publicKey };
+    let untrusted = null;
+    await client.validateCIDs(batch).catch(error => { untrusted = error; });
+    check('response signed by an untrusted node is rejected', untrusted && untrusted.message.includes('untrusted node'));
+
+    console.log('\n🔀 Failover');
+    const failover = new ValidationClient([`${API}/down`, API]);
+    failover.trustedKeys = { 'hotnode-test': signer.publicKey };
+    failover.breakerThreshold = 2;
+    failover.cooldownMs = 300;
+    const [downServer] = failover.endpoints;
+    const failedOver = await failover.validateCIDs(batch);
+    check('fails over to the next server', failedOver.length === 2 && downServer.state === 'closed' && downServer.failures === 1);
+    await failover.validateCIDs(batch);
+    check('circuit opens after the threshold', downServer.state === 'open');
+    const hits = app.locals.downHits;
+    await failover.validateCIDs(batch);
+    check('open circuit is skipped', app.locals.downHits === hits);
+
+    const alone = new ValidationClient([`${API}/down`]);
+    let unavailable = null;
+    await alone.validateCIDs(batch).catch(error => { unavailable = error; });
+    check('no server answering throws validation unavailable', unavailable && unavailable.message.startsWith('Validation unavailable'));
+
+    await new Promise(resolve => setTimeout(resolve, 350));
+    await failover.validateCIDs(batch);
+    check('failed health check keeps the circuit open', downServer.state === 'open' && downServer.last_error === 'health check failed');
+    await new Promise(resolve => setTimeout(resolve, 350));
+    app.locals.downHealthy = true;
+    await failover.validateCIDs(batch);
+    check('circuit closes once the health check passes', downServer.state === 'closed' && downServer.failures === 0);
+  } finally {
+    server.close();
+    fs.rmSync(listFile, { force: true });
+    fs.rmSync(keyFile, { force: true });
+  }
+
+  console.log(`\n${failures === 0 ? '🎉 All provider checks passed' : `💥 ${failures} check(s) failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('❌ Test crashed:', error.message);
+  process.exit(1);
+});
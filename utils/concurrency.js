@@ -0,0 +1,27 @@
+/**
+ * Concurrency helpers
+ *
+ * Shared by workers and providers that fan out IPFS or RPC calls but must
+ * keep a bound on how many are in flight.
+ */
+
+/**
+ * Call fn for each item with at most `limit` calls in flight
+ */
+async function forEachWithConcurrency(items, limit, fn) {
+  let next = 0;
+
+  const slot = async () => {
+    while (next < items.length) {
+      await fn(items[next++]);
+    }
+  };
+
+  const slots = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    slots.push(slot());
+  }
+  await Promise.all(slots);
+}
+
+module.exports = { forEachWithConcurrency };
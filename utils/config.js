@@ -8,6 +8,10 @@
 // Load environment variables (if not already loaded)
 require('dotenv').config();
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
 /**
  * Helper to get required env var or throw
  */
@@ -35,6 +39,247 @@ function optionalInt(key, defaultValue) {
   return value ? parseInt(value, 10) : defaultValue;
 }
 
+/**
+ * Helper to get boolean env var ("true"/"1" enable)
+ */
+function optionalBool(key, defaultValue) {
+  const value = process.env[key];
+  return value ? ['true', '1', 'yes'].includes(value.toLowerCase()) : defaultValue;
+}
+
+/**
+ * Parse SUPERNODE_TARGETS into cold-storage targets
+ * Format: comma-separated "url", "url|weight" or "url|weight|type" entries, e.g.
+ *   https://ipfs.3speak.tv|3,https://api.pinata.cloud/psa|1|psa
+ * Types: kubo (default, /api/v0 RPC), psa (Pinning Services API), cluster (IPFS Cluster REST)
+ * Credentials go in the URL userinfo: user:pass for basic auth, or :token for a bearer token.
+ * Falls back to SUPERNODE_API as a single Kubo target with weight 1.
+ * Target names (host[:port]) are stored with replication records, so keep them stable.
+ */
+function parseSupernodeTargets(value, fallbackApi) {
+  const entries = value
+    ? value.split(',').map(entry => entry.trim()).filter(Boolean)
+    : (fallbackApi ? [fallbackApi] : []);
+
+  return entries.map(entry => {
+    const [rawApi, weight, type] = entry.split('|').map(part => part.trim());
+    let url;
+    try {
+      url = new URL(rawApi);
+    } catch (error) {
+      console.error(`❌ Invalid supernode target URL: ${rawApi}`);
+      process.exit(1);
+    }
+
+    const targetType = type || 'kubo';
+    if (!['kubo', 'psa', 'cluster'].includes(targetType)) {
+      console.error(`❌ Unknown supernode target type "${targetType}" for ${url.host}`);
+      process.exit(1);
+    }
+
+    const username = decodeURIComponent(url.username);
+    const password = decodeURIComponent(url.password);
+    url.username = '';
+    url.password = '';
+
+    return {
+      name: url.host,
+      api: url.toString().replace(/\/+$/, ''),
+      weight: weight ? parseFloat(weight) : 1,
+      type: targetType,
+      auth: username ? { username, password } : null,
+      token: !username && password ? password : null
+    };
+  });
+}
+
+/**
+ * Parse MIGRATION_BANDWIDTH_WINDOWS into time-of-day budgets
+ * Format: comma-separated "start-end=bytesPerSecond" entries using local hours,
+ * e.g. "22-6=0,8-22=5000000" (unlimited at night, 5 MB/s during the day).
+ * Windows may wrap midnight; the end hour is exclusive.
+ */
+function parseBandwidthWindows(value) {
+  if (!value) {
+    return [];
+  }
+
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const match = entry.match(/^(\d{1,2})-(\d{1,2})=(\d+)$/);
+    const start = match ? parseInt(match[1], 10) : NaN;
+    const end = match ? parseInt(match[2], 10) : NaN;
+
+    if (!match || start > 23 || end > 24) {
+      console.error(`❌ Invalid bandwidth window "${entry}" (expected start-end=bytesPerSecond)`);
+      process.exit(1);
+    }
+
+    return { start, end, budget: parseInt(match[3], 10) };
+  });
+}
+
+/**
+ * Parse MIGRATION_PRIORITY_WEIGHTS, e.g. "deadline:50,age:20,popularity:20,size:10"
+ * Negative weights invert a factor (e.g. popularity:-20 migrates popular pins last)
+ */
+function parsePriorityWeights(value) {
+  const weights = { deadline: 50, age: 20, popularity: 20, size: 10 };
+  if (!value) {
+    return weights;
+  }
+
+  value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [factor, weight] = entry.split(':').map(part => part.trim());
+    if (!(factor in weights) || weight === undefined || isNaN(parseFloat(weight))) {
+      console.error(`❌ Invalid migration priority weight "${entry}" (factors: ${Object.keys(weights).join(', ')})`);
+      process.exit(1);
+    }
+    weights[factor] = parseFloat(weight);
+  });
+
+  return weights;
+}
+
+/**
+ * Parse INGEST_API_KEYS into per-encoder keys for POST /api/ingest
+ * Format: comma-separated "encoderId:key" entries, e.g. "encoder-eu-1:3f9c...,encoder-us-1:a71b..."
+ */
+function parseIngestKeys(value) {
+  if (!value) {
+    return [];
+  }
+
+  const encoders = new Set();
+  const keys = new Set();
+
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    const encoder = separator > 0 ? entry.slice(0, separator).trim() : '';
+    const key = separator > 0 ? entry.slice(separator + 1).trim() : '';
+
+    if (!encoder || key.length < 16) {
+      console.error(`❌ Invalid ingest API key entry for "${encoder || entry}" (expected encoderId:key, key at least 16 characters)`);
+      process.exit(1);
+    }
+    if (encoders.has(encoder) || keys.has(key)) {
+      console.error(`❌ Duplicate ingest API key or encoder ID "${encoder}"`);
+      process.exit(1);
+    }
+
+    encoders.add(encoder);
+    keys.add(key);
+    return { encoder, key };
+  });
+}
+
+/**
+ * Parse VALIDATION_SERVER_URLS: comma-separated base URLs, in failover order
+ * @returns {Array<string>}
+ */
+function parseValidationServers(value) {
+  const urls = value.split(',').map(url => url.trim().replace(/\/+$/, '')).filter(Boolean);
+  urls.forEach(url => {
+    try {
+      new URL(url);
+    } catch (error) {
+      console.error(`❌ Invalid validation server URL "${url}" in VALIDATION_SERVER_URLS`);
+      process.exit(1);
+    }
+  });
+  return [...new Set(urls)];
+}
+
+/**
+ * Parse a list of trusted Ed25519 public keys
+ * Format: comma-separated "keyId:base64" entries, each key the raw 32 bytes base64-encoded
+ * @returns {object} keyId -> base64 key
+ */
+function parseSignerKeys(name, value) {
+  const keys = {};
+  if (!value) {
+    return keys;
+  }
+
+  value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const keyId = separator > 0 ? entry.slice(0, separator).trim() : '';
+    const key = separator > 0 ? entry.slice(separator + 1).trim() : '';
+
+    if (!keyId || Buffer.from(key, 'base64').length !== 32 || keyId in keys) {
+      console.error(`❌ Invalid ${name} entry "${keyId || entry}" (expected unique keyId:base64 of a 32-byte Ed25519 public key)`);
+      process.exit(1);
+    }
+    keys[keyId] = key;
+  });
+
+  return keys;
+}
+
+/**
+ * Load CLEANUP_RETENTION_RULES: a JSON file holding an array of retention rules,
+ * evaluated in order by utils/retentionPolicy.js (first match wins), e.g.
+ *   { "name": "keep-featured", "match": { "tags": ["featured"] }, "action": "keep_forever" }
+ * match keys: status, owner, validation_source, tags (any of the listed values),
+ *   min_size_bytes, max_size_bytes, migrated (true/false)
+ * actions: keep_forever, unpin_now, keep_days (with days, and after: migration|added)
+ */
+function loadRetentionRules(path) {
+  if (!path) {
+    return [];
+  }
+
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Cannot read retention rules from ${path}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const matchKeys = ['status', 'owner', 'validation_source', 'tags', 'min_size_bytes', 'max_size_bytes', 'migrated'];
+  const names = new Set();
+
+  if (!Array.isArray(rules)) {
+    console.error(`❌ Retention rules in ${path} must be a JSON array`);
+    process.exit(1);
+  }
+
+  return rules.map((rule, index) => {
+    const label = rule.name || `#${index + 1}`;
+    const problems = [];
+
+    if (!rule.name || names.has(rule.name)) {
+      problems.push('needs a unique name');
+    }
+    if (!['keep_forever', 'unpin_now', 'keep_days'].includes(rule.action)) {
+      problems.push('action must be keep_forever, unpin_now or keep_days');
+    }
+    if (rule.action === 'keep_days' && !(Number.isInteger(rule.days) && rule.days >= 0)) {
+      problems.push('keep_days needs days >= 0');
+    }
+    if (rule.after && !['migration', 'added'].includes(rule.after)) {
+      problems.push('after must be migration or added');
+    }
+    const unknown = Object.keys(rule.match || {}).filter(key => !matchKeys.includes(key));
+    if (unknown.length > 0) {
+      problems.push(`unknown match keys: ${unknown.join(', ')}`);
+    }
+
+    if (problems.length > 0) {
+      console.error(`❌ Retention rule ${label}: ${problems.join('; ')}`);
+      process.exit(1);
+    }
+
+    names.add(rule.name);
+    return { match: {}, after: 'migration', ...rule };
+  });
+}
+
+const supernodeTargets = parseSupernodeTargets(
+  process.env.SUPERNODE_TARGETS,
+  process.env.SUPERNODE_TARGETS ? process.env.SUPERNODE_API : required('SUPERNODE_API')
+);
+
 /**
  * Configuration object - all values from environment variables
  */
@@ -47,9 +292,15 @@ const config = {
   },
   
   supernode: {
-    api: required('SUPERNODE_API'),
+    // Primary target, used by the manual supernode check
+    api: optional('SUPERNODE_API', supernodeTargets[0]?.api),
     verify_endpoint: '/api/v0/pin/ls',
-    timeout_ms: optionalInt('SUPERNODE_TIMEOUT_MS', 30000)
+    timeout_ms: optionalInt('SUPERNODE_TIMEOUT_MS', 30000),
+    targets: supernodeTargets,
+    // A pin counts as migrated once verified on this many targets
+    required_replicas: optionalInt('SUPERNODE_REPLICAS', 1),
+    // How often asynchronous targets (psa, cluster) are polled for pin status
+    poll_interval_ms: optionalInt('SUPERNODE_POLL_INTERVAL_MS', 5000)
   },
   
   mongodb: {
@@ -57,11 +308,69 @@ const config = {
     database: optional('MONGODB_DATABASE', 'threespeak'),
     collection_legacy: optional('MONGODB_COLLECTION_LEGACY', 'videos'),
     collection_new: optional('MONGODB_COLLECTION_NEW', 'embed-video'),
-    timeout_ms: optionalInt('MONGODB_TIMEOUT_MS', 5000)
+    timeout_ms: optionalInt('MONGODB_TIMEOUT_MS', 5000),
+    // CIDs per lookup query when validating a batch
+    validation_chunk_size: optionalInt('MONGODB_VALIDATION_CHUNK_SIZE', 500),
+    // The connection stays open between validations; pinged on this interval
+    pool_size: optionalInt('MONGODB_POOL_SIZE', 10),
+    health_check_seconds: optionalInt('MONGODB_HEALTH_CHECK_SECONDS', 30)
+  },
+  
+  validation: {
+    // Infrastructure nodes serving /api/validate to community nodes (api provider),
+    // tried in order; each gets a circuit breaker
+    server_urls: parseValidationServers(
+      process.env.VALIDATION_SERVER_URLS || process.env.VALIDATION_SERVER_URL || 'https://admin-hotipfs-1.3speak.tv'
+    ),
+    timeout_ms: optionalInt('VALIDATION_TIMEOUT_MS', 10000),
+    // Consecutive failures that open a server's circuit, and how long it is
+    // skipped before a health check lets it back in
+    breaker_threshold: optionalInt('VALIDATION_BREAKER_THRESHOLD', 3),
+    breaker_cooldown_seconds: optionalInt('VALIDATION_BREAKER_COOLDOWN_SECONDS', 60),
+    // Ordered provider chain used by the validator (see utils/validationProviders.js):
+    // mongodb, api, list, hive, manifest
+    providers: optional('VALIDATION_PROVIDERS', (process.env.NODE_TYPE || 'infrastructure') === 'infrastructure' ? 'mongodb' : 'api')
+      .split(',').map(name => name.trim()).filter(Boolean),
+    // Providers that must accept a CID before it is valid; any rejection makes it invalid
+    required_agreement: optionalInt('VALIDATION_REQUIRED_AGREEMENT', 1),
+    // JSON file: { "allow": ["Qm..."], "deny": ["Qm..."] }
+    list_file: optional('VALIDATION_LIST_FILE', ''),
+    // Hive API node for post lookups (condenser_api.get_content)
+    hive_rpc_url: optional('HIVE_RPC_URL', 'https://api.hive.blog'),
+    // Post lookups in flight at once
+    hive_concurrency: optionalInt('HIVE_RPC_CONCURRENCY', 4),
+    // Signature file inside the CID's directory, signed by one of manifest_keys
+    manifest_signature_file: optional('VALIDATION_MANIFEST_SIGNATURE_FILE', 'manifest.sig.json'),
+    manifest_keys: parseSignerKeys('VALIDATION_MANIFEST_KEYS', process.env.VALIDATION_MANIFEST_KEYS),
+    // Identity and Ed25519 key /api/validate responses are signed with (infrastructure
+    // nodes); the key file is generated on first use
+    node_id: optional('VALIDATION_NODE_ID', os.hostname()),
+    signing_key_file: optional('VALIDATION_SIGNING_KEY_FILE', path.join(__dirname, '../database/validation-signing-key.pem')),
+    // Validation servers whose signed responses the api provider accepts (community nodes)
+    trusted_keys: parseSignerKeys('VALIDATION_TRUSTED_KEYS', process.env.VALIDATION_TRUSTED_KEYS),
+    // Signed responses older (or further in the future) than this are rejected as replays
+    max_response_age_seconds: optionalInt('VALIDATION_MAX_RESPONSE_AGE_SECONDS', 300)
+  },
+  
+  validation_cache: {
+    enabled: optionalBool('VALIDATION_CACHE_ENABLED', true),
+    // Valid results rarely change; invalid ones may just be uploads MongoDB
+    // doesn't know about yet, so they expire much sooner
+    ttl_hours: optionalInt('VALIDATION_CACHE_TTL_HOURS', 24),
+    negative_ttl_minutes: optionalInt('VALIDATION_CACHE_NEGATIVE_TTL_MINUTES', 10)
+  },
+  
+  ingest: {
+    // Per-encoder keys accepted by POST /api/ingest; empty disables the endpoint
+    api_keys: parseIngestKeys(process.env.INGEST_API_KEYS),
+    // How long pinning a registered CID that isn't pinned yet may take
+    pin_timeout_ms: optionalInt('INGEST_PIN_TIMEOUT_MS', 300000)
   },
   
   nginx: {
-    log_path: optional('NGINX_LOG_PATH', '/var/log/nginx/ipfs-gateway.log')
+    log_path: optional('NGINX_LOG_PATH', '/var/log/nginx/ipfs-gateway.log'),
+    // Tail the log for encoder pin/add requests and track their CIDs right away
+    follow_uploads: optionalBool('NGINX_FOLLOW_UPLOADS', true)
   },
   
   migration: {
@@ -70,13 +379,75 @@ const config = {
     batch_size: optionalInt('MIGRATION_BATCH_SIZE', 10),
     check_interval_hours: optionalInt('MIGRATION_CHECK_INTERVAL_HOURS', 12),
     throttle_delay_ms: optionalInt('MIGRATION_THROTTLE_DELAY_MS', 2000),
-    max_retries: optionalInt('MIGRATION_MAX_RETRIES', 10)
+    max_retries: optionalInt('MIGRATION_MAX_RETRIES', 10),
+    concurrency: optionalInt('MIGRATION_CONCURRENCY', 3),
+    retry_base_minutes: optionalInt('MIGRATION_RETRY_BASE_MINUTES', 30),
+    retry_max_hours: optionalInt('MIGRATION_RETRY_MAX_HOURS', 24),
+    // A streaming pin/add fails once no new blocks arrive for this long
+    stall_timeout_minutes: optionalInt('MIGRATION_STALL_TIMEOUT_MINUTES', 10),
+    // Upload budget in bytes/sec (0 = unlimited), optionally per time-of-day window
+    bandwidth_budget_bps: optionalInt('MIGRATION_BANDWIDTH_BUDGET_BPS', 0),
+    bandwidth_windows: parseBandwidthWindows(process.env.MIGRATION_BANDWIDTH_WINDOWS),
+    // Pause migrations while gateway traffic exceeds this many bytes/sec (0 = never)
+    gateway_backoff_bps: optionalInt('MIGRATION_GATEWAY_BACKOFF_BPS', 0),
+    throttle_check_seconds: optionalInt('MIGRATION_THROTTLE_CHECK_SECONDS', 30),
+    // Queue order: weighted factors, plus a manual "migrate next" boost
+    priority_weights: parsePriorityWeights(process.env.MIGRATION_PRIORITY_WEIGHTS),
+    priority_size_order: optional('MIGRATION_PRIORITY_SIZE', 'small'),
+    priority_popularity_hours: optionalInt('MIGRATION_PRIORITY_POPULARITY_HOURS', 24),
+    priority_deadline_window_days: optionalInt('MIGRATION_PRIORITY_DEADLINE_WINDOW_DAYS', 2)
   },
   
   cleanup: {
     invalid_retention_days: optionalInt('CLEANUP_INVALID_RETENTION_DAYS', 2),
     gc_schedule: optional('CLEANUP_GC_SCHEDULE', '0 2 * * *'),
-    gc_timeout_minutes: optionalInt('CLEANUP_GC_TIMEOUT_MINUTES', 60)
+    gc_timeout_minutes: optionalInt('CLEANUP_GC_TIMEOUT_MINUTES', 60),
+    // Skip scheduled GC when nothing was unpinned since the last completed run
+    gc_skip_if_idle: optionalBool('CLEANUP_GC_SKIP_IF_IDLE', true),
+    // Unpinned content stays restorable (blocks kept from GC) for this long, 0 = off
+    quarantine_hours: optionalInt('CLEANUP_QUARANTINE_HOURS', 48),
+    // Rule-based retention (JSON file), checked before the defaults built from
+    // MIGRATION_DELETE_AFTER_DAYS and CLEANUP_INVALID_RETENTION_DAYS
+    retention_rules: loadRetentionRules(optional('CLEANUP_RETENTION_RULES', '')),
+    // Only unpin migrated content whose replicas pass dag/stat and block sampling
+    deep_verify: optionalBool('CLEANUP_DEEP_VERIFY', false),
+    deep_verify_sample_blocks: optionalInt('CLEANUP_DEEP_VERIFY_SAMPLE_BLOCKS', 8),
+    // Disk-pressure cleanup: repo usage in percent of StorageMax, 0 = disabled
+    watermark_high: optionalInt('CLEANUP_WATERMARK_HIGH', 0),
+    watermark_low: optionalInt('CLEANUP_WATERMARK_LOW', 80),
+    watermark_schedule: optional('CLEANUP_WATERMARK_SCHEDULE', '*/10 * * * *')
+  },
+  
+  discovery: {
+    // pin/ls is streamed and diffed against the pins table this many CIDs at a time
+    batch_size: optionalInt('DISCOVERY_BATCH_SIZE', 500),
+    // Concurrent object/stat calls when sizing newly discovered pins
+    size_concurrency: optionalInt('DISCOVERY_SIZE_CONCURRENCY', 8)
+  },
+  
+  reconcile: {
+    schedule: optional('RECONCILE_SCHEDULE', '45 3 * * *'),
+    // Per discrepancy kind: "report" only lists it on the dashboard, otherwise
+    // the fix applied automatically (see workers/reconciliationWorker.js)
+    missing_locally: optional('RECONCILE_MISSING_LOCALLY', 'report'),
+    untracked: optional('RECONCILE_UNTRACKED', 'track'),
+    unpinned_but_pinned: optional('RECONCILE_UNPINNED_BUT_PINNED', 'report')
+  },
+  
+  revalidation: {
+    // Valid pins not yet unpinned are checked through the validation chain again
+    // (see workers/revalidationWorker.js); rejected ones are revoked
+    enabled: optionalBool('REVALIDATION_ENABLED', true),
+    schedule: optional('REVALIDATION_SCHEDULE', '15 4 * * *'),
+    // Days between checks of the same pin, and pins checked per run
+    interval_days: optionalInt('REVALIDATION_INTERVAL_DAYS', 3),
+    batch_size: optionalInt('REVALIDATION_BATCH_SIZE', 500),
+    // What a revocation does besides stopping migration:
+    // stop_migration, unpin (also unpin locally) or remove (also ask the supernode targets to unpin)
+    policy: optional('REVALIDATION_POLICY', 'stop_migration'),
+    // A run that would revoke more pins than this revokes none and raises an alert
+    // instead (e.g. a Traffic Director outage answering "not found" for everything)
+    max_revocations: optionalInt('REVALIDATION_MAX_REVOCATIONS', 50)
   },
   
   stats: {
@@ -100,6 +471,17 @@ const config = {
     disk_critical_percent: optionalInt('HEALTH_DISK_CRITICAL_PERCENT', 90)
   },
   
+  maintenance: {
+    // How /health advertises a maintenance window: "maintenance" reports
+    // status maintenance, "disabled" reports the node as disabled
+    health_mode: optional('MAINTENANCE_HEALTH_MODE', 'maintenance'),
+    // Safety net: a window is left after this long even if the job hangs
+    timeout_minutes: optionalInt('MAINTENANCE_TIMEOUT_MINUTES', 120),
+    during_gc: optionalBool('MAINTENANCE_DURING_GC', true),
+    // Queued bytes at which a migration drain enters maintenance, 0 = never
+    migration_min_bytes: optionalInt('MAINTENANCE_MIGRATION_MIN_BYTES', 0)
+  },
+  
   logging: {
     level: optional('LOG_LEVEL', 'info'),
     file: optional('LOG_FILE', 'logs/hotnode.log'),
@@ -114,4 +496,128 @@ if (!config.supernode.api) {
   process.exit(1);
 }
 
+// Target matching SUPERNODE_API: the manual supernode check runs against it,
+// and pins migrated before replication records existed live there
+config.supernode.primary_target = config.supernode.targets.find(
+  target => target.api === config.supernode.api.replace(/\/+$/, '')
+) || null;
+
+if (config.supernode.required_replicas > config.supernode.targets.length) {
+  console.error(`❌ SUPERNODE_REPLICAS (${config.supernode.required_replicas}) exceeds the number of supernode targets (${config.supernode.targets.length})`);
+  process.exit(1);
+}
+
+if (config.cleanup.watermark_high > 0 && (
+  config.cleanup.watermark_high > 100 ||
+  config.cleanup.watermark_low <= 0 ||
+  config.cleanup.watermark_low >= config.cleanup.watermark_high
+)) {
+  console.error(`❌ Cleanup watermarks need 0 < CLEANUP_WATERMARK_LOW (${config.cleanup.watermark_low}) < CLEANUP_WATERMARK_HIGH (${config.cleanup.watermark_high}) <= 100`);
+  process.exit(1);
+}
+
+// Each chunk is one $in query per collection over every stored form of its
+// CIDs (four per CID); keep those queries and their index scans small
+if (config.mongodb.validation_chunk_size < 1 || config.mongodb.validation_chunk_size > 5000) {
+  console.error(`❌ MONGODB_VALIDATION_CHUNK_SIZE must be between 1 and 5000 (got ${config.mongodb.validation_chunk_size})`);
+  process.exit(1);
+}
+
+if (config.mongodb.pool_size < 1 || config.mongodb.health_check_seconds < 1) {
+  console.error('❌ MONGODB_POOL_SIZE and MONGODB_HEALTH_CHECK_SECONDS must be at least 1');
+  process.exit(1);
+}
+
+const validationProviders = ['mongodb', 'api', 'list', 'hive', 'manifest'];
+const unknownProviders = config.validation.providers.filter(name => !validationProviders.includes(name));
+if (config.validation.providers.length === 0 || unknownProviders.length > 0) {
+  console.error(`❌ VALIDATION_PROVIDERS must list providers from: ${validationProviders.join(', ')} (got "${config.validation.providers.join(',')}")`);
+  process.exit(1);
+}
+
+if (config.validation.required_agreement < 1 || config.validation.required_agreement > config.validation.providers.length) {
+  console.error(`❌ VALIDATION_REQUIRED_AGREEMENT must be between 1 and the number of VALIDATION_PROVIDERS (got ${config.validation.required_agreement})`);
+  process.exit(1);
+}
+
+if (config.validation.hive_concurrency < 1) {
+  console.error(`❌ HIVE_RPC_CONCURRENCY must be at least 1 (got ${config.validation.hive_concurrency})`);
+  process.exit(1);
+}
+
+if (config.validation.providers.includes('list') && !config.validation.list_file) {
+  console.error('❌ VALIDATION_LIST_FILE is required for the list validation provider');
+  process.exit(1);
+}
+
+if (config.validation.providers.includes('manifest') && Object.keys(config.validation.manifest_keys).length === 0) {
+  console.error('❌ VALIDATION_MANIFEST_KEYS is required for the manifest validation provider');
+  process.exit(1);
+}
+
+// Unsigned verdicts from a validation server would be taken on trust
+if (config.validation.providers.includes('api') && Object.keys(config.validation.trusted_keys).length === 0) {
+  console.error('❌ VALIDATION_TRUSTED_KEYS is required for the api validation provider (see GET /api/validate/key on the validation server)');
+  process.exit(1);
+}
+
+if (config.validation.server_urls.length === 0) {
+  console.error('❌ VALIDATION_SERVER_URLS must list at least one validation server');
+  process.exit(1);
+}
+
+if (config.validation.timeout_ms < 1 || config.validation.breaker_threshold < 1 || config.validation.breaker_cooldown_seconds < 1) {
+  console.error('❌ VALIDATION_TIMEOUT_MS, VALIDATION_BREAKER_THRESHOLD and VALIDATION_BREAKER_COOLDOWN_SECONDS must be at least 1');
+  process.exit(1);
+}
+
+if (config.validation.max_response_age_seconds < 1) {
+  console.error('❌ VALIDATION_MAX_RESPONSE_AGE_SECONDS must be at least 1');
+  process.exit(1);
+}
+
+if (config.validation_cache.ttl_hours < 0 || config.validation_cache.negative_ttl_minutes < 0) {
+  console.error('❌ VALIDATION_CACHE_TTL_HOURS and VALIDATION_CACHE_NEGATIVE_TTL_MINUTES must not be negative');
+  process.exit(1);
+}
+
+// Each discovery batch is one IN (...) query; stay well under SQLite's parameter limit
+if (config.discovery.batch_size < 1 || config.discovery.batch_size > 10000) {
+  console.error(`❌ DISCOVERY_BATCH_SIZE must be between 1 and 10000 (got ${config.discovery.batch_size})`);
+  process.exit(1);
+}
+
+if (config.discovery.size_concurrency < 1) {
+  console.error(`❌ DISCOVERY_SIZE_CONCURRENCY must be at least 1 (got ${config.discovery.size_concurrency})`);
+  process.exit(1);
+}
+
+const reconcileActions = {
+  missing_locally: ['mark_unpinned', 'repin'],
+  untracked: ['track', 'unpin'],
+  unpinned_but_pinned: ['mark_pinned', 'unpin']
+};
+for (const [kind, actions] of Object.entries(reconcileActions)) {
+  const policy = config.reconcile[kind];
+  if (policy !== 'report' && !actions.includes(policy)) {
+    console.error(`❌ RECONCILE_${kind.toUpperCase()} must be one of report, ${actions.join(', ')} (got "${policy}")`);
+    process.exit(1);
+  }
+}
+
+if (!['stop_migration', 'unpin', 'remove'].includes(config.revalidation.policy)) {
+  console.error(`❌ REVALIDATION_POLICY must be one of stop_migration, unpin, remove (got "${config.revalidation.policy}")`);
+  process.exit(1);
+}
+
+if (config.revalidation.interval_days < 1 || config.revalidation.batch_size < 1 || config.revalidation.max_revocations < 1) {
+  console.error('❌ REVALIDATION_INTERVAL_DAYS, REVALIDATION_BATCH_SIZE and REVALIDATION_MAX_REVOCATIONS must be at least 1');
+  process.exit(1);
+}
+
+if (!['maintenance', 'disabled'].includes(config.maintenance.health_mode)) {
+  console.error(`❌ MAINTENANCE_HEALTH_MODE must be "maintenance" or "disabled" (got "${config.maintenance.health_mode}")`);
+  process.exit(1);
+}
+
 module.exports = config;
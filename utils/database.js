@@ -79,6 +79,17 @@ class Database {
     return this.get(sql, [cid]);
   }
 
+  async getTrackedCids(cids) {
+    // Which of the given CIDs are already tracked; one query per call, so keep
+    // batches under SQLite's bound-parameter limit
+    if (cids.length === 0) {
+      return [];
+    }
+    const sql = `SELECT cid FROM pins WHERE cid IN (${cids.map(() => '?').join(', ')})`;
+    const rows = await this.all(sql, cids);
+    return rows.map(row => row.cid);
+  }
+
   async updatePin(cid, updates) {
     const fields = [];
     const values = [];
@@ -94,9 +105,36 @@ class Database {
     return this.run(sql, values);
   }
 
+  async recordPinUpload(cid, { uploaded_at, uploader_ip }) {
+    // First upload seen wins; a pin tracked before its upload line was read
+    // (e.g. by the discovery scan) gets it now
+    const sql = `
+      UPDATE pins SET uploaded_at = ?, uploader_ip = ?
+      WHERE cid = ? AND uploaded_at IS NULL
+    `;
+    return this.run(sql, [uploaded_at, uploader_ip, cid]);
+  }
+
   async getPendingPins() {
-    const sql = 'SELECT * FROM pins WHERE status = ? ORDER BY added_at ASC';
-    return this.all(sql, ['pending']);
+    // Pins awaiting a verdict, including those a validation outage left undecided
+    const sql = 'SELECT * FROM pins WHERE status IN (?, ?) ORDER BY added_at ASC';
+    return this.all(sql, ['pending', 'validation_unavailable']);
+  }
+
+  async getPinsForRevalidation(intervalDays, limit) {
+    // Valid pins still held locally whose last check (or validation, around
+    // when they were added) is intervalDays old, longest unchecked first.
+    // Pins mid-migration are left for the next pass.
+    const sql = `
+      SELECT * FROM pins
+      WHERE status = 'valid'
+      AND unpinned = 0
+      AND julianday('now') - julianday(COALESCE(revalidated_at, added_at)) >= ?
+      AND cid NOT IN (SELECT cid FROM migration_jobs WHERE state IN ('running', 'verifying'))
+      ORDER BY COALESCE(revalidated_at, added_at) ASC
+      LIMIT ?
+    `;
+    return this.all(sql, [intervalDays, limit]);
   }
 
   async getValidPinsForMigration(startDays, limit) {
@@ -104,32 +142,96 @@ class Database {
       SELECT * FROM pins 
       WHERE status = 'valid' 
       AND migrated = 0 
+      AND dead_letter_state IS NULL
+      AND (next_attempt_at IS NULL OR julianday(next_attempt_at) <= julianday('now'))
       AND julianday('now') - julianday(added_at) >= ?
-      ORDER BY added_at ASC 
+      ORDER BY priority_boost DESC, added_at ASC 
       LIMIT ?
     `;
     return this.all(sql, [startDays, limit]);
   }
 
-  async getMigratedPinsForCleanup(deleteDays) {
+  async getPinsForRetention() {
+    // Pins still held locally that the retention policy may unpin
     const sql = `
       SELECT * FROM pins 
-      WHERE status = 'valid' 
-      AND migrated = 1 
+      WHERE status IN ('valid', 'invalid')
       AND unpinned = 0
-      AND julianday('now') - julianday(added_at) >= ?
       ORDER BY added_at ASC
     `;
-    return this.all(sql, [deleteDays]);
+    return this.all(sql);
   }
 
-  async getInvalidPinsForCleanup(retentionDays) {
+  async getMigratedPinsForEarlyUnpin() {
+    // Verified migrated pins still held locally, least recently served first;
+    // pins never seen in the gateway log come first
     const sql = `
       SELECT * FROM pins 
-      WHERE status = 'invalid' 
-      AND julianday('now') - julianday(added_at) >= ?
+      WHERE status = 'valid' 
+      AND migrated = 1 
+      AND unpinned = 0
+      AND sticky = 0
+      ORDER BY last_served_at ASC, added_at ASC
+    `;
+    return this.all(sql);
+  }
+
+  async updateLastServed(lastServed) {
+    // lastServed: Map of cid -> ISO timestamp; never moves a timestamp backwards
+    const sql = `
+      UPDATE pins SET last_served_at = ?
+      WHERE cid = ? AND (last_served_at IS NULL OR last_served_at < ?)
+    `;
+
+    let updated = 0;
+    for (const [cid, servedAt] of lastServed) {
+      const result = await this.run(sql, [servedAt, cid, servedAt]);
+      updated += result.changes;
+    }
+    return updated;
+  }
+
+  // Quarantine methods
+  async getQuarantineHolds(expiredBefore = null) {
+    // Pins whose blocks are still held in MFS, earliest restore deadline first
+    const sql = `
+      SELECT * FROM pins
+      WHERE quarantine_held = 1
+      ${expiredBefore ? 'AND quarantine_until <= ?' : ''}
+      ORDER BY quarantine_until ASC
     `;
-    return this.all(sql, [retentionDays]);
+    return this.all(sql, expiredBefore ? [expiredBefore] : []);
+  }
+
+  async getQuarantinedPins(limit = 100) {
+    const sql = `
+      SELECT * FROM pins
+      WHERE unpinned = 1 AND quarantine_until IS NOT NULL
+      ORDER BY unpinned_at DESC
+      LIMIT ?
+    `;
+    return this.all(sql, [limit]);
+  }
+
+  // Pin archive methods
+  async archivePin(pin, reason) {
+    const sql = `
+      INSERT INTO pin_archive (cid, status, size_bytes, added_at, reason, pin_data)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+    await this.run(sql, [pin.cid, pin.status, pin.size_bytes, pin.added_at, reason, JSON.stringify(pin)]);
+    return this.deletePin(pin.cid);
+  }
+
+  async getArchivedPins({ cid = null, limit = 100 } = {}) {
+    const sql = `
+      SELECT id, cid, status, size_bytes, added_at, reason, archived_at
+      FROM pin_archive
+      ${cid ? 'WHERE cid = ?' : ''}
+      ORDER BY archived_at DESC, id DESC
+      LIMIT ?
+    `;
+    return this.all(sql, cid ? [cid, limit] : [limit]);
   }
 
   async deletePin(cid) {
@@ -142,15 +244,97 @@ class Database {
       SELECT 
         COUNT(*) as total,
         SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
+        SUM(CASE WHEN status = 'validation_unavailable' THEN 1 ELSE 0 END) as validation_unavailable,
         SUM(CASE WHEN status = 'valid' AND migrated = 0 THEN 1 ELSE 0 END) as pending_migration,
         SUM(CASE WHEN migrated = 1 THEN 1 ELSE 0 END) as migrated,
         SUM(CASE WHEN status = 'invalid' THEN 1 ELSE 0 END) as invalid,
-        SUM(CASE WHEN julianday('now') - julianday(added_at) > 7 AND migrated = 0 THEN 1 ELSE 0 END) as overdue
+        SUM(CASE WHEN status = 'revoked' THEN 1 ELSE 0 END) as revoked,
+        SUM(CASE WHEN dead_letter_state = 'dead' THEN 1 ELSE 0 END) as dead_lettered,
+        SUM(CASE WHEN julianday('now') - julianday(added_at) > 7 AND migrated = 0 AND status != 'revoked' AND dead_letter_state IS NOT 'abandoned' THEN 1 ELSE 0 END) as overdue
       FROM pins
     `;
     return this.get(sql);
   }
 
+  // Reconciliation methods
+  async getPinsForReconcile() {
+    const sql = `
+      SELECT cid, status, size_bytes, migrated, unpinned, quarantine_held, added_at
+      FROM pins
+    `;
+    return this.all(sql);
+  }
+
+  async recordDiscrepancy(cid, kind, details = null) {
+    // One open row per CID and kind; a repeat sighting only refreshes it
+    const existing = await this.get(
+      "SELECT id FROM pin_discrepancies WHERE cid = ? AND kind = ? AND state = 'open'",
+      [cid, kind]
+    );
+
+    if (existing) {
+      await this.run(
+        'UPDATE pin_discrepancies SET last_seen_at = CURRENT_TIMESTAMP, details = ? WHERE id = ?',
+        [details ? JSON.stringify(details) : null, existing.id]
+      );
+      return { id: existing.id, created: false };
+    }
+
+    const result = await this.run(
+      'INSERT INTO pin_discrepancies (cid, kind, details) VALUES (?, ?, ?)',
+      [cid, kind, details ? JSON.stringify(details) : null]
+    );
+    return { id: result.id, created: true };
+  }
+
+  async resolveDiscrepancy(id, state, resolution = null) {
+    const sql = `
+      UPDATE pin_discrepancies
+      SET state = ?, resolution = ?, resolved_at = CURRENT_TIMESTAMP, error = NULL
+      WHERE id = ?
+    `;
+    return this.run(sql, [state, resolution, id]);
+  }
+
+  async setDiscrepancyError(id, error) {
+    return this.run('UPDATE pin_discrepancies SET error = ? WHERE id = ?', [error, id]);
+  }
+
+  async getDiscrepancy(id) {
+    return this.get('SELECT * FROM pin_discrepancies WHERE id = ?', [id]);
+  }
+
+  async getDiscrepancies({ state = 'open', kind = null, limit = 500 } = {}) {
+    const conditions = ['state = ?'];
+    const params = [state];
+    if (kind) {
+      conditions.push('kind = ?');
+      params.push(kind);
+    }
+    params.push(limit);
+
+    const sql = `
+      SELECT d.*, p.size_bytes, p.status AS pin_status, p.migrated
+      FROM pin_discrepancies d
+      LEFT JOIN pins p ON p.cid = d.cid
+      WHERE ${conditions.map(condition => `d.${condition}`).join(' AND ')}
+      ORDER BY d.detected_at DESC, d.id DESC
+      LIMIT ?
+    `;
+    return this.all(sql, params);
+  }
+
+  async getDiscrepancyCounts() {
+    const sql = `
+      SELECT kind, COUNT(*) AS count
+      FROM pin_discrepancies
+      WHERE state = 'open'
+      GROUP BY kind
+    `;
+    const rows = await this.all(sql);
+    return Object.fromEntries(rows.map(row => [row.kind, row.count]));
+  }
+
   // Config methods
   async getConfig(key) {
     const sql = 'SELECT value FROM config WHERE key = ?';
@@ -203,19 +387,198 @@ class Database {
     return this.run(sql, [retentionDays]);
   }
 
+  // Worker run methods
+  async insertWorkerRun(worker, triggeredBy) {
+    const sql = 'INSERT INTO worker_runs (worker, triggered_by) VALUES (?, ?)';
+    const result = await this.run(sql, [worker, triggeredBy]);
+    return result.id;
+  }
+
+  async finishWorkerRun(id, { status, summary = null, errors = [], itemCount = 0 }) {
+    const sql = `
+      UPDATE worker_runs
+      SET status = ?, finished_at = CURRENT_TIMESTAMP, summary = ?, errors = ?, error_count = ?, item_count = ?
+      WHERE id = ?
+    `;
+    return this.run(sql, [
+      status,
+      summary ? JSON.stringify(summary) : null,
+      JSON.stringify(errors),
+      errors.length,
+      itemCount,
+      id
+    ]);
+  }
+
+  async deleteWorkerRun(id) {
+    await this.run('DELETE FROM worker_run_items WHERE run_id = ?', [id]);
+    return this.run('DELETE FROM worker_runs WHERE id = ?', [id]);
+  }
+
+  async addWorkerRunItem(runId, cid, action, detail = null) {
+    const sql = 'INSERT INTO worker_run_items (run_id, cid, action, detail) VALUES (?, ?, ?, ?)';
+    return this.run(sql, [runId, cid, action, detail]);
+  }
+
+  async markInterruptedWorkerRuns() {
+    // Runs still "running" at startup were cut short by the last shutdown
+    const sql = `
+      UPDATE worker_runs SET status = 'interrupted', finished_at = CURRENT_TIMESTAMP
+      WHERE status = 'running'
+    `;
+    return this.run(sql);
+  }
+
+  async getWorkerRuns({ worker = null, status = null, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (worker) {
+      conditions.push('worker = ?');
+      params.push(worker);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    params.push(limit, offset);
+
+    const sql = `
+      SELECT id, worker, triggered_by, status, started_at, finished_at, summary, error_count, item_count
+      FROM worker_runs
+      ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+      ORDER BY started_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `;
+    return this.all(sql, params);
+  }
+
+  async getWorkerRun(id) {
+    return this.get('SELECT * FROM worker_runs WHERE id = ?', [id]);
+  }
+
+  async getWorkerRunItems(runId, { action = null, limit = 1000 } = {}) {
+    const sql = `
+      SELECT cid, action, detail, created_at
+      FROM worker_run_items
+      WHERE run_id = ?
+      ${action ? 'AND action = ?' : ''}
+      ORDER BY id ASC
+      LIMIT ?
+    `;
+    return this.all(sql, action ? [runId, action, limit] : [runId, limit]);
+  }
+
+  async getWorkerRunItemCounts(runId) {
+    const sql = `
+      SELECT action, COUNT(*) AS count
+      FROM worker_run_items
+      WHERE run_id = ?
+      GROUP BY action
+    `;
+    const rows = await this.all(sql, [runId]);
+    return Object.fromEntries(rows.map(row => [row.action, row.count]));
+  }
+
+  async cleanOldWorkerRuns(retentionDays) {
+    await this.run(`
+      DELETE FROM worker_run_items
+      WHERE run_id IN (SELECT id FROM worker_runs WHERE julianday('now') - julianday(started_at) > ?)
+    `, [retentionDays]);
+    return this.run(`
+      DELETE FROM worker_runs WHERE julianday('now') - julianday(started_at) > ?
+    `, [retentionDays]);
+  }
+
+  // Validation cache methods
+  async getCachedValidations(cids, source) {
+    // Unexpired results for the given CIDs from one source; keep batches
+    // under SQLite's bound-parameter limit
+    if (cids.length === 0) {
+      return [];
+    }
+    const sql = `
+      SELECT * FROM validation_cache
+      WHERE source = ?
+      AND cid IN (${cids.map(() => '?').join(', ')})
+      AND expires_at > CURRENT_TIMESTAMP
+    `;
+    return this.all(sql, [source, ...cids]);
+  }
+
+  async cacheValidation({ cid, valid, owner, source, signature }, ttlSeconds) {
+    // signature: the validation server's signed verdict (api), kept as JSON
+    const sql = `
+      INSERT OR REPLACE INTO validation_cache (cid, valid, owner, source, signature, checked_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, datetime('now', ?))
+    `;
+    return this.run(sql, [
+      cid, valid ? 1 : 0, owner || null, source,
+      signature ? JSON.stringify(signature) : null,
+      `+${ttlSeconds} seconds`
+    ]);
+  }
+
+  async getValidationCacheCounts() {
+    const sql = `
+      SELECT
+        SUM(CASE WHEN expires_at > CURRENT_TIMESTAMP AND valid = 1 THEN 1 ELSE 0 END) AS valid,
+        SUM(CASE WHEN expires_at > CURRENT_TIMESTAMP AND valid = 0 THEN 1 ELSE 0 END) AS invalid,
+        SUM(CASE WHEN expires_at <= CURRENT_TIMESTAMP THEN 1 ELSE 0 END) AS expired
+      FROM validation_cache
+    `;
+    const row = await this.get(sql);
+    return { valid: row.valid || 0, invalid: row.invalid || 0, expired: row.expired || 0 };
+  }
+
+  async cleanExpiredValidations() {
+    return this.run('DELETE FROM validation_cache WHERE expires_at <= CURRENT_TIMESTAMP');
+  }
+
+  // Maintenance window methods
+  async getMaintenanceHolds() {
+    return this.all('SELECT * FROM maintenance_holds ORDER BY started_at ASC');
+  }
+
+  async insertMaintenanceHold({ id, reason, started_at, expires_at }) {
+    const sql = `
+      INSERT INTO maintenance_holds (id, reason, started_at, expires_at)
+      VALUES (?, ?, ?, ?)
+    `;
+    return this.run(sql, [id, reason, started_at, expires_at]);
+  }
+
+  async deleteMaintenanceHold(id) {
+    // changes is 0 if another caller already removed it
+    return this.run('DELETE FROM maintenance_holds WHERE id = ?', [id]);
+  }
+
   // GC logs methods
   async insertGCLog(log) {
     const sql = `
-      INSERT INTO gc_logs (duration_seconds, freed_bytes, error)
-      VALUES (?, ?, ?)
+      INSERT INTO gc_logs (duration_seconds, freed_bytes, keys_removed, aborted, triggered_by, error)
+      VALUES (?, ?, ?, ?, ?, ?)
     `;
     return this.run(sql, [
       log.duration_seconds || null,
       log.freed_bytes || null,
+      log.keys_removed || null,
+      log.aborted ? 1 : 0,
+      log.triggered_by || null,
       log.error || null
     ]);
   }
 
+  async getLastCompletedGC() {
+    // Aborted or failed runs may have left unpinned blocks behind
+    const sql = `
+      SELECT * FROM gc_logs
+      WHERE error IS NULL AND (aborted IS NULL OR aborted = 0)
+      ORDER BY run_at DESC, id DESC
+      LIMIT 1
+    `;
+    return this.get(sql);
+  }
+
   async getRecentGCLogs(limit = 10) {
     const sql = 'SELECT * FROM gc_logs ORDER BY run_at DESC LIMIT ?';
     return this.all(sql, [limit]);
@@ -250,30 +613,54 @@ class Database {
     return this.all(sql, [eventType, limit]);
   }
 
-  // Migration stats methods
-  async updateMigrationStats(date, updates) {
-    const fields = [];
-    const values = [];
-    
-    for (const [key, value] of Object.entries(updates)) {
-      fields.push(`${key} = ${key} + ?`);
-      values.push(value);
+  // Migration history methods
+  async addMigrationHistory({ job_id = null, cid, target, bytes = 0, duration_ms = 0, result, error = null }) {
+    const sql = `
+      INSERT INTO migration_history (job_id, cid, target, bytes, duration_ms, result, error)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+    return this.run(sql, [job_id, cid, target, bytes, Math.round(duration_ms), result, error]);
+  }
+
+  async getMigrationHistory({ cid = null, result = null, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (cid) {
+      conditions.push('cid = ?');
+      params.push(cid);
     }
-    
-    values.push(date);
-    
+    if (result) {
+      conditions.push('result = ?');
+      params.push(result);
+    }
+
     const sql = `
-      INSERT INTO migration_stats (date, ${Object.keys(updates).join(', ')})
-      VALUES (?, ${Object.keys(updates).map(() => '?').join(', ')})
-      ON CONFLICT(date) DO UPDATE SET ${fields.join(', ')}
+      SELECT * FROM migration_history
+      ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+      ORDER BY finished_at DESC, id DESC
+      LIMIT ?
     `;
-    return this.run(sql, [date, ...Object.values(updates)]);
+    return this.all(sql, [...params, limit]);
   }
 
+  // Migration stats methods - aggregated from migration_history
+  // An attempt succeeds when the target ends up holding the pin; only fresh
+  // transfers count towards bytes_migrated and transfer speed.
+  // max_retries_reached counts pins dead-lettered that day.
+
   async getMigrationStats(days = 90) {
     const sql = `
-      SELECT * FROM migration_stats 
-      WHERE date >= date('now', '-' || ? || ' days')
+      SELECT
+        date(finished_at) as date,
+        SUM(result != 'failure') as success_count,
+        SUM(result = 'failure') as failure_count,
+        SUM(CASE WHEN result = 'success' THEN bytes ELSE 0 END) as bytes_migrated,
+        SUM(CASE WHEN result = 'success' THEN duration_ms ELSE 0 END) as transfer_ms,
+        (SELECT COUNT(*) FROM pins WHERE date(pins.dead_lettered_at) = date(migration_history.finished_at)) as max_retries_reached
+      FROM migration_history
+      WHERE finished_at >= date('now', '-' || ? || ' days')
+      GROUP BY date(finished_at)
       ORDER BY date DESC
     `;
     return this.all(sql, [days]);
@@ -282,27 +669,245 @@ class Database {
   async getMigrationStatsSummary(days = 7) {
     const sql = `
       SELECT 
-        SUM(success_count) as total_success,
-        SUM(failure_count) as total_failures,
-        SUM(bytes_migrated) as total_bytes_migrated,
-        SUM(max_retries_reached) as total_max_retries
-      FROM migration_stats
-      WHERE date >= date('now', '-' || ? || ' days')
+        SUM(result != 'failure') as total_success,
+        SUM(result = 'failure') as total_failures,
+        SUM(CASE WHEN result = 'success' THEN bytes ELSE 0 END) as total_bytes_migrated,
+        SUM(CASE WHEN result = 'success' THEN duration_ms ELSE 0 END) as total_transfer_ms,
+        (SELECT COUNT(*) FROM pins WHERE dead_lettered_at >= date('now', '-' || ? || ' days')) as total_max_retries
+      FROM migration_history
+      WHERE finished_at >= date('now', '-' || ? || ' days')
     `;
-    return this.get(sql, [days]);
+    return this.get(sql, [days, days]);
+  }
+
+  // Migration job queue methods
+  async enqueueMigrationJob(cid, trigger = 'manual') {
+    // The partial unique index on active jobs makes this a no-op if the CID is already queued
+    const sql = `
+      INSERT OR IGNORE INTO migration_jobs (cid, state, trigger)
+      VALUES (?, 'queued', ?)
+    `;
+    return this.run(sql, [cid, trigger]);
+  }
+
+  async enqueueEligibleMigrations(startDays, trigger = 'cron') {
+    const sql = `
+      INSERT OR IGNORE INTO migration_jobs (cid, state, trigger)
+      SELECT cid, 'queued', ? FROM pins
+      WHERE status = 'valid'
+      AND migrated = 0
+      AND unpinned = 0
+      AND dead_letter_state IS NULL
+      AND (next_attempt_at IS NULL OR julianday(next_attempt_at) <= julianday('now'))
+      AND julianday('now') - julianday(added_at) >= ?
+      ORDER BY added_at ASC
+    `;
+    return this.run(sql, [trigger, startDays]);
+  }
+
+  async claimNextMigrationJob() {
+    // Several pool slots share one connection, so the conditional UPDATE
+    // decides which slot wins a job; losers simply try the next one
+    for (;;) {
+      const job = await this.get(`
+        SELECT * FROM migration_jobs
+        WHERE state = 'queued'
+        ORDER BY priority DESC, id ASC
+        LIMIT 1
+      `);
+
+      if (!job) {
+        return null;
+      }
+
+      const result = await this.run(`
+        UPDATE migration_jobs
+        SET state = 'running', attempts = attempts + 1, started_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND state = 'queued'
+      `, [job.id]);
+
+      if (result.changes === 1) {
+        return { ...job, state: 'running', attempts: job.attempts + 1 };
+      }
+    }
+  }
+
+  async updateMigrationJobState(id, fromState, toState, error = null) {
+    const finished = ['done', 'failed', 'cancelled'].includes(toState);
+    const sql = `
+      UPDATE migration_jobs
+      SET state = ?, error = ?${finished ? ', finished_at = CURRENT_TIMESTAMP' : ''}
+      WHERE id = ? AND state = ?
+    `;
+    return this.run(sql, [toState, error, id, fromState]);
+  }
+
+  async failMigrationJob(id, error) {
+    const sql = `
+      UPDATE migration_jobs
+      SET state = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND state IN ('running', 'verifying')
+    `;
+    return this.run(sql, [error, id]);
+  }
+
+  async cancelQueuedMigrationJobs(cid, reason) {
+    const sql = `
+      UPDATE migration_jobs
+      SET state = 'cancelled', error = ?, finished_at = CURRENT_TIMESTAMP
+      WHERE cid = ? AND state = 'queued'
+    `;
+    return this.run(sql, [reason, cid]);
+  }
+
+  async requeueInterruptedMigrationJobs() {
+    // Jobs left running/verifying by a crash or restart go back to the queue.
+    // The worker re-checks the supernode first, so nothing is pinned or counted twice.
+    const sql = `
+      UPDATE migration_jobs
+      SET state = 'queued'
+      WHERE state IN ('running', 'verifying')
+    `;
+    return this.run(sql);
+  }
+
+  async getMigrationJobCounts() {
+    const sql = `
+      SELECT
+        SUM(CASE WHEN state = 'queued' THEN 1 ELSE 0 END) as queued,
+        SUM(CASE WHEN state = 'running' THEN 1 ELSE 0 END) as running,
+        SUM(CASE WHEN state = 'verifying' THEN 1 ELSE 0 END) as verifying,
+        SUM(CASE WHEN state = 'done' THEN 1 ELSE 0 END) as done,
+        SUM(CASE WHEN state = 'failed' THEN 1 ELSE 0 END) as failed,
+        SUM(CASE WHEN state = 'cancelled' THEN 1 ELSE 0 END) as cancelled
+      FROM migration_jobs
+    `;
+    return this.get(sql);
+  }
+
+  async getMigrationJobs(state = null, limit = 50) {
+    if (state === 'queued') {
+      // Queue order, so the dashboard shows what runs next
+      const sql = 'SELECT * FROM migration_jobs WHERE state = ? ORDER BY priority DESC, id ASC LIMIT ?';
+      return this.all(sql, [state, limit]);
+    }
+    if (state) {
+      const sql = 'SELECT * FROM migration_jobs WHERE state = ? ORDER BY id DESC LIMIT ?';
+      return this.all(sql, [state, limit]);
+    }
+    const sql = 'SELECT * FROM migration_jobs ORDER BY id DESC LIMIT ?';
+    return this.all(sql, [limit]);
+  }
+
+  async getActiveMigrationJob(cid) {
+    const sql = `
+      SELECT * FROM migration_jobs
+      WHERE cid = ? AND state IN ('queued', 'running', 'verifying')
+    `;
+    return this.get(sql, [cid]);
+  }
+
+  async getQueuedMigrationJobsWithPins(cid = null) {
+    const sql = `
+      SELECT j.id, j.cid, p.size_bytes, p.priority_boost,
+        julianday('now') - julianday(p.added_at) as age_days
+      FROM migration_jobs j
+      JOIN pins p ON p.cid = j.cid
+      WHERE j.state = 'queued'
+      ${cid ? 'AND j.cid = ?' : ''}
+    `;
+    return this.all(sql, cid ? [cid] : []);
+  }
+
+  async setMigrationJobPriority(id, priority, inputs) {
+    const sql = 'UPDATE migration_jobs SET priority = ?, priority_inputs = ? WHERE id = ?';
+    return this.run(sql, [priority, JSON.stringify(inputs), id]);
+  }
+
+  async getUnmigratedPinsForPlan() {
+    // Everything the migration worker could still pick up, with timings in hours
+    const sql = `
+      SELECT p.cid, p.status, p.size_bytes, p.priority_boost, p.retry_count,
+        p.dead_letter_state, p.next_attempt_at,
+        julianday('now') - julianday(p.added_at) as age_days,
+        CASE WHEN p.next_attempt_at IS NULL THEN 0
+          ELSE (julianday(p.next_attempt_at) - julianday('now')) * 24 END as retry_in_hours,
+        j.state as job_state
+      FROM pins p
+      LEFT JOIN migration_jobs j
+        ON j.cid = p.cid AND j.state IN ('queued', 'running', 'verifying')
+      WHERE p.migrated = 0 AND p.unpinned = 0
+    `;
+    return this.all(sql);
+  }
+
+  async getLatestMigrationJob(cid) {
+    const sql = 'SELECT * FROM migration_jobs WHERE cid = ? ORDER BY id DESC LIMIT 1';
+    return this.get(sql, [cid]);
+  }
+
+  async updateMigrationJobProgress(id, target, blocksFetched) {
+    const sql = `
+      UPDATE migration_jobs
+      SET target = ?, blocks_fetched = ?, progress_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    return this.run(sql, [target, blocksFetched, id]);
+  }
+
+  // Pin replica methods
+  async upsertPinReplica(cid, target, state, error = null) {
+    const sql = `
+      INSERT INTO pin_replicas (cid, target, state, error, verified_at, updated_at)
+      VALUES (?, ?, ?, ?, CASE WHEN ? = 'verified' THEN CURRENT_TIMESTAMP END, CURRENT_TIMESTAMP)
+      ON CONFLICT(cid, target) DO UPDATE SET
+        state = excluded.state,
+        error = excluded.error,
+        verified_at = COALESCE(excluded.verified_at, verified_at),
+        updated_at = CURRENT_TIMESTAMP
+    `;
+    return this.run(sql, [cid, target, state, error, state]);
+  }
+
+  async getPinReplicas(cid) {
+    const sql = 'SELECT * FROM pin_replicas WHERE cid = ? ORDER BY target ASC';
+    return this.all(sql, [cid]);
+  }
+
+  // Dead-letter methods
+  async getDeadLetteredPins(limit = 100) {
+    const sql = `
+      SELECT * FROM pins
+      WHERE dead_letter_state = 'dead'
+      ORDER BY dead_lettered_at DESC
+      LIMIT ?
+    `;
+    return this.all(sql, [limit]);
+  }
+
+  async requeueDeadLetteredPin(cid) {
+    // Fresh start: the next migration attempt gets the full retry budget again
+    const sql = `
+      UPDATE pins
+      SET dead_letter_state = NULL, dead_lettered_at = NULL,
+          retry_count = 0, next_attempt_at = NULL
+      WHERE cid = ? AND dead_letter_state = 'dead'
+    `;
+    return this.run(sql, [cid]);
+  }
+
+  async abandonDeadLetteredPin(cid) {
+    const sql = `
+      UPDATE pins
+      SET dead_letter_state = 'abandoned', next_attempt_at = NULL
+      WHERE cid = ? AND dead_letter_state = 'dead'
+    `;
+    return this.run(sql, [cid]);
   }
 
   // Cleanup stats methods
   async updateCleanupStats(date, updates) {
-    const fields = [];
-    const values = [];
-    
-    for (const [key, value] of Object.entries(updates)) {
-      fields.push(`${key} = ${key} + ?`);
-      values.push(value);
-    }
-    
-    values.push(date);
+    const fields = Object.keys(updates).map(key => `${key} = ${key} + excluded.${key}`);
     
     const sql = `
       INSERT INTO cleanup_stats (date, ${Object.keys(updates).join(', ')})
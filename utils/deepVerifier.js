@@ -0,0 +1,132 @@
+const { getIPFSClient } = require('./ipfs');
+const logger = require('./logger');
+const config = require('./config');
+
+/**
+ * Deep Verifier
+ *
+ * Checks that a supernode target really holds a complete copy of a DAG
+ * before the hot copy is removed. pin/ls only proves a pin record exists;
+ * deep verification additionally:
+ * - compares dag/stat total size and block count with the hot node
+ * - sample-fetches random blocks from the target's local blockstore
+ */
+
+class DeepVerifier {
+  constructor() {
+    this.ipfs = getIPFSClient();
+    this.sampleBlocks = config.cleanup.deep_verify_sample_blocks;
+  }
+
+  /**
+   * Pick up to n random entries, always including the first (the root block)
+   */
+  sample(refs, n) {
+    const pool = refs.slice(1);
+    for (let i = pool.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return [refs[0], ...pool].slice(0, n);
+  }
+
+  /**
+   * Verify one target against the hot node's copy
+   */
+  async verifyTarget(target, local, blocks) {
+    const result = { target: target.name, passed: false };
+
+    try {
+      const remote = await target.dagStat(local.cid);
+      result.size = remote.size;
+      result.blocks = remote.blocks;
+
+      if (remote.size !== local.size || remote.blocks !== local.blocks) {
+        result.error = `DAG mismatch: ${remote.blocks} blocks / ${remote.size} bytes, expected ${local.blocks} / ${local.size}`;
+        return result;
+      }
+
+      const missing = [];
+      for (const block of blocks) {
+        if (!(await target.hasBlock(block))) {
+          missing.push(block);
+        }
+      }
+
+      result.sampled = blocks.length;
+      if (missing.length > 0) {
+        result.missing = missing;
+        result.error = `${missing.length}/${blocks.length} sampled blocks missing`;
+        return result;
+      }
+
+      result.passed = true;
+      return result;
+    } catch (error) {
+      result.error = error.message;
+      return result;
+    }
+  }
+
+  /**
+   * Deep-verify a CID on the targets holding its replicas
+   * @param {string} cid - Content identifier
+   * @param {Array<MigrationTarget>} targets - Targets expected to hold the CID
+   * @param {number} required - Targets that must pass
+   * @returns {Promise<{passed: boolean, required: number, local: object, targets: Array}>}
+   */
+  async verify(cid, targets, required = 1) {
+    const checkedAt = new Date().toISOString();
+
+    let local;
+    let blocks;
+    try {
+      const stat = await this.ipfs.dagStat(cid);
+      local = { cid, ...stat };
+
+      const refs = [cid, ...(await this.ipfs.refs(cid))];
+      blocks = this.sample(refs, this.sampleBlocks);
+    } catch (error) {
+      // Without a complete local reference there is nothing to compare against
+      return {
+        passed: false,
+        checked_at: checkedAt,
+        required,
+        error: `Local DAG unavailable: ${error.message}`,
+        targets: []
+      };
+    }
+
+    const results = [];
+    for (const target of targets) {
+      results.push(await this.verifyTarget(target, local, blocks));
+    }
+
+    const passedCount = results.filter(result => result.passed).length;
+    const passed = passedCount >= required;
+
+    if (!passed) {
+      logger.warn(`Deep verification failed for ${cid}: ${passedCount}/${required} targets passed`);
+    }
+
+    return {
+      passed,
+      checked_at: checkedAt,
+      required,
+      local: { size: local.size, blocks: local.blocks },
+      targets: results
+    };
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getDeepVerifier() {
+  if (!instance) {
+    instance = new DeepVerifier();
+  }
+  return instance;
+}
+
+module.exports = { DeepVerifier, getDeepVerifier };
@@ -113,8 +113,9 @@ class DiscordNotifier {
 
   /**
    * Notify about garbage collection completion
+   * @param {object} details - Optional { keysRemoved, aborted } from a streamed GC
    */
-  async notifyGCComplete(duration, freedBytes, error = null) {
+  async notifyGCComplete(duration, freedBytes, error = null, details = {}) {
     if (error) {
       await this.send(
         '❌ Garbage Collection Failed',
@@ -129,11 +130,16 @@ class DiscordNotifier {
         { name: 'Duration', value: `${duration}s`, inline: true },
         { name: 'Space Freed', value: freedGB > 1 ? `${freedGB} GB` : `${freedMB} MB`, inline: true }
       ];
+      if (details.keysRemoved !== undefined) {
+        fields.push({ name: 'Blocks Removed', value: String(details.keysRemoved), inline: true });
+      }
 
       await this.send(
-        '🗑️ Garbage Collection Complete',
-        'IPFS garbage collection has completed successfully',
-        'green',
+        details.aborted ? '⏱️ Garbage Collection Aborted' : '🗑️ Garbage Collection Complete',
+        details.aborted
+          ? 'IPFS garbage collection hit its time limit and was stopped; the rest is freed next run'
+          : 'IPFS garbage collection has completed successfully',
+        details.aborted ? 'yellow' : 'green',
         fields
       );
     }
@@ -216,6 +222,83 @@ class DiscordNotifier {
     );
   }
 
+  /**
+   * Notify about early unpinning under disk pressure
+   */
+  async notifyWatermarkCleanup(result) {
+    const belowLow = result.usage_after < result.low;
+    const freedGB = (result.gc_freed_bytes / (1024 * 1024 * 1024)).toFixed(2);
+
+    await this.send(
+      belowLow ? '🧹 Disk Pressure Cleanup' : '🚨 Disk Pressure Cleanup Incomplete',
+      belowLow
+        ? `Repo crossed the ${result.high}% high watermark; migrated content was unpinned early`
+        : `Repo is still above the ${result.low}% low watermark after unpinning all eligible migrated content`,
+      belowLow ? 'orange' : 'red',
+      [
+        { name: 'Usage', value: `${result.usage_before.toFixed(1)}% → ${result.usage_after.toFixed(1)}%`, inline: true },
+        { name: 'Pins Unpinned', value: String(result.unpinned), inline: true },
+        { name: 'Space Freed', value: `${freedGB} GB`, inline: true }
+      ]
+    );
+  }
+
+  /**
+   * Notify about drift between the database and the IPFS pinset
+   */
+  async notifyReconciliation(summary) {
+    const open = Object.entries(summary.open || {})
+      .map(([kind, count]) => `${kind}: ${count}`)
+      .join('\n') || 'none';
+
+    await this.send(
+      '🔎 Pin Reconciliation',
+      `Found ${summary.new} new discrepancies between the database and the IPFS pinset`,
+      summary.failed > 0 ? 'red' : 'orange',
+      [
+        { name: 'Fixed', value: String(summary.fixed), inline: true },
+        { name: 'Failed', value: String(summary.failed), inline: true },
+        { name: 'Open', value: open, inline: false }
+      ]
+    );
+  }
+
+  /**
+   * Notify about previously valid pins revoked by re-validation, or about
+   * revocations held back because too many pins were rejected at once
+   */
+  async notifyRevocations(summary) {
+    if (summary.held > 0) {
+      await this.send(
+        '🚨 Revocations Held Back',
+        `Re-validation rejected ${summary.held} pins, more than the ${summary.max_revocations} allowed per run; none were revoked. Check the validation providers before the next run.`,
+        'red',
+        [
+          { name: 'Checked', value: String(summary.checked), inline: true },
+          { name: 'Rejected', value: String(summary.held), inline: true }
+        ]
+      );
+      return;
+    }
+
+    const cidList = summary.revocations.slice(0, 5)
+      .map(revocation => `${revocation.cid} (${revocation.reason})`)
+      .join('\n');
+    const more = summary.revoked > 5 ? `\n...and ${summary.revoked - 5} more` : '';
+
+    await this.send(
+      '⛔ Pins Revoked',
+      `${summary.revoked} previously valid pins were rejected on re-validation and will not be migrated:\n\`\`\`${cidList}${more}\`\`\``,
+      summary.failed > 0 ? 'red' : 'orange',
+      [
+        { name: 'Policy', value: summary.policy, inline: true },
+        { name: 'Unpinned Locally', value: String(summary.unpinned), inline: true },
+        { name: 'Supernode Removal', value: String(summary.removed), inline: true },
+        { name: 'Failed', value: String(summary.failed), inline: true }
+      ]
+    );
+  }
+
   /**
    * Send test notification
    */
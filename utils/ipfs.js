@@ -2,6 +2,27 @@ const axios = require('axios');
 const fs = require('fs');
 const config = require('./config');
 
+/**
+ * Normalize dag/stat output across Kubo versions
+ * Older releases return { Size, NumBlocks }; newer ones return
+ * { TotalSize, DagStats: [{ Size, NumBlocks }] }, possibly after progress lines
+ */
+function parseDagStat(body) {
+  const lines = typeof body === 'string'
+    ? body.split('\n').filter(line => line.trim())
+    : [JSON.stringify(body)];
+  const data = JSON.parse(lines[lines.length - 1]);
+
+  if (Array.isArray(data.DagStats)) {
+    return {
+      size: data.TotalSize ?? data.DagStats.reduce((sum, stat) => sum + (stat.Size || 0), 0),
+      blocks: data.DagStats.reduce((sum, stat) => sum + (stat.NumBlocks || 0), 0)
+    };
+  }
+
+  return { size: data.Size || 0, blocks: data.NumBlocks || 0 };
+}
+
 class IPFSClient {
   constructor(apiUrl = config.hotnode.ipfs_api) {
     this.apiUrl = apiUrl;
@@ -55,6 +76,100 @@ class IPFSClient {
     }
   }
 
+  /**
+   * Get total size and block count of a DAG
+   * @returns {Promise<{size: number, blocks: number}>}
+   */
+  async dagStat(cid) {
+    try {
+      const response = await axios.post(
+        `${this.apiUrl}/api/v0/dag/stat`,
+        null,
+        {
+          params: { arg: cid, progress: false },
+          responseType: 'text',
+          timeout: 5 * 60 * 1000
+        }
+      );
+      return parseDagStat(response.data);
+    } catch (error) {
+      throw new Error(`IPFS dag stat failed for ${cid}: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the CIDs of every block in a DAG (unique, recursive)
+   */
+  async refs(cid) {
+    try {
+      const response = await axios.post(
+        `${this.apiUrl}/api/v0/refs`,
+        null,
+        {
+          params: { arg: cid, recursive: true, unique: true },
+          responseType: 'text',
+          timeout: 5 * 60 * 1000
+        }
+      );
+
+      return response.data
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line))
+        .filter(entry => entry.Ref && !entry.Err)
+        .map(entry => entry.Ref);
+    } catch (error) {
+      throw new Error(`IPFS refs failed for ${cid}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read a file (e.g. CID/path/file) from IPFS, up to maxBytes
+   * Returns null when the path doesn't exist in the DAG
+   * @returns {Promise<Buffer|null>}
+   */
+  async cat(path, maxBytes = 1024 * 1024) {
+    try {
+      const response = await axios.post(
+        `${this.apiUrl}/api/v0/cat`,
+        null,
+        {
+          params: { arg: path, length: maxBytes },
+          responseType: 'arraybuffer',
+          timeout: this.timeout
+        }
+      );
+      return Buffer.from(response.data);
+    } catch (error) {
+      const message = error.response ? Buffer.from(error.response.data || '').toString() : '';
+      if (/no link named|not found/i.test(message)) {
+        return null;
+      }
+      throw new Error(`IPFS cat failed for ${path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the entries of a directory
+   * @returns {Promise<Array<{name: string, cid: string}>>}
+   */
+  async ls(cid) {
+    try {
+      const response = await axios.post(
+        `${this.apiUrl}/api/v0/ls`,
+        null,
+        {
+          params: { arg: cid, 'resolve-type': false, size: false },
+          timeout: this.timeout
+        }
+      );
+      const [object] = response.data.Objects || [];
+      return ((object && object.Links) || []).map(link => ({ name: link.Name, cid: link.Hash }));
+    } catch (error) {
+      throw new Error(`IPFS ls failed for ${cid}: ${error.message}`);
+    }
+  }
+
   /**
    * Get cumulative size of a CID (including all children)
    */
@@ -93,6 +208,74 @@ class IPFSClient {
     }
   }
 
+  /**
+   * Stream the pinset in batches without holding it all in memory
+   * Reads pin/ls?stream=true line by line; the next batch is only read once
+   * the caller is done with the current one
+   * @param {object} options
+   * @param {string} options.type - Pin type to list (recursive, direct, indirect, all)
+   * @param {number} options.batchSize - CIDs per yielded batch
+   * @yields {Array<string>} - Batches of pinned CIDs
+   */
+  async *pinLsStream({ type = 'recursive', batchSize = 500 } = {}) {
+    let response;
+    try {
+      response = await axios.post(
+        `${this.apiUrl}/api/v0/pin/ls`,
+        null,
+        {
+          params: { type, stream: true },
+          responseType: 'stream',
+          timeout: this.timeout
+        }
+      );
+    } catch (error) {
+      throw new Error(`IPFS pin ls failed: ${error.message}`);
+    }
+
+    const stream = response.data;
+    let buffer = '';
+    let batch = [];
+
+    const handleLine = (line) => {
+      if (!line.trim()) {
+        return;
+      }
+      const entry = JSON.parse(line);
+      if (entry.Type === 'error' || (entry.Message && !entry.Cid)) {
+        throw new Error(`IPFS pin ls failed: ${entry.Message}`);
+      }
+      if (entry.Cid) {
+        batch.push(entry.Cid);
+      }
+    };
+
+    try {
+      for await (const chunk of stream) {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+
+        while (batch.length >= batchSize) {
+          yield batch.splice(0, batchSize);
+        }
+      }
+    } catch (error) {
+      throw new Error(error.message.startsWith('IPFS pin ls failed') ? error.message : `IPFS pin ls failed: ${error.message}`);
+    }
+
+    handleLine(buffer);
+    const trailerError = stream.trailers && stream.trailers['x-stream-error'];
+    if (trailerError) {
+      throw new Error(`IPFS pin ls failed: ${trailerError}`);
+    }
+
+    if (batch.length > 0) {
+      yield batch;
+    }
+  }
+
   /**
    * Check if a CID is pinned
    */
@@ -105,6 +288,32 @@ class IPFSClient {
     }
   }
 
+  /**
+   * Check if a CID is pinned, for decisions that can't treat an unreachable
+   * daemon as "not pinned"
+   * @returns {Promise<boolean>} - False only when Kubo answers that it isn't pinned
+   * @throws {Error} - If IPFS can't be asked
+   */
+  async checkPinned(cid) {
+    try {
+      const response = await axios.post(
+        `${this.apiUrl}/api/v0/pin/ls`,
+        null,
+        {
+          params: { arg: cid },
+          timeout: this.timeout
+        }
+      );
+      return !!(response.data.Keys && response.data.Keys[cid]);
+    } catch (error) {
+      const message = error.response?.data?.Message || error.message;
+      if (/is not pinned/.test(message)) {
+        return false;
+      }
+      throw new Error(`IPFS pin ls failed for ${cid}: ${message}`);
+    }
+  }
+
   /**
    * Pin a CID recursively
    * @param {string} cid - The CID to pin
@@ -156,20 +365,91 @@ class IPFSClient {
   }
 
   /**
-   * Run garbage collection
+   * Run garbage collection, streaming the removed keys as they arrive
+   * Closing the request cancels GC on the node; blocks removed so far stay removed
+   * @param {object} options
+   * @param {number} options.timeout - Abort after this many ms (0 = no limit)
+   * @param {Function} options.onKey - Called with the running count of removed keys
+   * @returns {Promise<{keysRemoved: number, aborted: boolean, errors: Array<string>}>}
    */
-  async repoGC() {
+  async repoGC({ timeout = 0, onKey } = {}) {
+    const controller = new AbortController();
+    let aborted = false;
+    const timer = timeout > 0
+      ? setTimeout(() => {
+        aborted = true;
+        controller.abort();
+      }, timeout)
+      : null;
+
+    let keysRemoved = 0;
+    const errors = [];
+
+    const handleLine = (line) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        const message = JSON.parse(line);
+        if (message.Error) {
+          errors.push(message.Error);
+        } else if (message.Key) {
+          keysRemoved++;
+          if (onKey) {
+            onKey(keysRemoved);
+          }
+        }
+      } catch (error) {
+        // Ignore partial or non-JSON lines
+      }
+    };
+
     try {
       const response = await axios.post(
         `${this.apiUrl}/api/v0/repo/gc`,
         null,
         {
-          timeout: 3600000 // 1 hour timeout for GC
+          params: { 'stream-errors': true },
+          responseType: 'stream',
+          timeout: 0,
+          signal: controller.signal
         }
       );
-      return response.data;
+
+      await new Promise((resolve, reject) => {
+        const stream = response.data;
+        let buffer = '';
+
+        stream.on('data', (chunk) => {
+          buffer += chunk.toString();
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+          lines.forEach(handleLine);
+        });
+        stream.on('end', () => {
+          handleLine(buffer);
+          const trailerError = stream.trailers && stream.trailers['x-stream-error'];
+          if (trailerError) {
+            errors.push(trailerError);
+          }
+          resolve();
+        });
+        stream.on('error', reject);
+        stream.on('close', () => {
+          if (aborted) {
+            resolve();
+          }
+        });
+      });
+
+      return { keysRemoved, aborted, errors };
     } catch (error) {
+      if (aborted) {
+        return { keysRemoved, aborted, errors };
+      }
       throw new Error(`IPFS repo gc failed: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
     }
   }
 
@@ -209,6 +489,101 @@ class IPFSClient {
     }
   }
 
+  /**
+   * Check whether a block is in the local blockstore, without fetching it
+   */
+  async hasBlock(cid) {
+    const response = await axios.post(
+      `${this.apiUrl}/api/v0/block/stat`,
+      null,
+      {
+        params: { arg: cid, offline: true },
+        timeout: this.timeout,
+        validateStatus: () => true
+      }
+    );
+    return response.status === 200 && !!(response.data && response.data.Key);
+  }
+
+  /**
+   * Create an MFS directory (and parents) if missing
+   */
+  async filesMkdir(path) {
+    try {
+      await axios.post(
+        `${this.apiUrl}/api/v0/files/mkdir`,
+        null,
+        {
+          params: { arg: path, parents: true },
+          timeout: this.timeout
+        }
+      );
+    } catch (error) {
+      throw new Error(`IPFS files mkdir failed for ${path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reference a CID from MFS; MFS content is kept by garbage collection
+   */
+  async filesCp(cid, path) {
+    try {
+      await axios.post(
+        `${this.apiUrl}/api/v0/files/cp`,
+        null,
+        {
+          params: { arg: [`/ipfs/${cid}`, path] },
+          paramsSerializer: { indexes: null },
+          timeout: this.timeout
+        }
+      );
+    } catch (error) {
+      const message = error.response?.data?.Message || error.message;
+      throw new Error(`IPFS files cp failed for ${cid}: ${message}`);
+    }
+  }
+
+  /**
+   * Remove an MFS entry; a missing entry is not an error
+   */
+  async filesRm(path) {
+    try {
+      await axios.post(
+        `${this.apiUrl}/api/v0/files/rm`,
+        null,
+        {
+          params: { arg: path, recursive: true, force: true },
+          timeout: this.timeout
+        }
+      );
+    } catch (error) {
+      const message = error.response?.data?.Message || error.message;
+      if (/does not exist|file does not exist/.test(message)) {
+        return;
+      }
+      throw new Error(`IPFS files rm failed for ${path}: ${message}`);
+    }
+  }
+
+  /**
+   * Connect to a peer by multiaddr
+   */
+  async swarmConnect(multiaddr) {
+    try {
+      const response = await axios.post(
+        `${this.apiUrl}/api/v0/swarm/connect`,
+        null,
+        {
+          params: { arg: multiaddr },
+          timeout: this.timeout
+        }
+      );
+      return response.data;
+    } catch (error) {
+      throw new Error(`IPFS swarm connect failed for ${multiaddr}: ${error.message}`);
+    }
+  }
+
   /**
    * Get repository version
    */
@@ -238,4 +613,4 @@ function getIPFSClient(apiUrl) {
   return instance;
 }
 
-module.exports = { IPFSClient, getIPFSClient };
+module.exports = { IPFSClient, getIPFSClient, parseDagStat };
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { getDatabase } = require('./database');
+const logger = require('./logger');
+const config = require('./config');
+
+/**
+ * Maintenance Window
+ *
+ * Heavy jobs (GC, disk-pressure cleanup, large migration drains) hurt gateway
+ * latency. While any job holds the maintenance window, /health advertises it
+ * so the Traffic Director routes uploads elsewhere.
+ *
+ * Each job holds the window separately, with its own deadline; the node is in
+ * maintenance while at least one unexpired hold remains. Holds are rows in
+ * the maintenance_holds table, so workers run as separate processes are
+ * visible to /health, and a hold left behind by a crashed job simply expires.
+ * Each call only inserts or deletes its own row, so overlapping jobs and
+ * /health checks can't drop each other's holds.
+ */
+
+class MaintenanceWindow {
+  constructor() {
+    this.db = getDatabase();
+    this.defaultTimeoutMinutes = config.maintenance.timeout_minutes;
+  }
+
+  /**
+   * Unexpired holds; expired ones are deleted and logged as timed out
+   */
+  async pruneExpired() {
+    const now = Date.now();
+    const active = [];
+
+    for (const hold of await this.db.getMaintenanceHolds()) {
+      if (new Date(hold.expires_at).getTime() > now) {
+        active.push(hold);
+        continue;
+      }
+
+      // Only the caller that deleted the hold reports it
+      const { changes } = await this.db.deleteMaintenanceHold(hold.id);
+      if (changes === 0) {
+        continue;
+      }
+      logger.warn(`Maintenance window for ${hold.reason} timed out`);
+      await this.db.logEvent({
+        event_type: 'maintenance',
+        severity: 'warning',
+        message: `Maintenance window timed out: ${hold.reason}`,
+        metadata: { ...hold, outcome: 'timeout' }
+      });
+    }
+
+    return active;
+  }
+
+  /**
+   * Enter maintenance for a job
+   * @param {string} reason - Job holding the window (e.g. "gc (scheduled)")
+   * @param {number} timeoutMinutes - Leave automatically after this long
+   * @returns {Promise<string>} - Hold id to pass to exit()
+   */
+  async enter(reason, timeoutMinutes = this.defaultTimeoutMinutes) {
+    const holds = await this.pruneExpired();
+    const now = new Date();
+    const hold = {
+      id: crypto.randomBytes(8).toString('hex'),
+      reason,
+      started_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + timeoutMinutes * 60 * 1000).toISOString()
+    };
+
+    await this.db.insertMaintenanceHold(hold);
+
+    if (holds.length === 0) {
+      logger.info(`Entering maintenance: ${reason}`);
+      await this.db.logEvent({
+        event_type: 'maintenance',
+        severity: 'info',
+        message: `Entered maintenance: ${reason}`,
+        metadata: hold
+      });
+    }
+
+    return hold.id;
+  }
+
+  /**
+   * Release a job's hold; the node leaves maintenance with the last one
+   */
+  async exit(id) {
+    const hold = (await this.db.getMaintenanceHolds()).find(entry => entry.id === id);
+    const { changes } = await this.db.deleteMaintenanceHold(id);
+    const remaining = await this.pruneExpired();
+
+    if (hold && changes > 0 && remaining.length === 0) {
+      const minutes = ((Date.now() - new Date(hold.started_at).getTime()) / 60000).toFixed(1);
+      logger.info(`Leaving maintenance after ${hold.reason} (${minutes} min)`);
+      await this.db.logEvent({
+        event_type: 'maintenance',
+        severity: 'info',
+        message: `Left maintenance: ${hold.reason} finished`,
+        metadata: { ...hold, outcome: 'finished' }
+      });
+    }
+  }
+
+  /**
+   * Run a job inside the maintenance window
+   * The window is left when the job settles, whether it succeeded or not
+   */
+  async during(reason, fn, timeoutMinutes) {
+    const id = await this.enter(reason, timeoutMinutes);
+    try {
+      return await fn();
+    } finally {
+      await this.exit(id).catch(error => {
+        logger.error(`Failed to leave maintenance for ${reason}:`, error);
+      });
+    }
+  }
+
+  /**
+   * Current maintenance state for /health and the dashboard
+   * @returns {Promise<{active: boolean, reasons: Array<string>, since: string|null, until: string|null}>}
+   */
+  async getState() {
+    const holds = await this.pruneExpired();
+
+    if (holds.length === 0) {
+      return { active: false, reasons: [], since: null, until: null };
+    }
+
+    return {
+      active: true,
+      reasons: holds.map(hold => hold.reason),
+      since: holds.map(hold => hold.started_at).sort()[0],
+      until: holds.map(hold => hold.expires_at).sort().pop()
+    };
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getMaintenanceWindow() {
+  if (!instance) {
+    instance = new MaintenanceWindow();
+  }
+  return instance;
+}
+
+module.exports = { MaintenanceWindow, getMaintenanceWindow };
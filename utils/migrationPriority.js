@@ -0,0 +1,159 @@
+const fs = require('fs');
+const readline = require('readline');
+const logger = require('./logger');
+const config = require('./config');
+
+/**
+ * Migration Priority
+ *
+ * Scores queued migration jobs so the queue drains in a useful order instead
+ * of strictly oldest-first. Each factor is normalised to 0-1 and weighted by
+ * MIGRATION_PRIORITY_WEIGHTS:
+ * - deadline:   ramps from 0 to 1 over the last DEADLINE_WINDOW_DAYS before
+ *               MIGRATION_DELETE_AFTER_DAYS
+ * - age:        days since added, relative to MIGRATION_DELETE_AFTER_DAYS
+ * - popularity: gateway requests for the CID in the nginx log (log scale, 1000+ = 1)
+ * - size:       small-first or large-first (log scale, 10 GB = 1)
+ * A manual "migrate next" boost adds BOOST_SCORE, putting the pin ahead of all others.
+ *
+ * The inputs behind every score are stored with the job so the dashboard can
+ * explain the queue order.
+ */
+
+const BOOST_SCORE = 1000;
+const POPULARITY_CACHE_MS = 10 * 60 * 1000;
+const MONTHS = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+
+/**
+ * Parse an nginx timestamp like "27/Jan/2026:10:15:30 +0000"
+ */
+function parseNginxTime(value) {
+  const match = value.match(/^(\d{2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2}) ([+-])(\d{2})(\d{2})$/);
+  if (!match || !(match[2] in MONTHS)) {
+    return null;
+  }
+
+  const [, day, month, year, hour, minute, second, sign, offH, offM] = match;
+  const offsetMs = (sign === '+' ? 1 : -1) * (parseInt(offH, 10) * 60 + parseInt(offM, 10)) * 60 * 1000;
+  return new Date(Date.UTC(year, MONTHS[month], day, hour, minute, second) - offsetMs);
+}
+
+class MigrationPriority {
+  constructor() {
+    this.weights = config.migration.priority_weights;
+    this.sizeOrder = config.migration.priority_size_order === 'large' ? 'large' : 'small';
+    this.popularityHours = config.migration.priority_popularity_hours;
+    this.deadlineWindowDays = config.migration.priority_deadline_window_days;
+    this.deleteAfterDays = config.migration.delete_after_days;
+    this.logPath = config.nginx.log_path;
+    this.popularity = null;
+    this.loadingPopularity = null;
+  }
+
+  /**
+   * Gateway requests per CID within the popularity window, cached briefly
+   * Callers arriving while the log is being read share that read
+   * @returns {Promise<Map<string, number>>}
+   */
+  async loadPopularity() {
+    if (this.popularity && Date.now() - this.popularity.at < POPULARITY_CACHE_MS) {
+      return this.popularity.counts;
+    }
+    if (!this.loadingPopularity) {
+      this.loadingPopularity = this.readPopularity().finally(() => {
+        this.loadingPopularity = null;
+      });
+    }
+    return this.loadingPopularity;
+  }
+
+  /**
+   * Count gateway requests per CID in the nginx log, streamed line by line
+   * so a large log neither blocks the event loop nor is held in memory
+   */
+  async readPopularity() {
+    const counts = new Map();
+
+    if (this.weights.popularity !== 0) {
+      try {
+        if (fs.existsSync(this.logPath)) {
+          const since = Date.now() - this.popularityHours * 60 * 60 * 1000;
+          const lines = readline.createInterface({
+            input: fs.createReadStream(this.logPath),
+            crlfDelay: Infinity
+          });
+
+          for await (const line of lines) {
+            // Same log format as the stats aggregator: IP - [timestamp] "METHOD PATH PROTOCOL" STATUS ...
+            const match = line.match(/^\S+\s+-\s+\[([^\]]+)\]\s+"\S+\s+\/ipfs\/([A-Za-z0-9]+)[^"]*"\s+(\d+)/);
+            if (!match) continue;
+
+            const status = parseInt(match[3], 10);
+            if (status < 200 || status >= 300) continue;
+
+            const time = parseNginxTime(match[1]);
+            if (!time || time.getTime() < since) continue;
+
+            counts.set(match[2], (counts.get(match[2]) || 0) + 1);
+          }
+        }
+      } catch (error) {
+        logger.warn(`Failed to read gateway popularity: ${error.message}`);
+      }
+    }
+
+    this.popularity = { at: Date.now(), counts };
+    return counts;
+  }
+
+  /**
+   * Score a pin for the migration queue
+   * @param {object} pin - Row with cid, age_days, size_bytes, priority_boost
+   * @returns {Promise<{score: number, inputs: object}>}
+   */
+  async score(pin) {
+    const popularity = await this.loadPopularity();
+    const clamp = value => Math.min(1, Math.max(0, value));
+
+    const ageDays = pin.age_days || 0;
+    const daysToDeadline = this.deleteAfterDays - ageDays;
+    const sizeBytes = pin.size_bytes || 0;
+    const requests = popularity.get(pin.cid) || 0;
+    const boosted = !!pin.priority_boost;
+
+    // Log scale: 1 MB -> 0.6, 100 MB -> 0.8, 10 GB -> 1
+    const sizeFactor = sizeBytes > 0 ? clamp(Math.log10(sizeBytes) / 10) : 0;
+
+    const components = {
+      deadline: this.deadlineWindowDays > 0 ? clamp(1 - daysToDeadline / this.deadlineWindowDays) : 0,
+      age: this.deleteAfterDays > 0 ? clamp(ageDays / this.deleteAfterDays) : 0,
+      popularity: clamp(Math.log10(1 + requests) / 3),
+      size: this.sizeOrder === 'large' ? sizeFactor : 1 - sizeFactor
+    };
+
+    let score = Object.entries(components)
+      .reduce((sum, [factor, value]) => sum + value * (this.weights[factor] || 0), 0);
+    if (boosted) {
+      score += BOOST_SCORE;
+    }
+
+    return {
+      score: Math.round(score * 100) / 100,
+      inputs: {
+        boosted,
+        age_days: Math.round(ageDays * 10) / 10,
+        days_to_deadline: Math.round(daysToDeadline * 10) / 10,
+        size_bytes: sizeBytes,
+        size_order: this.sizeOrder,
+        gateway_requests: requests,
+        popularity_hours: this.popularityHours,
+        components: Object.fromEntries(
+          Object.entries(components).map(([factor, value]) => [factor, Math.round(value * 100) / 100])
+        ),
+        weights: this.weights
+      }
+    };
+  }
+}
+
+module.exports = { MigrationPriority, parseNginxTime, BOOST_SCORE };
@@ -0,0 +1,478 @@
+const axios = require('axios');
+const config = require('./config');
+const logger = require('./logger');
+const { parseDagStat } = require('./ipfs');
+
+/**
+ * Migration targets
+ *
+ * Adapters for the cold-storage backends the migration worker can pin to.
+ * Every adapter implements the same interface:
+ *
+ *   pin(cid, options)      - Resolve once the target reports the CID pinned, throw if it fails
+ *                            options.timeout      - wall-clock limit (asynchronous targets)
+ *                            options.stallTimeout - limit without progress (streaming targets)
+ *                            options.onProgress   - called with the blocks fetched so far
+ *   isPinned(cid)          - true only if the target confirms the CID is pinned
+ *   unpin(cid)             - Ask the target to drop the CID (revoked content); resolves
+ *                            if it is no longer pinned there, throws otherwise
+ *
+ * Targets that expose their blockstore also support deep verification:
+ *
+ *   dagStat(cid)           - { size, blocks } of the DAG as stored on the target
+ *   hasBlock(cid)          - true if the target holds the block locally
+ *
+ * For restoring unpinned content, every adapter can also list where the hot
+ * node can fetch a CID from:
+ *
+ *   providerAddresses(cid) - multiaddrs to swarm-connect to (may be empty)
+ *
+ * and carries the target's name, api and weight for replica placement.
+ */
+
+class MigrationTarget {
+  constructor({ name, api, weight = 1, type, auth = null, token = null }) {
+    this.name = name;
+    this.api = api;
+    this.weight = weight;
+    this.type = type;
+    this.auth = auth;
+    this.token = token;
+    this.timeout = config.supernode.timeout_ms || 30000;
+    this.pollInterval = config.supernode.poll_interval_ms || 5000;
+  }
+
+  /**
+   * Request options carrying the target's credentials
+   */
+  requestOptions(options = {}) {
+    const headers = { ...(options.headers || {}) };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    return {
+      timeout: this.timeout,
+      ...options,
+      headers,
+      ...(this.auth ? { auth: this.auth } : {})
+    };
+  }
+
+  async pin() {
+    throw new Error(`${this.type} target does not implement pin()`);
+  }
+
+  async isPinned() {
+    throw new Error(`${this.type} target does not implement isPinned()`);
+  }
+
+  async unpin() {
+    throw new Error(`${this.type} target does not implement unpin()`);
+  }
+
+  async dagStat() {
+    throw new Error(`${this.type} target does not support deep verification`);
+  }
+
+  async hasBlock() {
+    throw new Error(`${this.type} target does not support deep verification`);
+  }
+
+  async providerAddresses() {
+    return [];
+  }
+
+  /**
+   * Poll check() until it returns a final result or the deadline passes
+   * @param {Function} check - Resolves to { done: boolean, error?: string }
+   * @param {number} timeout - Overall deadline in milliseconds
+   */
+  async waitFor(check, timeout) {
+    const deadline = Date.now() + timeout;
+
+    for (;;) {
+      const result = await check();
+      if (result.error) {
+        throw new Error(result.error);
+      }
+      if (result.done) {
+        return;
+      }
+      if (Date.now() + this.pollInterval > deadline) {
+        throw new Error(`Timed out after ${Math.round(timeout / 1000)}s waiting for pin`);
+      }
+      await this.sleep(this.pollInterval);
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+/**
+ * Kubo RPC (/api/v0) - pin/add?progress=true streams the number of blocks
+ * fetched, so a large DAG can take as long as it needs while it keeps moving
+ */
+class KuboTarget extends MigrationTarget {
+  async pin(cid, { stallTimeout = 10 * 60 * 1000, onProgress } = {}) {
+    const controller = new AbortController();
+    let stalled = false;
+    let stallTimer = null;
+
+    // Only a growing block count counts as progress; Kubo repeats the last value while idle
+    const armStallTimer = () => {
+      clearTimeout(stallTimer);
+      stallTimer = setTimeout(() => {
+        stalled = true;
+        controller.abort();
+      }, stallTimeout);
+    };
+
+    try {
+      armStallTimer();
+
+      const response = await axios.post(
+        `${this.api}/api/v0/pin/add`,
+        null,
+        this.requestOptions({
+          params: {
+            arg: cid,
+            recursive: true,
+            progress: true
+          },
+          responseType: 'stream',
+          timeout: 0,
+          signal: controller.signal
+        })
+      );
+
+      return await new Promise((resolve, reject) => {
+        const stream = response.data;
+        let buffer = '';
+        let blocks = 0;
+        let result = null;
+        let streamError = null;
+
+        const handleLine = (line) => {
+          if (!line.trim()) {
+            return;
+          }
+
+          let message;
+          try {
+            message = JSON.parse(line);
+          } catch (error) {
+            return;
+          }
+
+          if (message.Type === 'error' || (message.Message && !message.Pins)) {
+            streamError = message.Message;
+          } else if (message.Pins) {
+            result = message;
+          } else if (typeof message.Progress === 'number' && message.Progress > blocks) {
+            blocks = message.Progress;
+            armStallTimer();
+            if (onProgress) {
+              onProgress(blocks);
+            }
+          }
+        };
+
+        stream.on('data', (chunk) => {
+          buffer += chunk.toString();
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+          lines.forEach(handleLine);
+        });
+
+        stream.on('end', () => {
+          handleLine(buffer);
+          // Errors after the headers were sent arrive as an X-Stream-Error trailer
+          const trailerError = stream.trailers && stream.trailers['x-stream-error'];
+
+          if (streamError || trailerError) {
+            reject(new Error(streamError || trailerError));
+          } else if (!result) {
+            reject(new Error('pin/add ended without confirming the pin'));
+          } else {
+            resolve({ ...result, blocks });
+          }
+        });
+
+        stream.on('error', reject);
+      });
+    } catch (error) {
+      if (stalled) {
+        throw new Error(`Pin stalled: no progress for ${Math.round(stallTimeout / 1000)}s`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(stallTimer);
+    }
+  }
+
+  async isPinned(cid) {
+    const response = await axios.post(
+      `${this.api}/api/v0/pin/ls`,
+      null,
+      this.requestOptions({
+        params: { arg: cid },
+        validateStatus: () => true
+      })
+    );
+
+    // Pin exists ONLY if Keys object contains the CID
+    // Any error (permission denied, not pinned, etc) = NOT FOUND
+    return response.status === 200 && !!(response.data && response.data.Keys && response.data.Keys[cid]);
+  }
+
+  async unpin(cid) {
+    const response = await axios.post(
+      `${this.api}/api/v0/pin/rm`,
+      null,
+      this.requestOptions({
+        params: { arg: cid, recursive: true },
+        validateStatus: () => true
+      })
+    );
+
+    const message = response.data?.Message || `HTTP ${response.status}`;
+    // Not pinned (any more) is what we asked for
+    if (response.status !== 200 && !message.includes('not pinned')) {
+      throw new Error(`pin/rm failed on ${this.name}: ${message}`);
+    }
+  }
+
+  // offline=true keeps the target from fetching missing blocks (possibly from
+  // this hot node) while it is being checked
+
+  async dagStat(cid) {
+    const response = await axios.post(
+      `${this.api}/api/v0/dag/stat`,
+      null,
+      this.requestOptions({
+        params: { arg: cid, progress: false, offline: true },
+        responseType: 'text',
+        timeout: 5 * 60 * 1000
+      })
+    );
+    return parseDagStat(response.data);
+  }
+
+  async hasBlock(cid) {
+    const response = await axios.post(
+      `${this.api}/api/v0/block/stat`,
+      null,
+      this.requestOptions({
+        params: { arg: cid, offline: true },
+        validateStatus: () => true
+      })
+    );
+    return response.status === 200 && !!(response.data && response.data.Key);
+  }
+
+  async providerAddresses() {
+    const response = await axios.post(`${this.api}/api/v0/id`, null, this.requestOptions());
+    return response.data?.Addresses || [];
+  }
+}
+
+/**
+ * IPFS Pinning Services API (https://ipfs.github.io/pinning-services-api-spec/)
+ * Pins are asynchronous requests identified by a requestid
+ */
+class PinningServiceTarget extends MigrationTarget {
+  /**
+   * Find the newest pin request for a CID in the given statuses
+   */
+  async findRequest(cid, statuses) {
+    const response = await axios.get(
+      `${this.api}/pins`,
+      this.requestOptions({
+        params: {
+          cid,
+          status: statuses.join(','),
+          limit: 1
+        }
+      })
+    );
+    return response.data?.results?.[0] || null;
+  }
+
+  async pin(cid, { timeout } = {}) {
+    // Reuse a request left behind by an earlier attempt instead of duplicating it
+    let request = await this.findRequest(cid, ['queued', 'pinning', 'pinned']);
+
+    if (!request) {
+      const response = await axios.post(
+        `${this.api}/pins`,
+        {
+          cid,
+          name: cid,
+          meta: { source: config.hotnode.name }
+        },
+        this.requestOptions()
+      );
+      request = response.data;
+    }
+
+    logger.info(`Pin request ${request.requestid} on ${this.name}: ${request.status}`);
+
+    let polled = false;
+    await this.waitFor(async () => {
+      if (polled) {
+        const response = await axios.get(
+          `${this.api}/pins/${encodeURIComponent(request.requestid)}`,
+          this.requestOptions()
+        );
+        request = response.data;
+      }
+      polled = true;
+
+      if (request.status === 'failed') {
+        const details = request.info?.status_details;
+        return { error: `Pin request ${request.requestid} failed${details ? `: ${details}` : ''}` };
+      }
+      return { done: request.status === 'pinned' };
+    }, timeout || this.timeout);
+
+    return request;
+  }
+
+  async isPinned(cid) {
+    return !!(await this.findRequest(cid, ['pinned']));
+  }
+
+  // Removes every pin request for the CID, newest first, including unfinished ones
+  async unpin(cid) {
+    let previous = null;
+    for (;;) {
+      const request = await this.findRequest(cid, ['queued', 'pinning', 'pinned', 'failed']);
+      if (!request) {
+        return;
+      }
+      if (request.requestid === previous) {
+        throw new Error(`Pin request ${request.requestid} on ${this.name} was not removed`);
+      }
+      await axios.delete(`${this.api}/pins/${encodeURIComponent(request.requestid)}`, this.requestOptions());
+      previous = request.requestid;
+    }
+  }
+
+  // The spec's delegates are the provider peers holding the pin
+  async providerAddresses(cid) {
+    const request = await this.findRequest(cid, ['pinned']);
+    return request?.delegates || [];
+  }
+}
+
+/**
+ * IPFS Cluster REST API - pins are tracked per cluster peer
+ */
+class ClusterTarget extends MigrationTarget {
+  /**
+   * Summarise a GlobalPinInfo peer map: pinned once any peer holds the CID,
+   * failed once every peer reports an error
+   */
+  pinState(info) {
+    const peers = Object.values(info?.peer_map || {});
+    if (peers.some(peer => peer.status === 'pinned')) {
+      return { done: true };
+    }
+
+    const errors = peers.filter(peer => peer.status === 'pin_error');
+    if (peers.length > 0 && errors.length === peers.length) {
+      return { error: `Cluster pin failed: ${errors[0].error || 'pin_error on all peers'}` };
+    }
+
+    return { done: false };
+  }
+
+  async status(cid) {
+    const response = await axios.get(
+      `${this.api}/pins/${encodeURIComponent(cid)}`,
+      this.requestOptions({ validateStatus: () => true })
+    );
+    return response.status === 200 ? response.data : null;
+  }
+
+  async pin(cid, { timeout } = {}) {
+    const response = await axios.post(
+      `${this.api}/pins/${encodeURIComponent(cid)}`,
+      null,
+      this.requestOptions({
+        params: { name: cid }
+      })
+    );
+
+    await this.waitFor(async () => this.pinState(await this.status(cid)), timeout || this.timeout);
+
+    return response.data;
+  }
+
+  async isPinned(cid) {
+    return this.pinState(await this.status(cid)).done === true;
+  }
+
+  async unpin(cid) {
+    const response = await axios.delete(
+      `${this.api}/pins/${encodeURIComponent(cid)}`,
+      this.requestOptions({ validateStatus: () => true })
+    );
+
+    // 404: the cluster isn't tracking the CID
+    if (response.status >= 300 && response.status !== 404) {
+      throw new Error(`Cluster unpin failed on ${this.name}: ${response.data?.message || `HTTP ${response.status}`}`);
+    }
+  }
+
+  // Swarm addresses of the IPFS daemon behind the cluster peer we talk to
+  async providerAddresses() {
+    const response = await axios.get(`${this.api}/id`, this.requestOptions());
+    return response.data?.ipfs?.addresses || [];
+  }
+}
+
+const adapters = {
+  kubo: KuboTarget,
+  psa: PinningServiceTarget,
+  cluster: ClusterTarget
+};
+
+/**
+ * Build the adapter for a target from config.supernode.targets
+ */
+function createMigrationTarget(target) {
+  const Adapter = adapters[target.type || 'kubo'];
+  if (!Adapter) {
+    throw new Error(`Unknown migration target type: ${target.type}`);
+  }
+  return new Adapter(target);
+}
+
+/**
+ * Adapters for the targets holding a pin's verified replicas
+ * Pins migrated before replication records existed live on the primary target
+ * @param {Array<object>} replicas - pin_replicas rows for the CID
+ */
+function replicaTargets(replicas) {
+  const verifiedNames = replicas
+    .filter(replica => replica.state === 'verified')
+    .map(replica => replica.target);
+
+  return (verifiedNames.length > 0
+    ? config.supernode.targets.filter(target => verifiedNames.includes(target.name))
+    : [config.supernode.primary_target].filter(Boolean)
+  ).map(createMigrationTarget);
+}
+
+module.exports = {
+  MigrationTarget,
+  KuboTarget,
+  PinningServiceTarget,
+  ClusterTarget,
+  createMigrationTarget,
+  replicaTargets
+};
@@ -0,0 +1,168 @@
+const { getDatabase } = require('./database');
+const { getIPFSClient } = require('./ipfs');
+const logger = require('./logger');
+const config = require('./config');
+
+/**
+ * Migration Throttle
+ *
+ * Admission control for migration jobs based on the node's real upload rate.
+ * A job may start only while:
+ * - the IPFS RateOut (stats/bw) is below the bandwidth budget in effect, and
+ * - gateway traffic recorded by the stats aggregator is below the backoff threshold
+ *
+ * The budget comes from the first matching time-of-day window
+ * (MIGRATION_BANDWIDTH_WINDOWS), falling back to MIGRATION_BANDWIDTH_BUDGET_BPS.
+ * A budget of 0 means unlimited.
+ */
+
+class MigrationThrottle {
+  constructor() {
+    this.db = getDatabase();
+    this.ipfs = getIPFSClient();
+    this.defaultBudget = config.migration.bandwidth_budget_bps || 0;
+    this.windows = config.migration.bandwidth_windows || [];
+    this.gatewayBackoff = config.migration.gateway_backoff_bps || 0;
+    this.checkInterval = (config.migration.throttle_check_seconds || 30) * 1000;
+    this.lastReading = null;
+    this.state = { throttled: false, reason: null, since: null };
+  }
+
+  /**
+   * Bandwidth budget in bytes/sec for the given time, 0 = unlimited
+   */
+  currentBudget(now = new Date()) {
+    const hour = now.getHours();
+    const window = this.windows.find(({ start, end }) => (
+      start < end
+        ? hour >= start && hour < end
+        : hour >= start || hour < end
+    ));
+    return window ? window.budget : this.defaultBudget;
+  }
+
+  /**
+   * Current IPFS upload rate in bytes/sec, cached for a few seconds
+   * so concurrent slots share one stats/bw call
+   */
+  async getRateOut() {
+    if (this.lastReading && Date.now() - this.lastReading.at < 5000) {
+      return this.lastReading.rateOut;
+    }
+
+    const bw = await this.ipfs.statsBW();
+    const rateOut = parseFloat(bw.RateOut || 0);
+    this.lastReading = { at: Date.now(), rateOut };
+    return rateOut;
+  }
+
+  /**
+   * Gateway bytes/sec over the latest hour recorded by the stats aggregator
+   * Readings older than two hours are ignored
+   */
+  async getGatewayRate() {
+    const [latest] = await this.db.getTrafficStats('hourly', 1);
+    if (!latest) {
+      return 0;
+    }
+
+    const ageMs = Date.now() - new Date(latest.timestamp.replace(' ', 'T') + 'Z').getTime();
+    if (ageMs > 2 * 60 * 60 * 1000) {
+      return 0;
+    }
+
+    return (latest.bytes_out || 0) / 3600;
+  }
+
+  /**
+   * Decide whether a new migration may start right now
+   * @returns {Promise<{allowed: boolean, reason: string|null, budget: number, rateOut: number|null, gatewayRate: number}>}
+   */
+  async check() {
+    const budget = this.currentBudget();
+    const gatewayRate = this.gatewayBackoff > 0 ? await this.getGatewayRate() : 0;
+
+    if (this.gatewayBackoff > 0 && gatewayRate >= this.gatewayBackoff) {
+      return {
+        allowed: false,
+        reason: `gateway traffic ${formatRate(gatewayRate)} above ${formatRate(this.gatewayBackoff)}`,
+        budget,
+        rateOut: null,
+        gatewayRate
+      };
+    }
+
+    if (budget === 0) {
+      return { allowed: true, reason: null, budget, rateOut: null, gatewayRate };
+    }
+
+    let rateOut;
+    try {
+      rateOut = await this.getRateOut();
+    } catch (error) {
+      // Without a reading, keep migrating rather than stall the queue
+      logger.warn(`Bandwidth check skipped: ${error.message}`);
+      return { allowed: true, reason: null, budget, rateOut: null, gatewayRate };
+    }
+
+    if (rateOut >= budget) {
+      return {
+        allowed: false,
+        reason: `upload rate ${formatRate(rateOut)} above budget ${formatRate(budget)}`,
+        budget,
+        rateOut,
+        gatewayRate
+      };
+    }
+
+    return { allowed: true, reason: null, budget, rateOut, gatewayRate };
+  }
+
+  /**
+   * Wait until a new migration may start
+   */
+  async waitForCapacity() {
+    for (;;) {
+      const result = await this.check();
+
+      if (result.allowed) {
+        if (this.state.throttled) {
+          logger.info(`Migration throttle lifted after ${Math.round((Date.now() - this.state.since) / 1000)}s`);
+        }
+        this.state = { throttled: false, reason: null, since: null };
+        return result;
+      }
+
+      if (!this.state.throttled || this.state.reason !== result.reason) {
+        logger.info(`Migration throttled: ${result.reason}`);
+      }
+      this.state = {
+        throttled: true,
+        reason: result.reason,
+        since: this.state.since || Date.now()
+      };
+
+      await new Promise(resolve => setTimeout(resolve, this.checkInterval));
+    }
+  }
+
+  /**
+   * Throttle status for the dashboard and API
+   */
+  getState() {
+    return {
+      throttled: this.state.throttled,
+      reason: this.state.reason,
+      since: this.state.since ? new Date(this.state.since).toISOString() : null,
+      budget_bps: this.currentBudget(),
+      rate_out_bps: this.lastReading ? this.lastReading.rateOut : null,
+      gateway_backoff_bps: this.gatewayBackoff
+    };
+  }
+}
+
+function formatRate(bytesPerSecond) {
+  return `${(bytesPerSecond / (1024 * 1024)).toFixed(2)} MB/s`;
+}
+
+module.exports = { MigrationThrottle };
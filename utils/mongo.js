@@ -1,37 +1,98 @@
 const { MongoClient } = require('mongodb');
 const config = require('./config');
 
+// Forms a video's CID is stored in: bare (embed-video manifest_cid) or as an
+// ipfs:// URL (legacy video_v2, almost always the HLS manifest)
+const CID_URL_SUFFIXES = ['/manifest.m3u8', '', '/'];
+
+/**
+ * Reduce a stored CID reference to the bare CID
+ * Accepts "Qm...", "ipfs://Qm.../manifest.m3u8" and "/ipfs/Qm.../path"
+ */
+function normalizeCID(value) {
+  if (!value || typeof value !== 'string') return null;
+  const match = value.trim().match(/^(?:ipfs:\/\/|\/ipfs\/)?([A-Za-z0-9]+)(?:[/?#].*)?$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Every stored form of a CID, for exact-match (indexed) lookups
+ */
+function cidVariants(cid) {
+  return [cid, ...CID_URL_SUFFIXES.map(suffix => `ipfs://${cid}${suffix}`)];
+}
+
+/**
+ * MongoDB client for Traffic Director
+ *
+ * One connection pool (MONGODB_POOL_SIZE) is opened on first use and kept
+ * for the life of the process; callers just call connect() before querying.
+ * While connected the server is pinged every MONGODB_HEALTH_CHECK_SECONDS
+ * and the outcome is kept for the stats page (getStatus()).
+ */
 class MongoDBClient {
   constructor() {
     this.client = null;
     this.db = null;
     this.connected = false;
+    this.connecting = null;
+    this.healthTimer = null;
+    this.health = { healthy: null, checked_at: null, latency_ms: null, error: null };
   }
 
   async connect() {
     if (this.connected) {
       return;
     }
+    // Concurrent callers share one connection attempt
+    if (!this.connecting) {
+      this.connecting = this.open().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
 
+  async open() {
     try {
       this.client = new MongoClient(config.mongodb.uri, {
         serverSelectionTimeoutMS: config.mongodb.timeout_ms || 5000,
-        connectTimeoutMS: config.mongodb.timeout_ms || 5000
+        connectTimeoutMS: config.mongodb.timeout_ms || 5000,
+        maxPoolSize: config.mongodb.pool_size
       });
 
       await this.client.connect();
       this.db = this.client.db(config.mongodb.database);
       this.connected = true;
+      this.health = { healthy: true, checked_at: new Date().toISOString(), latency_ms: null, error: null };
       console.log('Connected to MongoDB (Traffic Director)');
+
+      this.healthTimer = setInterval(() => this.healthCheck(), config.mongodb.health_check_seconds * 1000);
+      this.healthTimer.unref();
+
+      const missing = await this.missingIndexes().catch(() => []);
+      if (missing.length > 0) {
+        console.warn(`MongoDB fields used for CID validation are not indexed: ${missing.join(', ')}`);
+      }
     } catch (error) {
+      this.health = { healthy: false, checked_at: new Date().toISOString(), latency_ms: null, error: error.message };
+      if (this.client) {
+        await this.client.close().catch(() => {});
+        this.client = null;
+      }
       console.error('MongoDB connection failed:', error.message);
       throw error;
     }
   }
 
   async disconnect() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
     if (this.client) {
       await this.client.close();
+      this.client = null;
       this.connected = false;
       console.log('Disconnected from MongoDB');
     }
@@ -42,11 +103,7 @@ class MongoDBClient {
    * Example: ipfs://QmXXX/manifest.m3u8 -> QmXXX
    */
   extractCIDFromIPFSUrl(url) {
-    if (!url || typeof url !== 'string') return null;
-    
-    // Match ipfs://CID/... pattern
-    const match = url.match(/^ipfs:\/\/([^\/]+)/);
-    return match ? match[1] : null;
+    return normalizeCID(url);
   }
 
   /**
@@ -55,54 +112,51 @@ class MongoDBClient {
    * This validates that the upload is legitimate (encoder-originated)
    */
   async validateCID(cid) {
-    try {
-      if (!this.connected) {
-        await this.connect();
-      }
+    const [result] = await this.validateCIDs([cid]);
+    return result.valid;
+  }
 
-      // Check legacy videos collection (video_v2 field with ipfs:// format)
-      const legacyCollection = this.db.collection(config.mongodb.collection_legacy);
-      const legacyResult = await legacyCollection.findOne({
-        video_v2: { $exists: true, $ne: null }
-      });
-      
-      // Search through legacy videos and extract CIDs from video_v2
-      if (legacyResult) {
-        const legacyVideos = await legacyCollection.find({
-          video_v2: { $exists: true, $ne: null }
-        }).toArray();
-        
-        for (const video of legacyVideos) {
-          const extractedCID = this.extractCIDFromIPFSUrl(video.video_v2);
-          if (extractedCID === cid) {
-            console.log(`CID ${cid} found in legacy videos collection`);
-            return true;
-          }
-        }
-      }
+  /**
+   * Look up one chunk of normalized CIDs in both collections
+   * Only exact matches on the stored forms (cidVariants), so both queries
+   * use the indexes on video_v2 and manifest_cid
+   * @returns {Promise<Map<string, string|null>>} CID -> owner of the matching video
+   */
+  async findCIDs(cids) {
+    const found = new Map();
+    const variants = cids.flatMap(cidVariants);
+    const projection = { video_v2: 1, manifest_cid: 1, owner: 1 };
 
-      // Check new embed-video collection (manifest_cid field, direct CID)
-      const newCollection = this.db.collection(config.mongodb.collection_new);
-      const newResult = await newCollection.findOne({
-        manifest_cid: cid
-      });
+    // Legacy videos collection (video_v2, usually ipfs://CID/manifest.m3u8)
+    const legacyVideos = await this.db.collection(config.mongodb.collection_legacy)
+      .find({ video_v2: { $in: variants } }, { projection })
+      .toArray();
+    legacyVideos.forEach(video => {
+      const cid = normalizeCID(video.video_v2);
+      if (cid) {
+        found.set(cid, video.owner || null);
+      }
+    });
 
-      if (newResult) {
-        console.log(`CID ${cid} found in embed-video collection`);
-        return true;
+    // New embed-video collection (manifest_cid, usually the bare CID)
+    const embedVideos = await this.db.collection(config.mongodb.collection_new)
+      .find({ manifest_cid: { $in: variants } }, { projection })
+      .toArray();
+    embedVideos.forEach(video => {
+      const cid = normalizeCID(video.manifest_cid);
+      if (cid) {
+        found.set(cid, video.owner || null);
       }
+    });
 
-      console.log(`CID ${cid} not found in either collection`);
-      return false;
-    } catch (error) {
-      console.error('MongoDB CID validation failed:', error.message);
-      throw error;
-    }
+    return found;
   }
 
   /**
    * Batch validate multiple CIDs
-   * Returns array of { cid, valid } objects
+   * CIDs may be given bare or as ipfs://CID/... URLs; they are looked up
+   * MONGODB_VALIDATION_CHUNK_SIZE at a time
+   * Returns array of { cid, valid, owner } objects (owner of the matching video, if any)
    */
   async validateCIDs(cids) {
     try {
@@ -111,55 +165,27 @@ class MongoDBClient {
       }
 
       console.log(`Validating ${cids.length} CIDs against MongoDB...`);
-      const foundCIDs = new Set();
-
-      // Check legacy videos collection - build ipfs:// URL patterns
-      const legacyCollection = this.db.collection(config.mongodb.collection_legacy);
-      
-      // Build array of possible ipfs:// URL formats for each CID
-      const ipfsUrls = cids.flatMap(cid => [
-        `ipfs://${cid}/manifest.m3u8`,  // Most common format
-        `ipfs://${cid}`,                 // Without path
-      ]);
-      
-      // Query with $or to match any of the patterns
-      const legacyVideos = await legacyCollection.find({
-        video_v2: { 
-          $regex: new RegExp(`^ipfs://(${cids.join('|')})(/|$)`)
-        }
-      }).toArray();
-      
-      console.log(`Found ${legacyVideos.length} matches in legacy collection`);
-      
-      // Extract CIDs from found videos
-      legacyVideos.forEach(video => {
-        const extractedCID = this.extractCIDFromIPFSUrl(video.video_v2);
-        if (extractedCID && cids.includes(extractedCID)) {
-          foundCIDs.add(extractedCID);
-        }
-      });
+      const normalized = [...new Set(cids.map(normalizeCID).filter(Boolean))];
+      const chunkSize = config.mongodb.validation_chunk_size;
 
-      // Check new embed-video collection - direct CID match
-      const newCollection = this.db.collection(config.mongodb.collection_new);
-      const embedVideos = await newCollection.find({
-        manifest_cid: { $in: cids }
-      }).toArray();
-      
-      console.log(`Found ${embedVideos.length} matches in embed-video collection`);
-      
-      embedVideos.forEach(video => {
-        if (video.manifest_cid) {
-          foundCIDs.add(video.manifest_cid);
-        }
-      });
+      // CID -> owner of the matching video (null when the document has none)
+      const foundCIDs = new Map();
+      for (let i = 0; i < normalized.length; i += chunkSize) {
+        const found = await this.findCIDs(normalized.slice(i, i + chunkSize));
+        found.forEach((owner, cid) => foundCIDs.set(cid, owner));
+      }
 
-      console.log(`Validation complete: ${foundCIDs.size}/${cids.length} CIDs found`);
+      console.log(`Validation complete: ${foundCIDs.size}/${normalized.length} CIDs found`);
 
       // Return validation results
-      return cids.map(cid => ({
-        cid,
-        valid: foundCIDs.has(cid)
-      }));
+      return cids.map(cid => {
+        const key = normalizeCID(cid);
+        return {
+          cid,
+          valid: foundCIDs.has(key),
+          owner: foundCIDs.get(key) || null
+        };
+      });
     } catch (error) {
       console.error('MongoDB batch CID validation failed:', error.message);
       throw error;
@@ -175,36 +201,49 @@ class MongoDBClient {
         await this.connect();
       }
 
+      const variants = cidVariants(normalizeCID(cid) || cid);
+
       // Check legacy videos collection
-      const legacyCollection = this.db.collection(config.mongodb.collection_legacy);
-      const legacyVideos = await legacyCollection.find({
-        video_v2: { $exists: true, $ne: null }
-      }).toArray();
-      
-      for (const video of legacyVideos) {
-        const extractedCID = this.extractCIDFromIPFSUrl(video.video_v2);
-        if (extractedCID === cid) {
-          return video;
-        }
+      const legacyVideo = await this.db.collection(config.mongodb.collection_legacy)
+        .findOne({ video_v2: { $in: variants } });
+      if (legacyVideo) {
+        return legacyVideo;
       }
 
       // Check new embed-video collection
-      const newCollection = this.db.collection(config.mongodb.collection_new);
-      const result = await newCollection.findOne({
-        manifest_cid: cid
-      });
-
-      return result;
+      return await this.db.collection(config.mongodb.collection_new)
+        .findOne({ manifest_cid: { $in: variants } });
     } catch (error) {
       console.error('MongoDB get video metadata failed:', error.message);
       return null;
     }
   }
 
+  /**
+   * Check the lookup fields are indexed; without them every validation
+   * query is a collection scan
+   * @returns {Promise<Array<string>>} Unindexed "collection.field" names
+   */
+  async missingIndexes() {
+    const checks = [
+      [config.mongodb.collection_legacy, 'video_v2'],
+      [config.mongodb.collection_new, 'manifest_cid']
+    ];
+    const missing = [];
+    for (const [collection, field] of checks) {
+      const indexes = await this.db.collection(collection).indexes();
+      if (!indexes.some(index => Object.keys(index.key)[0] === field)) {
+        missing.push(`${collection}.${field}`);
+      }
+    }
+    return missing;
+  }
+
   /**
    * Health check - verify MongoDB connection
    */
   async healthCheck() {
+    const started = Date.now();
     try {
       if (!this.connected) {
         await this.connect();
@@ -212,12 +251,32 @@ class MongoDBClient {
 
       // Ping the database
       await this.db.admin().ping();
+      if (this.health.healthy === false) {
+        console.log('MongoDB is reachable again');
+      }
+      this.health = { healthy: true, checked_at: new Date().toISOString(), latency_ms: Date.now() - started, error: null };
       return true;
     } catch (error) {
-      console.error('MongoDB health check failed:', error.message);
+      // The driver keeps reconnecting the pool on its own; only log the change
+      if (this.health.healthy !== false) {
+        console.error('MongoDB health check failed:', error.message);
+      }
+      this.health = { healthy: false, checked_at: new Date().toISOString(), latency_ms: null, error: error.message };
       return false;
     }
   }
+
+  /**
+   * Connection state and the last health check, for the stats page
+   */
+  getStatus() {
+    return {
+      configured: !!config.mongodb.uri,
+      connected: this.connected,
+      pool_size: config.mongodb.pool_size,
+      ...this.health
+    };
+  }
 }
 
 // Singleton instance
@@ -230,4 +289,4 @@ function getMongoDBClient() {
   return instance;
 }
 
-module.exports = { MongoDBClient, getMongoDBClient };
+module.exports = { MongoDBClient, getMongoDBClient, normalizeCID, cidVariants };
@@ -0,0 +1,216 @@
+const { getDatabase } = require('./database');
+const { getIPFSClient } = require('./ipfs');
+const { replicaTargets } = require('./migrationTargets');
+const logger = require('./logger');
+const config = require('./config');
+
+/**
+ * Quarantine
+ *
+ * Unpinning keeps content restorable for CLEANUP_QUARANTINE_HOURS. The pin
+ * is removed, but the CID is also referenced from MFS under QUARANTINE_DIR,
+ * and garbage collection keeps MFS content. Once the restore deadline passes,
+ * cleanup releases the hold and the next GC frees the blocks.
+ *
+ * Restoring re-pins the CID locally. If the blocks are no longer held, the
+ * hot node first connects to the supernode targets holding the replicas, so
+ * the content is fetched from there.
+ */
+
+const QUARANTINE_DIR = '/hotnode-quarantine';
+const RESTORE_TIMEOUT_MS = 60 * 60 * 1000;
+
+class Quarantine {
+  constructor() {
+    this.db = getDatabase();
+    this.ipfs = getIPFSClient();
+    this.hours = config.cleanup.quarantine_hours;
+  }
+
+  path(cid) {
+    return `${QUARANTINE_DIR}/${cid}`;
+  }
+
+  /**
+   * Unpin a CID from the hot node and record its restore deadline
+   * @param {string} cid - Content identifier
+   * @param {object} options
+   * @param {string} options.notes - Note recorded on the pin
+   * @param {string} options.rule - What decided the unpin (retention rule name,
+   *   manual, watermark), recorded as the pin's retention_rule
+   * @param {boolean} options.hold - Keep the blocks until the deadline (false
+   *   under disk pressure, when the space is needed now)
+   * @returns {Promise<{restore_deadline: string|null, held: boolean}>}
+   */
+  async unpin(cid, { notes = null, rule = null, hold = true } = {}) {
+    const quarantine = hold && this.hours > 0;
+    let held = false;
+
+    if (quarantine) {
+      try {
+        await this.ipfs.filesMkdir(QUARANTINE_DIR);
+        await this.ipfs.filesCp(cid, this.path(cid));
+        held = true;
+      } catch (error) {
+        if (/already exists/.test(error.message)) {
+          held = true;
+        } else {
+          // Still unpin; the restore deadline stands, but GC may take the blocks
+          logger.warn(`Could not hold ${cid} in quarantine: ${error.message}`);
+        }
+      }
+    }
+
+    try {
+      await this.ipfs.pinRm(cid);
+    } catch (error) {
+      if (held) {
+        await this.ipfs.filesRm(this.path(cid)).catch(() => {});
+      }
+      throw error;
+    }
+
+    const now = new Date();
+    await this.db.setConfig('last_unpin_at', now.toISOString());
+    const restoreDeadline = quarantine
+      ? new Date(now.getTime() + this.hours * 60 * 60 * 1000).toISOString()
+      : null;
+
+    const updates = {
+      unpinned: 1,
+      unpinned_at: now.toISOString(),
+      quarantine_until: restoreDeadline,
+      quarantine_held: held ? 1 : 0,
+      retention_rule: rule
+    };
+    if (notes) {
+      updates.notes = notes;
+    }
+    await this.db.updatePin(cid, updates);
+
+    return { restore_deadline: restoreDeadline, held };
+  }
+
+  /**
+   * Drop the MFS hold on a CID so the next GC can free its blocks
+   */
+  async release(cid) {
+    await this.ipfs.filesRm(this.path(cid));
+    await this.db.updatePin(cid, { quarantine_held: 0 });
+    await this.db.setConfig('last_unpin_at', new Date().toISOString());
+  }
+
+  /**
+   * Release holds, earliest restore deadline first
+   * @param {boolean} expiredOnly - Only holds whose restore deadline has passed
+   * @returns {Promise<number>} - Holds released
+   */
+  async releaseHolds(expiredOnly = true) {
+    const pins = await this.db.getQuarantineHolds(expiredOnly ? new Date().toISOString() : null);
+    let released = 0;
+
+    for (const pin of pins) {
+      try {
+        await this.release(pin.cid);
+        released++;
+      } catch (error) {
+        logger.warn(`Failed to release quarantine hold on ${pin.cid}: ${error.message}`);
+      }
+    }
+
+    if (released > 0) {
+      logger.info(`Released ${released} quarantine holds${expiredOnly ? ' past their restore deadline' : ''}`);
+    }
+    return released;
+  }
+
+  /**
+   * Whether an unpinned pin can still be restored
+   * Held blocks can always be re-pinned; otherwise a supernode copy is needed
+   */
+  canRestore(pin) {
+    return !!pin.unpinned && (!!pin.quarantine_held || !!pin.migrated);
+  }
+
+  /**
+   * Swarm-connect to the supernode targets holding the pin's replicas
+   * @returns {Promise<number>} - Targets connected to
+   */
+  async connectToReplicas(cid) {
+    const targets = replicaTargets(await this.db.getPinReplicas(cid));
+    let connected = 0;
+
+    for (const target of targets) {
+      try {
+        for (const address of await target.providerAddresses(cid)) {
+          try {
+            await this.ipfs.swarmConnect(address);
+            connected++;
+            break;
+          } catch (error) {
+            logger.debug(`Could not connect to ${address}: ${error.message}`);
+          }
+        }
+      } catch (error) {
+        logger.warn(`No provider addresses from ${target.name}: ${error.message}`);
+      }
+    }
+
+    return connected;
+  }
+
+  /**
+   * Re-pin an unpinned CID on the hot node
+   * @returns {Promise<{cid: string, source: string}>} - source is quarantine or supernode
+   */
+  async restore(pin) {
+    const held = !!pin.quarantine_held && await this.ipfs.hasBlock(pin.cid).catch(() => false);
+    const source = held ? 'quarantine' : 'supernode';
+
+    if (!held) {
+      const connected = await this.connectToReplicas(pin.cid);
+      if (connected === 0) {
+        logger.warn(`No supernode peer reachable for ${pin.cid}, fetching from the network`);
+      }
+    }
+
+    logger.info(`Restoring ${pin.cid} from ${source}`);
+    await this.ipfs.pinAdd(pin.cid, true, RESTORE_TIMEOUT_MS);
+
+    // The pin protects the blocks now
+    await this.ipfs.filesRm(this.path(pin.cid)).catch(error => {
+      logger.warn(`Failed to drop quarantine hold on ${pin.cid}: ${error.message}`);
+    });
+
+    await this.db.updatePin(pin.cid, {
+      unpinned: 0,
+      unpinned_at: null,
+      quarantine_until: null,
+      quarantine_held: 0,
+      restored_at: new Date().toISOString(),
+      retention_rule: null,
+      notes: `Restored from ${source}`
+    });
+
+    await this.db.logEvent({
+      event_type: 'pin_restored',
+      severity: 'info',
+      message: `Restored ${pin.cid} from ${source}`,
+      metadata: { cid: pin.cid, source, size_bytes: pin.size_bytes }
+    });
+
+    return { cid: pin.cid, source };
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getQuarantine() {
+  if (!instance) {
+    instance = new Quarantine();
+  }
+  return instance;
+}
+
+module.exports = { Quarantine, getQuarantine, QUARANTINE_DIR };
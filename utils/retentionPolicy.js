@@ -0,0 +1,174 @@
+const config = require('./config');
+
+/**
+ * Retention Policy
+ *
+ * Decides when CleanupWorker unpins a pin. Rules from CLEANUP_RETENTION_RULES
+ * are checked in order and the first match wins; two defaults come last and
+ * keep the behaviour of the global settings:
+ * - default-invalid: invalid pins go CLEANUP_INVALID_RETENTION_DAYS after they were added
+ * - default-migrated: valid pins go MIGRATION_DELETE_AFTER_DAYS after they were added
+ *
+ * Some pins are kept whatever the rules say:
+ * - sticky pins, set by an admin, are never unpinned locally
+ * - restored pins were brought back by an admin and stay until unpinned by hand
+ * - pending pins have not been validated yet
+ * - revoked pins are left to the re-validation policy (REVALIDATION_POLICY)
+ * - valid pins are only unpinned once migrated, so a supernode copy exists
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a pins-table timestamp (SQLite "YYYY-MM-DD HH:MM:SS" UTC or ISO)
+ */
+function parseTime(value) {
+  if (!value) {
+    return null;
+  }
+  const iso = value.includes('T') ? value : value.replace(' ', 'T') + 'Z';
+  const time = new Date(iso).getTime();
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Tags are stored on the pin as a JSON array
+ */
+function pinTags(pin) {
+  try {
+    const tags = pin.tags ? JSON.parse(pin.tags) : [];
+    return Array.isArray(tags) ? tags : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function oneOf(expected, value) {
+  return [].concat(expected).includes(value);
+}
+
+/**
+ * Providers that accepted a pin are joined with + (e.g. mongodb+hive);
+ * a rule naming any one of them matches
+ */
+function validationSources(pin) {
+  return (pin.validation_source || '').split('+');
+}
+
+class RetentionPolicy {
+  constructor(rules = config.cleanup.retention_rules) {
+    this.rules = [
+      ...rules,
+      {
+        name: 'default-invalid',
+        match: { status: 'invalid' },
+        action: 'keep_days',
+        days: config.cleanup.invalid_retention_days,
+        after: 'added'
+      },
+      {
+        name: 'default-migrated',
+        match: { status: 'valid' },
+        action: 'keep_days',
+        days: config.migration.delete_after_days,
+        after: 'added'
+      }
+    ];
+  }
+
+  /**
+   * Whether a rule's match conditions all hold for a pin
+   */
+  matches(rule, pin) {
+    const match = rule.match || {};
+
+    if (match.status !== undefined && !oneOf(match.status, pin.status)) {
+      return false;
+    }
+    if (match.owner !== undefined && !oneOf(match.owner, pin.owner)) {
+      return false;
+    }
+    if (match.validation_source !== undefined && !validationSources(pin).some(source => oneOf(match.validation_source, source))) {
+      return false;
+    }
+    if (match.tags !== undefined) {
+      const tags = pinTags(pin);
+      if (![].concat(match.tags).some(tag => tags.includes(tag))) {
+        return false;
+      }
+    }
+    if (match.min_size_bytes !== undefined && !((pin.size_bytes || 0) >= match.min_size_bytes)) {
+      return false;
+    }
+    if (match.max_size_bytes !== undefined && !((pin.size_bytes || 0) <= match.max_size_bytes)) {
+      return false;
+    }
+    if (match.migrated !== undefined && !!pin.migrated !== match.migrated) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Evaluate the policy for one pin
+   * @param {object} pin - Pin row
+   * @param {number} now - Evaluation time (ms)
+   * @returns {{rule: string|null, action: string, due: boolean, due_at: string|null, reason: string|null}}
+   *   due: the pin should be unpinned now; reason explains a match that is held back
+   */
+  evaluate(pin, now = Date.now()) {
+    if (pin.sticky) {
+      return { rule: 'sticky', action: 'keep_forever', due: false, due_at: null, reason: null };
+    }
+    if (pin.status === 'valid' && pin.restored_at) {
+      return { rule: 'restored', action: 'keep_forever', due: false, due_at: null, reason: null };
+    }
+    if (!['valid', 'invalid'].includes(pin.status)) {
+      const reasons = { validation_unavailable: 'validation unavailable', revoked: 'revoked (REVALIDATION_POLICY)' };
+      const reason = reasons[pin.status] || 'awaiting validation';
+      return { rule: null, action: 'keep_forever', due: false, due_at: null, reason };
+    }
+
+    const rule = this.rules.find(candidate => this.matches(candidate, pin));
+    if (!rule) {
+      return { rule: null, action: 'keep_forever', due: false, due_at: null, reason: 'no rule matched' };
+    }
+
+    const decision = { rule: rule.name, action: rule.action, due: false, due_at: null, reason: null };
+
+    if (rule.action === 'unpin_now') {
+      decision.due = true;
+      decision.due_at = new Date(now).toISOString();
+    } else if (rule.action === 'keep_days') {
+      const from = parseTime(rule.after === 'added' ? pin.added_at : pin.migrated_at);
+      if (from === null) {
+        decision.reason = 'not migrated yet';
+      } else {
+        const dueAt = from + rule.days * DAY_MS;
+        decision.due_at = new Date(dueAt).toISOString();
+        decision.due = now >= dueAt;
+      }
+    }
+
+    // Never drop the only copy of valid content
+    if (decision.due && pin.status === 'valid' && !pin.migrated) {
+      decision.due = false;
+      decision.reason = 'not migrated yet';
+    }
+
+    return decision;
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getRetentionPolicy() {
+  if (!instance) {
+    instance = new RetentionPolicy();
+  }
+  return instance;
+}
+
+module.exports = { RetentionPolicy, getRetentionPolicy, pinTags };
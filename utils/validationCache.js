@@ -0,0 +1,118 @@
+const { getDatabase } = require('./database');
+const { normalizeCID } = require('./mongo');
+const logger = require('./logger');
+const config = require('./config');
+
+/**
+ * Validation Cache
+ *
+ * Keeps CID validation results in SQLite (validation_cache), shared by the
+ * public validate API and the validator worker, so a CID checked a minute
+ * ago isn't sent to MongoDB or the validation server again. Valid results
+ * are kept for VALIDATION_CACHE_TTL_HOURS, invalid ones for
+ * VALIDATION_CACHE_NEGATIVE_TTL_MINUTES.
+ *
+ * Results are kept per source, so a provider only ever gets back what its
+ * own lookup returned, never another provider's verdict.
+ *
+ * Hit and miss counts are kept in memory since startup for the stats page.
+ */
+
+// Cache reads per query, under SQLite's bound-parameter limit
+const LOOKUP_BATCH = 500;
+
+class ValidationCache {
+  constructor() {
+    this.db = getDatabase();
+    this.enabled = config.validation_cache.enabled;
+    this.ttlSeconds = config.validation_cache.ttl_hours * 3600;
+    this.negativeTtlSeconds = config.validation_cache.negative_ttl_minutes * 60;
+    this.metrics = { hits: 0, misses: 0, since: new Date().toISOString() };
+  }
+
+  /**
+   * Validate CIDs, looking up only those without an unexpired cached result
+   * @param {Array<string>} cids
+   * @param {Function} lookup - async (cids) => [{ cid, valid, owner, signature? }] for the misses
+   * @param {string} source - Where lookup results come from (mongodb, api)
+   * @param {object} options - refresh: look every CID up and overwrite its cached result
+   * @returns {Promise<Array<{cid, valid, owner, source, signature, cached}>>} One per CID, in order
+   */
+  async validate(cids, lookup, source, { refresh = false } = {}) {
+    if (!this.enabled) {
+      const results = await lookup(cids);
+      return results.map(result => ({ ...result, source, cached: false }));
+    }
+
+    const keys = cids.map(cid => normalizeCID(cid) || cid);
+    const cached = new Map();
+    const unique = [...new Set(keys)];
+    for (let i = 0; !refresh && i < unique.length; i += LOOKUP_BATCH) {
+      const rows = await this.db.getCachedValidations(unique.slice(i, i + LOOKUP_BATCH), source);
+      rows.forEach(row => cached.set(row.cid, row));
+    }
+
+    const missing = [...new Set(cids.filter((cid, i) => !cached.has(keys[i])))];
+    const fresh = new Map();
+    if (missing.length > 0) {
+      const results = await lookup(missing);
+      for (const result of results) {
+        const key = normalizeCID(result.cid) || result.cid;
+        fresh.set(key, result);
+        await this.store({ ...result, cid: key }, source);
+      }
+    }
+
+    this.metrics.hits += cids.length - missing.length;
+    this.metrics.misses += missing.length;
+
+    return cids.map((cid, i) => {
+      const row = cached.get(keys[i]);
+      if (row) {
+        const signature = row.signature ? JSON.parse(row.signature) : null;
+        return { cid, valid: !!row.valid, owner: row.owner, source: row.source, signature, cached: true };
+      }
+      const result = fresh.get(keys[i]) || { valid: false, owner: null };
+      return { cid, valid: !!result.valid, owner: result.owner || null, source, signature: result.signature || null, cached: false };
+    });
+  }
+
+  async store(result, source) {
+    const ttl = result.valid ? this.ttlSeconds : this.negativeTtlSeconds;
+    if (ttl === 0) {
+      return;
+    }
+    try {
+      await this.db.cacheValidation({ ...result, source }, ttl);
+    } catch (error) {
+      logger.warn(`Failed to cache validation of ${result.cid}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Hit/miss counts since startup and cached entries, for the stats page
+   */
+  async getStats() {
+    const lookups = this.metrics.hits + this.metrics.misses;
+    return {
+      enabled: this.enabled,
+      ttl_hours: config.validation_cache.ttl_hours,
+      negative_ttl_minutes: config.validation_cache.negative_ttl_minutes,
+      ...this.metrics,
+      hit_rate: lookups > 0 ? (this.metrics.hits / lookups) * 100 : null,
+      entries: await this.db.getValidationCacheCounts()
+    };
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getValidationCache() {
+  if (!instance) {
+    instance = new ValidationCache();
+  }
+  return instance;
+}
+
+module.exports = { ValidationCache, getValidationCache };
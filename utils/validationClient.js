@@ -1,99 +1,240 @@
 const axios = require('axios');
 const config = require('./config');
 const logger = require('./logger');
+const { verifySignedResult } = require('./validationSignature');
 
 /**
  * Validation Client
- * 
+ *
  * For community nodes to validate CIDs via remote API
  * instead of direct MongoDB access
+ *
+ * Requests go to the first usable server in VALIDATION_SERVER_URLS and fail
+ * over to the next one. Each server has a circuit breaker: after
+ * VALIDATION_BREAKER_THRESHOLD consecutive failures it is skipped for
+ * VALIDATION_BREAKER_COOLDOWN_SECONDS, then let back in once its /health
+ * check passes (half-open); one more failure opens it again. When no server
+ * answers, requests throw and the validator marks the pins
+ * validation_unavailable rather than invalid.
+ *
+ * Every result must be signed by one of VALIDATION_TRUSTED_KEYS (required by
+ * config for the api provider) within VALIDATION_MAX_RESPONSE_AGE_SECONDS, or
+ * the whole response is rejected (see utils/validationSignature.js) and
+ * counts as a failure of that server. A client without trusted keys accepts
+ * nothing
  */
 
+// Most CIDs /api/validate/batch accepts per request
+const BATCH_LIMIT = 100;
+
+/**
+ * Short reason for a failed request
+ */
+function describeError(error) {
+  if (error.response) {
+    return `${error.response.status} ${error.response.statusText}`;
+  }
+  if (error.code === 'ECONNABORTED') {
+    return 'timed out';
+  }
+  return error.message;
+}
+
 class ValidationClient {
-  constructor() {
-    this.serverUrl = process.env.VALIDATION_SERVER_URL || config.validation?.server_url || 'https://admin-hotipfs-1.3speak.tv';
-    this.timeout = 30000;
+  constructor(urls = config.validation.server_urls) {
+    this.endpoints = urls.map(url => ({
+      url,
+      state: 'closed',
+      failures: 0,
+      opened_at: null,
+      last_error: null,
+      last_success_at: null
+    }));
+    this.timeout = config.validation.timeout_ms;
+    this.breakerThreshold = config.validation.breaker_threshold;
+    this.cooldownMs = config.validation.breaker_cooldown_seconds * 1000;
+    this.trustedKeys = config.validation.trusted_keys;
   }
 
   /**
-   * Validate a single CID via remote API
+   * Throw unless every requested CID has a result signed by a trusted
+   * validation server; a dropped result would otherwise read as invalid
    */
-  async validateCID(cid) {
-    try {
-      const response = await axios.post(
-        `${this.serverUrl}/api/validate/cid/${cid}`,
-        {},
-        {
-          timeout: this.timeout,
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      return response.data.valid;
-    } catch (error) {
-      if (error.response) {
-        logger.error(`Validation API error for ${cid}: ${error.response.status} ${error.response.statusText}`);
-      } else if (error.request) {
-        logger.error(`Validation API timeout for ${cid}: No response from server`);
-      } else {
-        logger.error(`Validation request error for ${cid}:`, error.message);
+  checkSignatures(cids, results, serverUrl) {
+    if (Object.keys(this.trustedKeys).length === 0) {
+      throw new Error(`Rejected validation response from ${serverUrl}: VALIDATION_TRUSTED_KEYS is not set`);
+    }
+    const answered = new Set(results.map(result => result.cid));
+    const missing = cids.filter(cid => !answered.has(cid));
+    if (missing.length > 0) {
+      throw new Error(`Rejected validation response from ${serverUrl}: no result for ${missing.length} CID(s)`);
+    }
+    for (const result of results) {
+      const problem = verifySignedResult(result, this.trustedKeys);
+      if (problem) {
+        throw new Error(`Rejected validation response from ${serverUrl} for ${result.cid}: ${problem}`);
       }
-      throw error;
     }
   }
 
   /**
-   * Batch validate multiple CIDs via remote API
+   * POST to the first server that answers, failing over down the list
+   * @param {string} path - API path, e.g. /api/validate/batch
+   * @param {object} body
+   * @param {Function} check - (data, serverUrl) => throws if the response can't be used
+   * @returns {Promise<object>} Response body
    */
-  async validateCIDs(cids) {
-    try {
-      logger.info(`Validating ${cids.length} CIDs via remote API: ${this.serverUrl}`);
+  async request(path, body, check) {
+    const errors = [];
+
+    for (const endpoint of this.endpoints) {
+      if (endpoint.state === 'open') {
+        if (Date.now() - endpoint.opened_at < this.cooldownMs) {
+          continue;
+        }
+        if (!(await this.probe(endpoint))) {
+          errors.push(`${endpoint.url}: health check failed`);
+          continue;
+        }
+      }
 
-      const response = await axios.post(
-        `${this.serverUrl}/api/validate/batch`,
-        { cids },
-        {
+      try {
+        const response = await axios.post(`${endpoint.url}${path}`, body, {
           timeout: this.timeout,
           headers: {
             'Content-Type': 'application/json'
           }
-        }
-      );
+        });
+        check(response.data, endpoint.url);
+        this.succeeded(endpoint);
+        return response.data;
+      } catch (error) {
+        const reason = describeError(error);
+        logger.warn(`Validation server ${endpoint.url} failed: ${reason}`);
+        this.failed(endpoint, reason);
+        errors.push(`${endpoint.url}: ${reason}`);
+      }
+    }
 
-      logger.info(`Batch validation complete: ${response.data.summary.valid}/${response.data.summary.total} valid`);
+    throw new Error(`Validation unavailable: ${errors.join('; ') || 'all validation servers are cooling down'}`);
+  }
 
-      return response.data.results;
-    } catch (error) {
-      if (error.response) {
-        logger.error(`Batch validation API error: ${error.response.status} ${error.response.statusText}`);
-        logger.error('Response data:', error.response.data);
-      } else if (error.request) {
-        logger.error('Batch validation API timeout: No response from server');
-      } else {
-        logger.error('Batch validation request error:', error.message);
+  /**
+   * Half-open an open circuit whose cooldown has passed: let the server back
+   * in if its health check passes, otherwise keep it open for another cooldown
+   */
+  async probe(endpoint) {
+    endpoint.state = 'half_open';
+    if (await this.ping(endpoint.url)) {
+      return true;
+    }
+    this.failed(endpoint, 'health check failed');
+    return false;
+  }
+
+  failed(endpoint, reason) {
+    endpoint.failures++;
+    endpoint.last_error = reason;
+
+    if (endpoint.state === 'half_open' || endpoint.failures >= this.breakerThreshold) {
+      if (endpoint.state === 'closed') {
+        logger.warn(`Circuit opened for validation server ${endpoint.url} after ${endpoint.failures} failure(s)`);
       }
-      throw error;
+      endpoint.state = 'open';
+      endpoint.opened_at = Date.now();
     }
   }
 
+  succeeded(endpoint) {
+    if (endpoint.state !== 'closed') {
+      logger.info(`Circuit closed for validation server ${endpoint.url}`);
+    }
+    endpoint.state = 'closed';
+    endpoint.failures = 0;
+    endpoint.opened_at = null;
+    endpoint.last_success_at = new Date().toISOString();
+  }
+
+  /**
+   * Validate a single CID via remote API
+   */
+  async validateCID(cid) {
+    const data = await this.request(
+      `/api/validate/cid/${cid}`,
+      {},
+      (response, serverUrl) => this.checkSignatures([cid], [response], serverUrl)
+    );
+    return data.valid;
+  }
+
   /**
-   * Check if validation server is accessible
+   * Batch validate multiple CIDs via remote API, BATCH_LIMIT per request
    */
-  async healthCheck() {
-    try {
-      const response = await axios.get(
-        `${this.serverUrl}/health`,
-        { timeout: 5000 }
+  async validateCIDs(cids) {
+    logger.info(`Validating ${cids.length} CIDs via remote API`);
+
+    const results = [];
+    for (let i = 0; i < cids.length; i += BATCH_LIMIT) {
+      const chunk = cids.slice(i, i + BATCH_LIMIT);
+      const data = await this.request(
+        '/api/validate/batch',
+        { cids: chunk },
+        (response, serverUrl) => this.checkSignatures(chunk, response.results, serverUrl)
       );
+      results.push(...data.results);
+    }
+
+    logger.info(`Batch validation complete: ${results.filter(result => result.valid).length}/${cids.length} valid`);
+    return results;
+  }
 
+  async ping(url) {
+    try {
+      const response = await axios.get(`${url}/health`, { timeout: 5000 });
       return response.status === 200;
     } catch (error) {
-      logger.warn(`Validation server health check failed: ${this.serverUrl}`);
+      logger.debug(`Validation server health check failed: ${url}`);
       return false;
     }
   }
+
+  /**
+   * Check every validation server's /health, closing the circuit of those
+   * that answer and opening it for those that don't
+   * @returns {Promise<boolean>} True if any server is healthy
+   */
+  async healthCheck() {
+    let healthy = false;
+    for (const endpoint of this.endpoints) {
+      if (await this.ping(endpoint.url)) {
+        this.succeeded(endpoint);
+        healthy = true;
+      } else {
+        if (endpoint.state !== 'open') {
+          logger.warn(`Circuit opened for validation server ${endpoint.url}: health check failed`);
+        }
+        endpoint.last_error = 'health check failed';
+        endpoint.state = 'open';
+        endpoint.opened_at = Date.now();
+      }
+    }
+    return healthy;
+  }
+
+  /**
+   * Circuit state of each validation server, for the stats page
+   */
+  getStatus() {
+    return this.endpoints.map(endpoint => ({
+      url: endpoint.url,
+      state: endpoint.state,
+      failures: endpoint.failures,
+      opened_at: endpoint.opened_at ? new Date(endpoint.opened_at).toISOString() : null,
+      retry_at: endpoint.state === 'open' ? new Date(endpoint.opened_at + this.cooldownMs).toISOString() : null,
+      last_error: endpoint.last_error,
+      last_success_at: endpoint.last_success_at
+    }));
+  }
 }
 
 // Singleton instance
@@ -0,0 +1,347 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const { getMongoDBClient } = require('./mongo');
+const { getValidationClient } = require('./validationClient');
+const { getIPFSClient } = require('./ipfs');
+const { getValidationCache } = require('./validationCache');
+const { ed25519PublicKey } = require('./validationSignature');
+const { forEachWithConcurrency } = require('./concurrency');
+const logger = require('./logger');
+const config = require('./config');
+
+/**
+ * Validation Providers
+ *
+ * Each provider looks at a batch of pins and gives a verdict per CID:
+ * valid, invalid, abstain when it has no opinion (e.g. no Hive post
+ * metadata on the pin), or error when the lookup for that CID failed. A
+ * provider that throws leaves the batch to the rest of the chain; either
+ * kind of failure leaves the CID undecided if no other provider decides it.
+ *
+ *   mongodb  - 3Speak video collections (infrastructure nodes)
+ *   api      - remote validation server (community nodes)
+ *   list     - static allowlist/denylist file (VALIDATION_LIST_FILE)
+ *   hive     - the pin's owner/permlink post references the CID (HIVE_RPC_URL)
+ *   manifest - the CID's directory is signed by a trusted key
+ *
+ * ValidationChain asks the providers in VALIDATION_PROVIDERS order. A CID is
+ * valid once VALIDATION_REQUIRED_AGREEMENT providers accepted it, invalid as
+ * soon as one rejects it; providers after that aren't asked about it.
+ *
+ * The mongodb and api lookups go through the validation cache, shared with
+ * the public validate API; the other providers are cheap or local enough to
+ * ask every time. Re-validation passes { refresh: true } to skip cached
+ * verdicts.
+ */
+
+const HIVE_TIMEOUT_MS = 10000;
+
+const verdict = (result, detail = null, owner = null, cached = false, signature = null) => ({ verdict: result, detail, owner, cached, signature });
+
+/**
+ * What a directory signature covers: the name and CID of every entry except
+ * the signature file itself, one "name cid" line each, sorted. The signature
+ * can't sign the directory CID it is part of; this binds it to the same
+ * contents instead, so copied next to other files it no longer verifies
+ * @param {Array<{name: string, cid: string}>} entries - From IPFSClient.ls()
+ * @returns {Buffer}
+ */
+function manifestSigningPayload(entries, signatureFile = config.validation.manifest_signature_file) {
+  const lines = entries
+    .filter(entry => entry.name !== signatureFile)
+    .map(entry => `${entry.name} ${entry.cid}`)
+    .sort();
+  return Buffer.from(`hotnode-manifest-v1\n${lines.join('\n')}\n`);
+}
+
+class MongoProvider {
+  constructor() {
+    this.name = 'mongodb';
+    this.mongo = getMongoDBClient();
+    this.cache = getValidationCache();
+  }
+
+  async validate(pins, options = {}) {
+    const results = await this.cache.validate(pins.map(pin => pin.cid), cids => this.mongo.validateCIDs(cids), this.name, options);
+    return new Map(results.map(result => [
+      result.cid,
+      result.valid
+        ? verdict('valid', 'found in video collections', result.owner, result.cached)
+        : verdict('invalid', 'not in MongoDB', null, result.cached)
+    ]));
+  }
+}
+
+class RemoteProvider {
+  constructor() {
+    this.name = 'api';
+    this.client = getValidationClient();
+    this.cache = getValidationCache();
+  }
+
+  /**
+   * Signed verdicts keep what was signed next to the signature, so the pin's
+   * copy can be re-verified on its own
+   */
+  async validate(pins, options = {}) {
+    const results = await this.cache.validate(pins.map(pin => pin.cid), cids => this.client.validateCIDs(cids), this.name, options);
+    return new Map(results.map(result => {
+      const signature = result.signature ? { ...result.signature, valid: result.valid, owner: result.owner || null } : null;
+      const server = signature ? `validation server ${signature.node_id}` : 'validation server';
+      return [
+        result.cid,
+        result.valid
+          ? verdict('valid', `accepted by ${server}`, result.owner, result.cached, signature)
+          : verdict('invalid', `rejected by ${server}`, null, result.cached, signature)
+      ];
+    }));
+  }
+}
+
+class ListProvider {
+  constructor(path = config.validation.list_file) {
+    this.name = 'list';
+    this.path = path;
+  }
+
+  /**
+   * Read the list on every batch, so edits apply without a restart
+   */
+  load() {
+    const list = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    return { allow: new Set(list.allow || []), deny: new Set(list.deny || []) };
+  }
+
+  async validate(pins) {
+    let list;
+    try {
+      list = this.load();
+    } catch (error) {
+      throw new Error(`Cannot read validation list ${this.path}: ${error.message}`);
+    }
+
+    return new Map(pins.map(pin => {
+      if (list.deny.has(pin.cid)) return [pin.cid, verdict('invalid', 'denylisted')];
+      if (list.allow.has(pin.cid)) return [pin.cid, verdict('valid', 'allowlisted')];
+      return [pin.cid, verdict('abstain')];
+    }));
+  }
+}
+
+class HiveProvider {
+  constructor(rpcUrl = config.validation.hive_rpc_url, concurrency = config.validation.hive_concurrency) {
+    this.name = 'hive';
+    this.rpcUrl = rpcUrl;
+    this.concurrency = concurrency;
+  }
+
+  async getPost(author, permlink) {
+    const response = await axios.post(this.rpcUrl, {
+      jsonrpc: '2.0',
+      method: 'condenser_api.get_content',
+      params: [author, permlink],
+      id: 1
+    }, { timeout: HIVE_TIMEOUT_MS });
+
+    if (response.data.error) {
+      throw new Error(`Hive RPC error: ${response.data.error.message}`);
+    }
+    return response.data.result;
+  }
+
+  async check(pin) {
+    if (!pin.owner || !pin.permlink) {
+      return verdict('abstain');
+    }
+
+    let post;
+    try {
+      post = await this.getPost(pin.owner, pin.permlink);
+    } catch (error) {
+      return verdict('error', error.message);
+    }
+
+    if (!post || !post.author) {
+      return verdict('invalid', `no post @${pin.owner}/${pin.permlink}`);
+    }
+    if (`${post.body || ''}\n${post.json_metadata || ''}`.includes(pin.cid)) {
+      return verdict('valid', `post @${post.author}/${post.permlink}`, post.author);
+    }
+    return verdict('invalid', `post @${post.author}/${post.permlink} does not reference the CID`);
+  }
+
+  /**
+   * Only pins registered with an owner and permlink (POST /api/ingest) can
+   * be checked; the rest get no opinion. Posts are looked up
+   * HIVE_RPC_CONCURRENCY at a time, and a failed lookup only affects its pin
+   */
+  async validate(pins) {
+    const verdicts = new Map();
+    await forEachWithConcurrency(pins, this.concurrency, async (pin) => {
+      verdicts.set(pin.cid, await this.check(pin));
+    });
+    return verdicts;
+  }
+}
+
+class ManifestProvider {
+  constructor(keys = config.validation.manifest_keys, signatureFile = config.validation.manifest_signature_file) {
+    this.name = 'manifest';
+    this.ipfs = getIPFSClient();
+    this.signatureFile = signatureFile;
+    this.keys = new Map(Object.entries(keys).map(([signer, key]) => [signer, ed25519PublicKey(key)]));
+  }
+
+  /**
+   * The signature file is JSON: { signer, signature }, where signature is the
+   * base64 Ed25519 signature of manifestSigningPayload() for the directory by
+   * the signer's key. CIDs without one get no opinion.
+   */
+  async check(cid) {
+    const raw = await this.ipfs.cat(`${cid}/${this.signatureFile}`, 64 * 1024);
+    if (!raw) {
+      return verdict('abstain');
+    }
+
+    let signed;
+    try {
+      signed = JSON.parse(raw.toString('utf8'));
+    } catch (error) {
+      return verdict('invalid', `unreadable ${this.signatureFile}`);
+    }
+
+    const key = this.keys.get(signed.signer);
+    if (!key) {
+      return verdict('invalid', `unknown signer ${signed.signer}`);
+    }
+
+    const payload = manifestSigningPayload(await this.ipfs.ls(cid), this.signatureFile);
+    const ok = crypto.verify(null, payload, key, Buffer.from(signed.signature || '', 'base64'));
+    return ok
+      ? verdict('valid', `directory signed by ${signed.signer}`)
+      : verdict('invalid', `bad directory signature for ${signed.signer}`);
+  }
+
+  async validate(pins) {
+    const verdicts = new Map();
+    for (const pin of pins) {
+      verdicts.set(pin.cid, await this.check(pin.cid));
+    }
+    return verdicts;
+  }
+}
+
+const PROVIDERS = {
+  mongodb: MongoProvider,
+  api: RemoteProvider,
+  list: ListProvider,
+  hive: HiveProvider,
+  manifest: ManifestProvider
+};
+
+class ValidationChain {
+  constructor(providers, requiredAgreement = 1) {
+    this.providers = providers;
+    this.requiredAgreement = requiredAgreement;
+    this.name = providers.map(provider => provider.name).join(',');
+  }
+
+  /**
+   * Validate pins through the chain
+   * @param {Array<object>} pins - Pin rows (cid, plus owner/permlink for hive)
+   * @param {object} options - refresh: look past cached verdicts (re-validation)
+   * @returns {Promise<Array<{cid, valid, owner, source, detail, cached, signature}>>}
+   *   valid is null when a provider failed and the rest couldn't decide; retry
+   *   later. cached is set when a verdict came from the validation cache,
+   *   signature when the validation server signed it (api)
+   */
+  async validate(pins, options = {}) {
+    const state = new Map(pins.map(pin => [pin.cid, { accepted: [], rejected: null, owner: null, errors: [], cached: false, signature: null }]));
+    const decided = entry => entry.rejected || entry.accepted.length >= this.requiredAgreement;
+    let open = pins;
+
+    for (const provider of this.providers) {
+      if (open.length === 0) {
+        break;
+      }
+
+      let verdicts;
+      try {
+        verdicts = await provider.validate(open, options);
+      } catch (error) {
+        logger.warn(`Validation provider ${provider.name} failed: ${error.message}`);
+        open.forEach(pin => state.get(pin.cid).errors.push(`${provider.name}: ${error.message}`));
+        continue;
+      }
+
+      for (const pin of open) {
+        const entry = state.get(pin.cid);
+        const result = verdicts.get(pin.cid) || verdict('abstain');
+        entry.cached = entry.cached || result.cached;
+        if (result.verdict === 'invalid') {
+          entry.rejected = { name: provider.name, detail: result.detail };
+          entry.signature = result.signature || null;
+        } else if (result.verdict === 'error') {
+          entry.errors.push(`${provider.name}: ${result.detail}`);
+        } else if (result.verdict === 'valid') {
+          entry.accepted.push({ name: provider.name, detail: result.detail });
+          entry.owner = entry.owner || result.owner || null;
+          entry.signature = entry.signature || result.signature || null;
+        }
+      }
+      open = open.filter(pin => !decided(state.get(pin.cid)));
+    }
+
+    return pins.map(pin => {
+      const { cached, signature } = state.get(pin.cid);
+      return { ...this.decide(pin.cid, state.get(pin.cid)), cached, signature };
+    });
+  }
+
+  decide(cid, { accepted, rejected, owner, errors }) {
+    if (rejected) {
+      return { cid, valid: false, owner: null, source: rejected.name, detail: rejected.detail };
+    }
+    if (accepted.length >= this.requiredAgreement) {
+      return {
+        cid,
+        valid: true,
+        owner,
+        source: accepted.map(entry => entry.name).join('+'),
+        detail: accepted.map(entry => entry.detail).filter(Boolean).join('; ') || null
+      };
+    }
+    if (errors.length > 0) {
+      return { cid, valid: null, owner: null, source: null, detail: errors.join('; ') };
+    }
+    return {
+      cid,
+      valid: false,
+      owner: null,
+      source: accepted.map(entry => entry.name).join('+') || 'none',
+      detail: accepted.length > 0
+        ? `only ${accepted.length} of ${this.requiredAgreement} required providers accepted`
+        : 'no provider accepted'
+    };
+  }
+}
+
+/**
+ * The chain configured by VALIDATION_PROVIDERS and VALIDATION_REQUIRED_AGREEMENT
+ */
+function createValidationChain() {
+  const providers = config.validation.providers.map(name => new PROVIDERS[name]());
+  return new ValidationChain(providers, config.validation.required_agreement);
+}
+
+module.exports = {
+  ValidationChain,
+  createValidationChain,
+  MongoProvider,
+  RemoteProvider,
+  ListProvider,
+  HiveProvider,
+  ManifestProvider,
+  manifestSigningPayload
+};
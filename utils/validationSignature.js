@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const config = require('./config');
+
+/**
+ * Validation Signatures
+ *
+ * Infrastructure nodes sign every result of /api/validate/cid and
+ * /api/validate/batch with an Ed25519 node key, so community nodes can tell
+ * a verdict really came from a validation server they trust and isn't being
+ * replayed. Each result carries its own signature:
+ *
+ *   { node_id, timestamp, signature }
+ *
+ * over the node ID, timestamp, CID, verdict and owner (see signedMessage), so
+ * a single pin's verdict can be re-checked later from what is stored on it
+ * (pins.validation_signature).
+ *
+ * The signing key is read from VALIDATION_SIGNING_KEY_FILE (PKCS#8 PEM) and
+ * generated there on first use. Community nodes list the public keys they
+ * trust in VALIDATION_TRUSTED_KEYS as nodeId:base64 (GET /api/validate/key
+ * on the validation server prints its entry).
+ */
+
+const MESSAGE_VERSION = 'hotnode-validation-v1';
+
+// DER prefix turning a raw 32-byte Ed25519 public key into SPKI
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+/**
+ * Build a public key object from a base64 raw Ed25519 key
+ */
+function ed25519PublicKey(base64) {
+  return crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(base64, 'base64')]),
+    format: 'der',
+    type: 'spki'
+  });
+}
+
+/**
+ * The exact bytes signed for one validation result
+ */
+function signedMessage(nodeId, timestamp, { cid, valid, owner }) {
+  return Buffer.from(JSON.stringify([MESSAGE_VERSION, nodeId, timestamp, cid, !!valid, owner || null]));
+}
+
+class ValidationSigner {
+  constructor(nodeId = config.validation.node_id, keyFile = config.validation.signing_key_file) {
+    this.nodeId = nodeId;
+    this.keyFile = keyFile;
+    this.privateKey = this.loadKey();
+    this.publicKey = crypto.createPublicKey(this.privateKey)
+      .export({ format: 'der', type: 'spki' })
+      .subarray(ED25519_SPKI_PREFIX.length)
+      .toString('base64');
+  }
+
+  loadKey() {
+    if (fs.existsSync(this.keyFile)) {
+      const key = crypto.createPrivateKey(fs.readFileSync(this.keyFile));
+      if (key.asymmetricKeyType !== 'ed25519') {
+        throw new Error(`${this.keyFile} is not an Ed25519 private key`);
+      }
+      return key;
+    }
+
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    fs.mkdirSync(path.dirname(this.keyFile), { recursive: true });
+    fs.writeFileSync(this.keyFile, privateKey.export({ format: 'pem', type: 'pkcs8' }), { mode: 0o600 });
+    logger.info(`Generated validation signing key at ${this.keyFile}`);
+    return privateKey;
+  }
+
+  /**
+   * The VALIDATION_TRUSTED_KEYS entry community nodes need for this node
+   */
+  get trustedKeyEntry() {
+    return `${this.nodeId}:${this.publicKey}`;
+  }
+
+  /**
+   * Sign one validation result
+   * @param {object} result - { cid, valid, owner }
+   * @returns {{node_id: string, timestamp: string, signature: string}}
+   */
+  sign(result) {
+    const timestamp = new Date().toISOString();
+    const signature = crypto.sign(null, signedMessage(this.nodeId, timestamp, result), this.privateKey);
+    return { node_id: this.nodeId, timestamp, signature: signature.toString('base64') };
+  }
+}
+
+/**
+ * Check a signed validation result against trusted keys
+ * @param {object} result - { cid, valid, owner, signature: { node_id, timestamp, signature } }
+ * @param {object} trustedKeys - nodeId -> base64 public key (VALIDATION_TRUSTED_KEYS)
+ * @param {number} maxAgeSeconds - Oldest timestamp accepted; 0 skips the check (re-verifying stored signatures)
+ * @returns {string|null} Why the result can't be trusted, or null if it can
+ */
+function verifySignedResult(result, trustedKeys = config.validation.trusted_keys, maxAgeSeconds = config.validation.max_response_age_seconds) {
+  const signed = result.signature;
+  if (!signed || !signed.signature || !signed.node_id || !signed.timestamp) {
+    return 'unsigned';
+  }
+
+  const key = trustedKeys[signed.node_id];
+  if (!key) {
+    return `untrusted node ${signed.node_id}`;
+  }
+
+  const signedAt = Date.parse(signed.timestamp);
+  if (Number.isNaN(signedAt)) {
+    return `bad timestamp ${signed.timestamp}`;
+  }
+  if (maxAgeSeconds > 0 && Math.abs(Date.now() - signedAt) > maxAgeSeconds * 1000) {
+    return `stale (signed ${signed.timestamp})`;
+  }
+
+  const ok = crypto.verify(
+    null,
+    signedMessage(signed.node_id, signed.timestamp, result),
+    ed25519PublicKey(key),
+    Buffer.from(signed.signature, 'base64')
+  );
+  return ok ? null : 'bad signature';
+}
+
+// Singleton instance
+let instance = null;
+
+function getValidationSigner() {
+  if (!instance) {
+    instance = new ValidationSigner();
+  }
+  return instance;
+}
+
+module.exports = {
+  ValidationSigner,
+  getValidationSigner,
+  verifySignedResult,
+  signedMessage,
+  ed25519PublicKey
+};
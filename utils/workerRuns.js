@@ -0,0 +1,140 @@
+const { getDatabase } = require('./database');
+const logger = require('./logger');
+
+/**
+ * Worker Runs
+ *
+ * Records each execution of a worker in worker_runs, with every CID it
+ * touched in worker_run_items. Workers start a run, report items and errors
+ * as they go, and finish (or fail) it at the end.
+ *
+ * Recording is best effort: a run-history write failing is logged and never
+ * fails the worker itself.
+ */
+
+class WorkerRun {
+  constructor(db, id, worker, triggeredBy) {
+    this.db = db;
+    this.id = id;
+    this.worker = worker;
+    this.triggeredBy = triggeredBy;
+    this.items = 0;
+    this.errors = [];
+  }
+
+  /**
+   * Record a CID this run acted on
+   * @param {string} cid
+   * @param {string} action - What happened to it (e.g. unpinned, migrated, failed)
+   * @param {string} detail - Optional rule, reason or error message
+   */
+  async item(cid, action, detail = null) {
+    this.items++;
+    if (this.id === null) {
+      return;
+    }
+    try {
+      await this.db.addWorkerRunItem(this.id, cid, action, detail);
+    } catch (error) {
+      logger.warn(`Failed to record ${this.worker} run item for ${cid}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record an error; the full list is kept on the run
+   */
+  error(message) {
+    this.errors.push(message);
+  }
+
+  /**
+   * Finish the run
+   * @param {object} summary - Outcome counts
+   * @param {Array<string>} errors - Errors not already recorded with error()
+   */
+  async finish(summary = null, errors = []) {
+    this.errors.push(...errors);
+    await this.close(this.errors.length > 0 ? 'partial' : 'success', summary);
+  }
+
+  /**
+   * Mark the run failed
+   * @param {Error} error - What stopped it; recorded last
+   * @param {object} summary - Outcome counts up to the failure
+   * @param {Array<string>} errors - Errors not already recorded with error()
+   */
+  async fail(error, summary = null, errors = []) {
+    this.errors.push(...errors, error.message || String(error));
+    await this.close('failed', summary);
+  }
+
+  /**
+   * Drop a run that turned out to have nothing to record
+   */
+  async discard() {
+    if (this.id === null) {
+      return;
+    }
+    try {
+      await this.db.deleteWorkerRun(this.id);
+    } catch (error) {
+      logger.warn(`Failed to discard ${this.worker} run ${this.id}: ${error.message}`);
+    }
+  }
+
+  async close(status, summary) {
+    if (this.id === null) {
+      return;
+    }
+    try {
+      await this.db.finishWorkerRun(this.id, {
+        status,
+        summary,
+        errors: this.errors,
+        itemCount: this.items
+      });
+    } catch (error) {
+      logger.warn(`Failed to finish ${this.worker} run ${this.id}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Start recording a worker run
+ * @param {string} worker - Worker name (cleanup, migration, validator, ...)
+ * @param {string} triggeredBy - What started it: scheduled, manual, api, startup, ...
+ * @returns {Promise<WorkerRun>}
+ */
+async function startRun(worker, triggeredBy = 'scheduled') {
+  const db = getDatabase();
+  let id = null;
+  try {
+    id = await db.insertWorkerRun(worker, triggeredBy);
+  } catch (error) {
+    logger.warn(`Failed to record ${worker} run start: ${error.message}`);
+  }
+  return new WorkerRun(db, id, worker, triggeredBy);
+}
+
+/**
+ * Parse the JSON columns of a worker_runs row
+ */
+function formatRun(row) {
+  if (!row) {
+    return null;
+  }
+  const parse = (value, fallback) => {
+    try {
+      return value ? JSON.parse(value) : fallback;
+    } catch (error) {
+      return fallback;
+    }
+  };
+  return {
+    ...row,
+    summary: parse(row.summary, null),
+    ...(row.errors !== undefined ? { errors: parse(row.errors, []) } : {})
+  };
+}
+
+module.exports = { startRun, formatRun, WorkerRun };
@@ -1,6 +1,12 @@
 const { getDatabase } = require('../utils/database');
 const { getIPFSClient } = require('../utils/ipfs');
 const { getDiscordNotifier } = require('../utils/discord');
+const { getDeepVerifier } = require('../utils/deepVerifier');
+const { replicaTargets } = require('../utils/migrationTargets');
+const { getQuarantine } = require('../utils/quarantine');
+const { getMaintenanceWindow } = require('../utils/maintenance');
+const { getRetentionPolicy } = require('../utils/retentionPolicy');
+const { startRun } = require('../utils/workerRuns');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
 
@@ -9,57 +15,158 @@ const config = require('../utils/config');
  * 
  * Unpins migrated and invalid content, runs garbage collection
  * Frequency: Daily at 2 AM (configurable)
+ * 
+ * What is unpinned when is decided by the retention policy
+ * (utils/retentionPolicy.js); each unpin records the rule behind it.
+ * 
+ * With CLEANUP_WATERMARK_HIGH set, disk pressure is also checked every few
+ * minutes: above the high watermark, verified migrated pins are unpinned
+ * early (least recently served first) until usage is below the low watermark.
+ *
+ * GC and disk-pressure runs hold the maintenance window (MAINTENANCE_DURING_GC)
+ * so the Traffic Director sends uploads elsewhere meanwhile.
+ *
+ * Every run, and every disk-pressure cleanup that unpins, is recorded in
+ * worker_runs with the CIDs it unpinned, archived or failed on.
  */
 
+// GC passes per disk-pressure run before giving up on reaching the low watermark
+const MAX_PRESSURE_ROUNDS = 3;
+
+// Log GC progress every this many removed keys
+const GC_PROGRESS_KEYS = 10000;
+
+// Slack on top of CLEANUP_GC_TIMEOUT_MINUTES before a GC maintenance window expires
+const GC_MAINTENANCE_GRACE_MINUTES = 10;
+
 class CleanupWorker {
   constructor() {
     this.db = getDatabase();
     this.ipfs = getIPFSClient();
     this.discord = getDiscordNotifier();
-    this.deleteDays = config.migration.delete_after_days;
-    this.invalidRetentionDays = config.cleanup.invalid_retention_days;
+    this.quarantine = getQuarantine();
+    this.maintenance = getMaintenanceWindow();
+    this.maintenanceDuringGC = config.maintenance.during_gc;
+    this.retention = getRetentionPolicy();
+    this.gcTimeoutMinutes = config.cleanup.gc_timeout_minutes;
+    this.gcSkipIfIdle = config.cleanup.gc_skip_if_idle;
+    this.deepVerify = config.cleanup.deep_verify;
+    this.watermarkHigh = config.cleanup.watermark_high;
+    this.watermarkLow = config.cleanup.watermark_low;
+    this.busy = false;
   }
 
   /**
-   * Unpin migrated content (older than 7 days)
+   * Deep-verify a migrated pin unless it already passed
+   * Records the result and timestamp on the pin
+   * @returns {Promise<boolean>} - true if the pin may be unpinned
    */
-  async unpinMigratedContent() {
+  async ensureDeepVerified(pin) {
+    if (pin.deep_verify_status === 'passed') {
+      return true;
+    }
+
+    // Check the targets that hold verified replicas
+    const targets = replicaTargets(await this.db.getPinReplicas(pin.cid));
+
+    const required = Math.max(1, Math.min(config.supernode.required_replicas, targets.length));
+    const result = await getDeepVerifier().verify(pin.cid, targets, required);
+
+    await this.db.updatePin(pin.cid, {
+      deep_verify_status: result.passed ? 'passed' : 'failed',
+      deep_verified_at: result.checked_at,
+      deep_verify_details: JSON.stringify(result)
+    });
+
+    if (!result.passed) {
+      const reasons = result.error
+        ? [result.error]
+        : result.targets.filter(t => !t.passed).map(t => `${t.target}: ${t.error}`);
+
+      await this.db.logEvent({
+        event_type: 'deep_verify_failed',
+        severity: 'warning',
+        message: `Deep verification failed, keeping local copy: ${pin.cid}`,
+        metadata: { cid: pin.cid, reasons }
+      });
+    }
+
+    return result.passed;
+  }
+
+  /**
+   * Unpin one migrated pin from the hot node into quarantine
+   * @param {object} pin - Pin row
+   * @param {object} options - Passed to Quarantine.unpin (notes, hold)
+   * @returns {Promise<boolean>} - false if deep verification refused the unpin
+   */
+  async unpinMigratedPin(pin, options = {}) {
+    // Never remove the hot copy of content that failed deep verification
+    if (this.deepVerify && !(await this.ensureDeepVerified(pin))) {
+      logger.warn(`Refusing to unpin ${pin.cid}: deep verification not passed`);
+      return false;
+    }
+
+    await this.quarantine.unpin(pin.cid, options);
+    return true;
+  }
+
+  /**
+   * Pins the retention policy says to unpin now
+   * @returns {Promise<Array<{pin: object, decision: object}>>}
+   */
+  async getDueForUnpin() {
+    const now = Date.now();
+    const pins = await this.db.getPinsForRetention();
+
+    return pins
+      .map(pin => ({ pin, decision: this.retention.evaluate(pin, now) }))
+      .filter(({ decision }) => decision.due);
+  }
+
+  /**
+   * Unpin migrated content the retention policy no longer keeps
+   * @param {Array<{pin: object, decision: object}>} due - Valid pins from getDueForUnpin()
+   * @param {WorkerRun} run - Records each CID
+   */
+  async unpinMigratedContent(due, run) {
     try {
-      const pins = await this.db.getMigratedPinsForCleanup(this.deleteDays);
-      
-      if (pins.length === 0) {
+      if (due.length === 0) {
         logger.info('No migrated pins to unpin');
-        return { unpinned: 0, bytesFreed: 0, errors: [] };
+        return { unpinned: 0, refused: 0, bytesFreed: 0, rules: {}, errors: [] };
       }
 
-      logger.info(`Found ${pins.length} migrated pins to unpin`);
+      logger.info(`Found ${due.length} migrated pins to unpin`);
 
       let unpinned = 0;
+      let refused = 0;
       let bytesFreed = 0;
+      const rules = {};
       const errors = [];
 
-      for (const pin of pins) {
+      for (const { pin, decision } of due) {
         try {
-          // Unpin from hot node
-          await this.ipfs.pinRm(pin.cid);
-          
-          // Update database
-          await this.db.updatePin(pin.cid, {
-            unpinned: 1,
-            unpinned_at: new Date().toISOString()
-          });
+          const options = { notes: `Unpinned by retention rule ${decision.rule}`, rule: decision.rule };
+          if (!(await this.unpinMigratedPin(pin, options))) {
+            refused++;
+            await run.item(pin.cid, 'refused', 'deep verification not passed');
+            continue;
+          }
 
           unpinned++;
           bytesFreed += pin.size_bytes || 0;
-          logger.info(`Unpinned migrated: ${pin.cid}`);
+          rules[decision.rule] = (rules[decision.rule] || 0) + 1;
+          await run.item(pin.cid, 'unpinned', decision.rule);
+          logger.info(`Unpinned migrated: ${pin.cid} (rule ${decision.rule})`);
         } catch (error) {
           errors.push(`${pin.cid}: ${error.message}`);
+          await run.item(pin.cid, 'failed', error.message);
           logger.error(`Failed to unpin ${pin.cid}:`, error.message);
         }
       }
 
-      logger.info(`Unpinned ${unpinned} migrated pins, freed ${bytesFreed} bytes`);
-      return { unpinned, bytesFreed, errors };
+      logger.info(`Unpinned ${unpinned} migrated pins, freed ${bytesFreed} bytes${refused > 0 ? `, refused ${refused} unverified` : ''}`);
+      return { unpinned, refused, bytesFreed, rules, errors };
     } catch (error) {
       logger.error('Failed to unpin migrated content:', error);
       throw error;
@@ -67,59 +174,120 @@ class CleanupWorker {
   }
 
   /**
-   * Unpin and delete invalid content
+   * Unpin invalid content and move it to the pin archive
+   * @param {Array<{pin: object, decision: object}>} due - Invalid pins from getDueForUnpin()
+   * @param {WorkerRun} run - Records each CID
    */
-  async cleanupInvalidContent() {
+  async cleanupInvalidContent(due, run) {
     try {
-      const pins = await this.db.getInvalidPinsForCleanup(this.invalidRetentionDays);
-      
-      if (pins.length === 0) {
+      if (due.length === 0) {
         logger.info('No invalid pins to cleanup');
-        return { cleaned: 0, bytesFreed: 0, errors: [] };
+        return { cleaned: 0, bytesFreed: 0, rules: {}, errors: [] };
       }
 
-      logger.info(`Found ${pins.length} invalid pins to cleanup`);
+      logger.info(`Found ${due.length} invalid pins to cleanup`);
 
       let cleaned = 0;
+      let skipped = 0;
       let bytesFreed = 0;
+      const rules = {};
       const errors = [];
 
-      for (const pin of pins) {
+      for (const { pin, decision } of due) {
         try {
+          // Only a verdict of invalid deletes content; the pin may have been
+          // re-queued for validation, or left unavailable, since it was listed
+          const current = await this.db.getPin(pin.cid);
+          if (!current || current.status !== 'invalid') {
+            skipped++;
+            await run.item(pin.cid, 'skipped', `status is ${current ? current.status : 'gone'}`);
+            logger.info(`Skipped invalid cleanup of ${pin.cid}: status is ${current ? current.status : 'gone'}`);
+            continue;
+          }
+
           // Try to unpin (may not exist)
           try {
             await this.ipfs.pinRm(pin.cid);
+            await this.db.setConfig('last_unpin_at', new Date().toISOString());
           } catch (error) {
             // Pin might not exist, that's okay
             logger.debug(`Pin not found for removal: ${pin.cid}`);
           }
           
-          // Delete from database
-          await this.db.deletePin(pin.cid);
+          // Archive instead of deleting, so the record survives
+          await this.db.archivePin({ ...pin, retention_rule: decision.rule }, 'invalid');
 
           cleaned++;
           bytesFreed += pin.size_bytes || 0;
-          logger.info(`Cleaned invalid: ${pin.cid}`);
+          rules[decision.rule] = (rules[decision.rule] || 0) + 1;
+          await run.item(pin.cid, 'archived', decision.rule);
+          logger.info(`Cleaned invalid: ${pin.cid} (rule ${decision.rule})`);
         } catch (error) {
           errors.push(`${pin.cid}: ${error.message}`);
+          await run.item(pin.cid, 'failed', error.message);
           logger.error(`Failed to cleanup ${pin.cid}:`, error.message);
         }
       }
 
-      logger.info(`Cleaned up ${cleaned} invalid pins, freed ${bytesFreed} bytes`);
-      return { cleaned, bytesFreed, errors };
+      logger.info(`Cleaned up ${cleaned} invalid pins, freed ${bytesFreed} bytes${skipped > 0 ? ` (${skipped} no longer invalid)` : ''}`);
+      return { cleaned, bytesFreed, rules, errors };
     } catch (error) {
       logger.error('Failed to cleanup invalid content:', error);
       throw error;
     }
   }
 
+  /**
+   * Whether anything was unpinned since the last completed GC
+   * Unpins and released quarantine holds record last_unpin_at
+   */
+  async hasUnpinsSinceLastGC() {
+    const lastUnpin = await this.db.getConfig('last_unpin_at');
+    const lastGC = await this.db.getLastCompletedGC();
+
+    if (!lastGC) {
+      return true;
+    }
+    if (!lastUnpin) {
+      return false;
+    }
+
+    // Compare against when that GC started; unpins during the run may have been missed
+    const gcStarted = new Date(lastGC.run_at.replace(' ', 'T') + 'Z').getTime() - (lastGC.duration_seconds || 0) * 1000;
+    return new Date(lastUnpin).getTime() >= gcStarted;
+  }
+
   /**
    * Run IPFS garbage collection
+   * Streams repo/gc, counting removed keys, and aborts cleanly after
+   * CLEANUP_GC_TIMEOUT_MINUTES; blocks removed until then stay removed
+   * @param {string} trigger - What started the run (scheduled, manual, watermark)
+   * @param {object} options
+   * @param {boolean} options.force - Run even if nothing was unpinned since the last GC
+   * @param {boolean} options.maintenance - Hold the maintenance window; false when the caller already holds it
    */
-  async runGarbageCollection() {
+  async runGarbageCollection(trigger = 'scheduled', { force = false, maintenance = true } = {}) {
+    if (!force && this.gcSkipIfIdle && !(await this.hasUnpinsSinceLastGC())) {
+      logger.info('Skipping GC: nothing unpinned since the last run');
+      return { skipped: true, duration: 0, freed: 0, keysRemoved: 0, aborted: false };
+    }
+
+    if (!this.maintenanceDuringGC || !maintenance) {
+      return await this.collectGarbage(trigger);
+    }
+    return await this.maintenance.during(
+      `gc (${trigger})`,
+      () => this.collectGarbage(trigger),
+      this.gcTimeoutMinutes + GC_MAINTENANCE_GRACE_MINUTES
+    );
+  }
+
+  /**
+   * Stream repo/gc and record the run
+   */
+  async collectGarbage(trigger) {
     try {
-      logger.info('Starting IPFS garbage collection...');
+      logger.info(`Starting IPFS garbage collection (${trigger})...`);
       
       const startTime = Date.now();
       
@@ -127,8 +295,15 @@ class CleanupWorker {
       const statBefore = await this.ipfs.repoStat();
       const sizeBefore = statBefore.RepoSize || 0;
       
-      // Run GC
-      await this.ipfs.repoGC();
+      // Run GC, logging progress now and then so long runs are visibly alive
+      const { keysRemoved, aborted, errors } = await this.ipfs.repoGC({
+        timeout: this.gcTimeoutMinutes * 60 * 1000,
+        onKey: (count) => {
+          if (count % GC_PROGRESS_KEYS === 0) {
+            logger.info(`GC in progress: ${count} keys removed`);
+          }
+        }
+      });
       
       // Get repo size after GC
       const statAfter = await this.ipfs.repoStat();
@@ -137,18 +312,29 @@ class CleanupWorker {
       const duration = Math.floor((Date.now() - startTime) / 1000);
       const freed = Math.max(0, sizeBefore - sizeAfter);
       
-      logger.info(`GC complete: freed ${freed} bytes in ${duration}s`);
+      if (aborted) {
+        logger.warn(`GC aborted after ${this.gcTimeoutMinutes} minutes: ${keysRemoved} keys removed, freed ${freed} bytes`);
+      } else {
+        logger.info(`GC complete: ${keysRemoved} keys removed, freed ${freed} bytes in ${duration}s`);
+      }
+      if (errors.length > 0) {
+        logger.warn(`GC reported ${errors.length} errors: ${errors.slice(0, 3).join('; ')}`);
+      }
       
       // Log to database
       await this.db.insertGCLog({
         duration_seconds: duration,
-        freed_bytes: freed
+        freed_bytes: freed,
+        keys_removed: keysRemoved,
+        aborted,
+        triggered_by: trigger,
+        error: errors.length > 0 ? errors.slice(0, 5).join('; ') : null
       });
 
       // Send Discord notification
-      await this.discord.notifyGCComplete(duration, freed);
+      await this.discord.notifyGCComplete(duration, freed, null, { keysRemoved, aborted });
       
-      return { duration, freed, sizeBefore, sizeAfter };
+      return { duration, freed, keysRemoved, aborted, sizeBefore, sizeAfter };
     } catch (error) {
       logger.error('Garbage collection failed:', error);
       
@@ -156,6 +342,7 @@ class CleanupWorker {
       await this.db.insertGCLog({
         duration_seconds: 0,
         freed_bytes: 0,
+        triggered_by: trigger,
         error: error.message
       });
 
@@ -166,6 +353,190 @@ class CleanupWorker {
     }
   }
 
+  /**
+   * Repo usage from repo/stat
+   * @returns {Promise<{repoSize: number, storageMax: number, percent: number|null}>}
+   *   percent is null when the repo has no StorageMax
+   */
+  async getRepoUsage() {
+    const stat = await this.ipfs.repoStat();
+    const repoSize = parseInt(stat.RepoSize || 0, 10);
+    const storageMax = parseInt(stat.StorageMax || 0, 10);
+
+    return {
+      repoSize,
+      storageMax,
+      percent: storageMax > 0 ? (repoSize / storageMax) * 100 : null
+    };
+  }
+
+  /**
+   * Disk-pressure cleanup
+   * Once repo usage reaches CLEANUP_WATERMARK_HIGH, unpin verified migrated
+   * pins ahead of MIGRATION_DELETE_AFTER_DAYS, least recently served first,
+   * and garbage-collect until usage is below CLEANUP_WATERMARK_LOW.
+   * Only the timing of the retention policy is skipped: pins it keeps for good
+   * (keep_forever rules, restored pins) are left alone
+   */
+  async checkDiskPressure() {
+    if (this.watermarkHigh <= 0) {
+      return { triggered: false, reason: 'disabled' };
+    }
+    if (this.busy) {
+      logger.info('Cleanup already running, skipping disk pressure check');
+      return { triggered: false, reason: 'busy' };
+    }
+
+    // Claimed before the first await, so a cleanup run can't start in between
+    this.busy = true;
+    try {
+      const before = await this.getRepoUsage();
+      if (before.percent === null || before.percent < this.watermarkHigh) {
+        return { triggered: false, usage_percent: before.percent };
+      }
+      return await this.relieveDiskPressure(before);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Unpin and garbage-collect until usage is below the low watermark;
+   * called by checkDiskPressure() with the cleanup claimed
+   */
+  async relieveDiskPressure(before) {
+    const result = {
+      triggered: true,
+      usage_before: before.percent,
+      usage_after: before.percent,
+      high: this.watermarkHigh,
+      low: this.watermarkLow,
+      unpinned: 0,
+      refused: 0,
+      bytes_unpinned: 0,
+      quarantine_released: 0,
+      gc_runs: 0,
+      gc_freed_bytes: 0,
+      gc_duration: 0,
+      errors: []
+    };
+
+    let run = null;
+    let maintenanceId = null;
+    try {
+      run = await startRun('cleanup', 'watermark');
+      // One hold for the whole run, long enough for every GC round; the GC
+      // rounds below run inside it rather than taking holds of their own
+      if (this.maintenanceDuringGC) {
+        maintenanceId = await this.maintenance.enter('disk pressure cleanup', MAX_PRESSURE_ROUNDS * (this.gcTimeoutMinutes + GC_MAINTENANCE_GRACE_MINUTES));
+      }
+
+      logger.warn(`Repo at ${before.percent.toFixed(1)}% (high watermark ${this.watermarkHigh}%), unpinning migrated content early`);
+
+      const now = Date.now();
+      const candidates = (await this.db.getMigratedPinsForEarlyUnpin())
+        .filter(pin => this.retention.evaluate(pin, now).action !== 'keep_forever');
+      let usage = before;
+
+      for (let round = 0; round < MAX_PRESSURE_ROUNDS && usage.percent >= this.watermarkLow; round++) {
+        // Unpinning only frees space once GC runs, so unpin enough to cover
+        // the excess over the low watermark, then collect and measure again
+        let excess = usage.repoSize - usage.storageMax * this.watermarkLow / 100;
+        let unpinnedThisRound = 0;
+
+        while (excess > 0 && candidates.length > 0) {
+          const pin = candidates.shift();
+          try {
+            // The space is needed now, so no quarantine hold; the supernode copy remains restorable
+            const options = { notes: 'Unpinned early: disk above high watermark', rule: 'watermark', hold: false };
+            if (!(await this.unpinMigratedPin(pin, options))) {
+              result.refused++;
+              await run.item(pin.cid, 'refused', 'deep verification not passed');
+              continue;
+            }
+
+            unpinnedThisRound++;
+            result.unpinned++;
+            result.bytes_unpinned += pin.size_bytes || 0;
+            excess -= pin.size_bytes || 0;
+            await run.item(pin.cid, 'unpinned', 'watermark');
+            logger.info(`Unpinned migrated early: ${pin.cid} (last served ${pin.last_served_at || 'never'})`);
+          } catch (error) {
+            result.errors.push(`${pin.cid}: ${error.message}`);
+            await run.item(pin.cid, 'failed', error.message);
+            logger.error(`Failed to unpin ${pin.cid}:`, error.message);
+          }
+        }
+
+        if (unpinnedThisRound === 0) {
+          // Nothing left to unpin: give up content held in quarantine, once
+          const released = result.quarantine_released === 0 ? await this.quarantine.releaseHolds(false) : 0;
+          if (released === 0) {
+            break;
+          }
+          result.quarantine_released = released;
+          logger.warn(`Released ${released} quarantine holds early to relieve disk pressure`);
+        }
+
+        const gcResult = await this.runGarbageCollection('watermark', { force: true, maintenance: false });
+        result.gc_runs++;
+        result.gc_freed_bytes += gcResult.freed;
+        result.gc_duration += gcResult.duration;
+
+        usage = await this.getRepoUsage();
+        result.usage_after = usage.percent;
+      }
+
+      if (result.usage_after >= this.watermarkLow) {
+        logger.warn(`Repo still at ${result.usage_after.toFixed(1)}% after early unpinning (low watermark ${this.watermarkLow}%, ${candidates.length} candidates left)`);
+      }
+
+      await this.db.setConfig('last_watermark_cleanup', new Date().toISOString());
+
+      const today = new Date().toISOString().split('T')[0];
+      await this.db.updateCleanupStats(today, {
+        migrated_pins_unpinned: result.unpinned,
+        bytes_freed_migrated: result.bytes_unpinned,
+        gc_runs: result.gc_runs,
+        gc_duration_seconds: result.gc_duration,
+        gc_bytes_freed: result.gc_freed_bytes
+      });
+
+      await this.db.logEvent({
+        event_type: 'cleanup_watermark',
+        severity: result.usage_after >= this.watermarkLow || result.errors.length > 0 ? 'warning' : 'info',
+        message: `Disk pressure cleanup: ${result.usage_before.toFixed(1)}% -> ${result.usage_after.toFixed(1)}%, unpinned ${result.unpinned} migrated pins early`,
+        metadata: result
+      });
+
+      await this.discord.notifyWatermarkCleanup(result);
+
+      const { errors, ...counts } = result;
+      await run.finish(counts, errors);
+
+      return result;
+    } catch (error) {
+      logger.error('Disk pressure cleanup failed:', error);
+      const { errors, ...counts } = result;
+      if (run) {
+        await run.fail(error, counts, errors);
+      }
+      await this.db.logEvent({
+        event_type: 'cleanup_watermark',
+        severity: 'error',
+        message: error.message,
+        metadata: result
+      });
+      throw error;
+    } finally {
+      if (maintenanceId) {
+        await this.maintenance.exit(maintenanceId).catch(error => {
+          logger.error('Failed to leave maintenance after disk pressure cleanup:', error);
+        });
+      }
+    }
+  }
+
   /**
    * Check for overdue pins and notify
    */
@@ -182,6 +553,7 @@ class CleanupWorker {
           FROM pins
           WHERE julianday('now') - julianday(added_at) > 7
           AND migrated = 0
+          AND status != 'revoked'
           ORDER BY added_at ASC
           LIMIT 1
         `);
@@ -203,34 +575,60 @@ class CleanupWorker {
 
   /**
    * Run the cleanup worker
+   * @param {string} trigger - scheduled (cron), manual or api; unscheduled runs always GC
    */
-  async run() {
+  async run(trigger = 'scheduled') {
+    if (this.busy) {
+      logger.info('Cleanup already running, skipping');
+      return { skipped: true };
+    }
+    this.busy = true;
+
     const summary = {
       migrated_unpinned: 0,
+      unpin_refused: 0,
       invalid_cleaned: 0,
       bytes_freed_migrated: 0,
       bytes_freed_invalid: 0,
+      quarantine_released: 0,
       gc_freed_bytes: 0,
       gc_duration: 0,
       overdue_pins: 0,
+      rules: {},
       errors: []
     };
 
+    let run = null;
     try {
+      run = await startRun('cleanup', trigger);
+      const due = await this.getDueForUnpin();
+
       // Unpin migrated content
-      const migratedResult = await this.unpinMigratedContent();
+      const migratedResult = await this.unpinMigratedContent(due.filter(({ pin }) => pin.status === 'valid'), run);
       summary.migrated_unpinned = migratedResult.unpinned;
+      summary.unpin_refused = migratedResult.refused || 0;
       summary.bytes_freed_migrated = migratedResult.bytesFreed || 0;
       summary.errors.push(...migratedResult.errors);
 
       // Cleanup invalid content
-      const invalidResult = await this.cleanupInvalidContent();
+      const invalidResult = await this.cleanupInvalidContent(due.filter(({ pin }) => pin.status === 'invalid'), run);
       summary.invalid_cleaned = invalidResult.cleaned;
       summary.bytes_freed_invalid = invalidResult.bytesFreed || 0;
       summary.errors.push(...invalidResult.errors);
 
+      // Unpins per retention rule
+      for (const [rule, count] of [...Object.entries(migratedResult.rules), ...Object.entries(invalidResult.rules)]) {
+        summary.rules[rule] = (summary.rules[rule] || 0) + count;
+      }
+
+      // Let GC free quarantined content past its restore deadline
+      summary.quarantine_released = await this.quarantine.releaseHolds();
+
       // Run garbage collection
-      const gcResult = await this.runGarbageCollection();
+      const gcResult = await this.runGarbageCollection(trigger, { force: trigger !== 'scheduled' });
+      summary.gc_skipped = !!gcResult.skipped;
+      summary.gc_aborted = gcResult.aborted;
+      summary.gc_keys_removed = gcResult.keysRemoved;
       summary.gc_freed_bytes = gcResult.freed;
       summary.gc_duration = gcResult.duration;
 
@@ -248,7 +646,7 @@ class CleanupWorker {
         migrated_pins_unpinned: summary.migrated_unpinned,
         bytes_freed_invalid: summary.bytes_freed_invalid,
         bytes_freed_migrated: summary.bytes_freed_migrated,
-        gc_runs: 1,
+        gc_runs: summary.gc_skipped ? 0 : 1,
         gc_duration_seconds: summary.gc_duration,
         gc_bytes_freed: summary.gc_freed_bytes
       });
@@ -259,7 +657,7 @@ class CleanupWorker {
           event_type: 'cleanup_migrated',
           severity: 'info',
           message: `Unpinned ${summary.migrated_unpinned} migrated pins (${(summary.bytes_freed_migrated / (1024 * 1024 * 1024)).toFixed(2)} GB)`,
-          metadata: { count: summary.migrated_unpinned, bytes: summary.bytes_freed_migrated }
+          metadata: { count: summary.migrated_unpinned, bytes: summary.bytes_freed_migrated, rules: migratedResult.rules }
         });
       }
       
@@ -268,7 +666,7 @@ class CleanupWorker {
           event_type: 'cleanup_invalid',
           severity: 'info',
           message: `Cleaned ${summary.invalid_cleaned} invalid pins (${(summary.bytes_freed_invalid / (1024 * 1024 * 1024)).toFixed(2)} GB)`,
-          metadata: { count: summary.invalid_cleaned, bytes: summary.bytes_freed_invalid }
+          metadata: { count: summary.invalid_cleaned, bytes: summary.bytes_freed_invalid, rules: invalidResult.rules }
         });
       }
       
@@ -276,8 +674,13 @@ class CleanupWorker {
         await this.db.logEvent({
           event_type: 'gc_complete',
           severity: 'info',
-          message: `GC freed ${(summary.gc_freed_bytes / (1024 * 1024 * 1024)).toFixed(2)} GB in ${summary.gc_duration}s`,
-          metadata: { freed: summary.gc_freed_bytes, duration: summary.gc_duration }
+          message: `GC freed ${(summary.gc_freed_bytes / (1024 * 1024 * 1024)).toFixed(2)} GB (${summary.gc_keys_removed} keys) in ${summary.gc_duration}s${summary.gc_aborted ? ', aborted at timeout' : ''}`,
+          metadata: {
+            freed: summary.gc_freed_bytes,
+            keys_removed: summary.gc_keys_removed,
+            aborted: summary.gc_aborted,
+            duration: summary.gc_duration
+          }
         });
       }
       
@@ -290,15 +693,24 @@ class CleanupWorker {
       });
 
       logger.info('Cleanup worker complete:', summary);
+
+      const { errors, ...counts } = summary;
+      await run.finish(counts, errors);
       
       return summary;
     } catch (error) {
+      const { errors, ...counts } = summary;
+      if (run) {
+        await run.fail(error, counts, errors);
+      }
       await this.db.logEvent({
         event_type: 'cleanup',
         severity: 'error',
         message: error.message
       });
       throw error;
+    } finally {
+      this.busy = false;
     }
   }
 }
@@ -315,9 +727,13 @@ function getCleanupWorker() {
 
 // Export for worker execution
 module.exports = {
-  run: async () => {
+  run: async (trigger) => {
+    const worker = getCleanupWorker();
+    return await worker.run(trigger);
+  },
+  checkDiskPressure: async () => {
     const worker = getCleanupWorker();
-    return await worker.run();
+    return await worker.checkDiskPressure();
   },
   getCleanupWorker
 };
@@ -1,6 +1,7 @@
 const { getDatabase } = require('../utils/database');
 const { getIPFSClient } = require('../utils/ipfs');
 const { getDiscordNotifier } = require('../utils/discord');
+const { startRun } = require('../utils/workerRuns');
 const logger = require('../utils/logger');
 const os = require('os');
 const { exec } = require('child_process');
@@ -243,9 +244,18 @@ class HealthReporter {
 
   /**
    * Run the health reporter worker
+   * @param {string} trigger - scheduled (cron) or manual
    */
-  async run() {
-    return await this.reportHealth();
+  async run(trigger = 'scheduled') {
+    const run = await startRun('health', trigger);
+    try {
+      const health = await this.reportHealth();
+      await run.finish({ status: health.status, reason: health.reason || null });
+      return health;
+    } catch (error) {
+      await run.fail(error);
+      throw error;
+    }
   }
 }
 
@@ -261,9 +271,9 @@ function getHealthReporter() {
 
 // Export for worker execution
 module.exports = {
-  run: async () => {
+  run: async (trigger) => {
     const reporter = getHealthReporter();
-    return await reporter.run();
+    return await reporter.run(trigger);
   },
   getHealthReporter
 };
@@ -0,0 +1,389 @@
+const fs = require('fs');
+const readline = require('readline');
+const { Tail } = require('tail');
+const { getDatabase } = require('../utils/database');
+const { getIPFSClient } = require('../utils/ipfs');
+const { parseNginxTime } = require('../utils/migrationPriority');
+const { startRun } = require('../utils/workerRuns');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+/**
+ * Log Follower
+ *
+ * Tails the nginx access log and tracks encoder uploads within seconds,
+ * recording when and from where each pin arrived:
+ *   POST /api/v0/pin/add - CIDs from the request args
+ *   POST /api/v0/add     - the CID Kubo answered with, logged as the last
+ *                          field by the njs body filter in
+ *                          config/nginx-upload-cid.js ($upload_cid)
+ * Add lines without that field (nginx not set up for it) are left to the
+ * hourly pin discovery scan, which also catches anything missed here.
+ *
+ * The byte offset and inode of the log are saved to the config table
+ * (log_parse_offset, log_parse_inode) so a restart resumes where it stopped.
+ * When logrotate moves the file away, the rest of the rotated file
+ * (<log>.1) is read before following the new one; a truncated file
+ * (copytruncate) is followed from the start.
+ */
+
+const WATCHDOG_INTERVAL_MS = 5000;
+const PIN_FLUSH_DELAY_MS = 1000;
+const TRACKED_LOOKUP_BATCH = 500;
+
+// Same format the stats aggregator parses, plus the uploaded CID:
+// IP - [timestamp] "METHOD PATH PROTOCOL" STATUS BYTES "USER_AGENT" TIME "UPLOAD_CID"
+const LOG_LINE = /^(\S+)\s+-\s+\[([^\]]+)\]\s+"(\S+)\s+(\S+)\s+HTTP\/[^"]+"\s+(\d+)\s+(\d+)\s+"([^"]+)"\s+(\S+)(?:\s+"([^"]*)")?/;
+
+/**
+ * Parse an access log line into an upload, or null if it isn't one
+ * An add logged without its CID comes back with no cids
+ * @returns {{ip: string, time: string, cids: Array<string>}|null}
+ */
+function parseUploadLine(line) {
+  const match = line.match(LOG_LINE);
+  if (!match || match[3] !== 'POST') {
+    return null;
+  }
+
+  const status = parseInt(match[5], 10);
+  if (status < 200 || status >= 300) {
+    return null;
+  }
+
+  const [pathname, query = ''] = match[4].split('?');
+  let cids;
+  if (pathname === '/api/v0/pin/add') {
+    // arg may be a bare CID or an /ipfs/ path
+    cids = new URLSearchParams(query).getAll('arg')
+      .map(arg => arg.replace(/^\/ipfs\//, '').split('/')[0])
+      .filter(Boolean);
+    if (cids.length === 0) {
+      return null;
+    }
+  } else if (pathname === '/api/v0/add') {
+    // nginx logs an unset variable as -
+    cids = match[9] && match[9] !== '-' ? [match[9]] : [];
+  } else {
+    return null;
+  }
+
+  const time = (parseNginxTime(match[2]) || new Date()).toISOString();
+  return { ip: match[1], time, cids };
+}
+
+class LogFollower {
+  constructor() {
+    this.db = getDatabase();
+    this.ipfs = getIPFSClient();
+    this.logPath = config.nginx.log_path;
+
+    this.tail = null;
+    this.inode = null;
+    this.offset = 0;
+    this.saved = { offset: null, inode: null };
+    this.watchdog = null;
+    this.missingLogged = false;
+    this.addWithoutCidLogged = false;
+
+    // CID -> { uploaded_at, uploader_ip } from add and pin/add requests
+    this.pendingPins = new Map();
+    this.flushTimer = null;
+  }
+
+  /**
+   * Start following the log from the saved offset
+   */
+  async start() {
+    if (this.watchdog) {
+      return;
+    }
+
+    const [offset, inode] = await Promise.all([
+      this.db.getConfig('log_parse_offset'),
+      this.db.getConfig('log_parse_inode')
+    ]);
+    this.offset = parseInt(offset || '0', 10) || 0;
+    this.inode = inode || null;
+    this.saved = { offset: this.offset, inode: this.inode };
+
+    await this.open();
+    this.watchdog = setInterval(() => {
+      this.tick().catch(error => logger.error('Log follower check failed:', error));
+    }, WATCHDOG_INTERVAL_MS);
+
+    logger.info(`Log follower started on ${this.logPath}`);
+  }
+
+  /**
+   * Stop following and save the offset
+   * Uploads still waiting to be tracked are left to the hourly discovery scan
+   */
+  async stop() {
+    if (this.watchdog) {
+      clearInterval(this.watchdog);
+      this.watchdog = null;
+    }
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    this.closeTail();
+    await this.persist();
+  }
+
+  /**
+   * Open the current log file, working out where to resume from the saved
+   * offset and inode
+   * @returns {Promise<boolean>} False if the log doesn't exist yet
+   */
+  async open() {
+    let stats;
+    try {
+      stats = fs.statSync(this.logPath);
+    } catch (error) {
+      if (!this.missingLogged) {
+        logger.warn(`Log file not found: ${this.logPath}, will keep checking`);
+        this.missingLogged = true;
+      }
+      return false;
+    }
+    this.missingLogged = false;
+
+    const inode = String(stats.ino);
+    if (!this.inode) {
+      // First run: only uploads from now on, the discovery scan has the rest
+      this.offset = stats.size;
+    } else if (inode !== this.inode) {
+      // Rotated while we weren't looking
+      await this.drainRotated();
+      this.offset = 0;
+    } else if (this.offset > stats.size) {
+      logger.info('Log file truncated, following from the start');
+      this.offset = 0;
+    }
+
+    this.inode = inode;
+    this.follow();
+    return true;
+  }
+
+  /**
+   * Tail the current log file from this.offset
+   */
+  follow() {
+    // Tail has no byte-offset option: it starts watching at the end of the
+    // file, so restart the watch at our offset. Rotation is handled here
+    // rather than by Tail (follow: false).
+    this.tail = new Tail(this.logPath, { separator: '\n', follow: false });
+    this.tail.unwatch();
+    this.tail.on('line', line => this.handleLine(line));
+    this.tail.on('error', error => {
+      logger.debug(`Log tail: ${error.message || error}`);
+    });
+    this.tail.watch(this.offset, true);
+  }
+
+  closeTail() {
+    if (this.tail) {
+      this.tail.unwatch();
+      this.tail.removeAllListeners();
+      this.tail = null;
+    }
+  }
+
+  /**
+   * Watchdog: pick up the log if it appeared, follow rotation and truncation,
+   * and save the offset
+   */
+  async tick() {
+    if (!this.tail) {
+      await this.open();
+      await this.persist();
+      return;
+    }
+
+    let stats;
+    try {
+      stats = fs.statSync(this.logPath);
+    } catch (error) {
+      // Moved away and nginx hasn't reopened it yet; keep the old one
+      return;
+    }
+
+    if (String(stats.ino) !== this.inode) {
+      logger.info('Log file rotated, following the new file');
+      this.closeTail();
+      await this.drainRotated();
+      this.offset = 0;
+      this.inode = String(stats.ino);
+      this.follow();
+    } else if (stats.size < this.offset) {
+      logger.info('Log file truncated, following from the start');
+      this.closeTail();
+      this.offset = 0;
+      this.follow();
+    }
+
+    await this.persist();
+  }
+
+  /**
+   * Read what's left of the rotated log (<log>.1) past our offset
+   */
+  async drainRotated() {
+    const rotatedPath = `${this.logPath}.1`;
+    let stats;
+    try {
+      stats = fs.statSync(rotatedPath);
+    } catch (error) {
+      stats = null;
+    }
+
+    if (!stats || String(stats.ino) !== this.inode) {
+      logger.warn(`Rotated log not found at ${rotatedPath}, uploads since offset ${this.offset} are left to the discovery scan`);
+      return;
+    }
+    if (stats.size <= this.offset) {
+      return;
+    }
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(rotatedPath, { start: this.offset }),
+      crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+      this.handleLine(line);
+    }
+  }
+
+  /**
+   * Handle one log line; runs synchronously so the offset always points just
+   * past the last line handled
+   */
+  handleLine(line) {
+    this.offset += Buffer.byteLength(line) + 1;
+
+    const upload = parseUploadLine(line);
+    if (!upload) {
+      return;
+    }
+    if (upload.cids.length === 0) {
+      if (!this.addWithoutCidLogged) {
+        logger.warn('nginx logs /api/v0/add without the uploaded CID; those uploads are left to the discovery scan (see config/nginx-upload-cid.js)');
+        this.addWithoutCidLogged = true;
+      }
+      return;
+    }
+
+    for (const cid of upload.cids) {
+      this.pendingPins.set(cid, { uploaded_at: upload.time, uploader_ip: upload.ip });
+    }
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.trackPins().catch(error => logger.error('Failed to track pinned uploads:', error));
+      }, PIN_FLUSH_DELAY_MS);
+    }
+  }
+
+  /**
+   * Track the CIDs of uploads seen since the last flush, and record the
+   * upload on tracked pins that don't have one yet
+   */
+  async trackPins() {
+    const pending = this.pendingPins;
+    this.pendingPins = new Map();
+    if (pending.size === 0) {
+      return;
+    }
+
+    const cids = [...pending.keys()];
+    const tracked = new Set();
+    for (let i = 0; i < cids.length; i += TRACKED_LOOKUP_BATCH) {
+      const found = await this.db.getTrackedCids(cids.slice(i, i + TRACKED_LOOKUP_BATCH));
+      found.forEach(cid => tracked.add(cid));
+    }
+
+    for (const cid of tracked) {
+      await this.db.recordPinUpload(cid, pending.get(cid));
+    }
+
+    const untracked = cids.filter(cid => !tracked.has(cid));
+    if (untracked.length === 0) {
+      return;
+    }
+
+    const run = await startRun('log_follower', 'log');
+    let added = 0;
+    let alreadyTracked = tracked.size;
+    for (const cid of untracked) {
+      const upload = pending.get(cid);
+      try {
+        const size = await this.ipfs.getCIDSize(cid);
+        const { changes } = await this.db.insertPin({
+          cid,
+          size_bytes: size,
+          status: 'pending',
+          notes: 'Tracked from nginx upload log'
+        });
+        await this.db.recordPinUpload(cid, upload);
+
+        if (changes === 0) {
+          // Tracked by the discovery scan since the lookup above
+          alreadyTracked++;
+          continue;
+        }
+
+        added++;
+        await run.item(cid, 'tracked', `${size} bytes from ${upload.uploader_ip}`);
+        logger.info(`Tracked upload: ${cid} (${size} bytes from ${upload.uploader_ip})`);
+      } catch (error) {
+        run.error(`${cid}: ${error.message}`);
+        await run.item(cid, 'failed', error.message);
+        logger.error(`Failed to track upload ${cid}: ${error.message}`);
+      }
+    }
+
+    await run.finish({ tracked: added, alreadyTracked });
+    if (added > 0) {
+      await this.db.logEvent({
+        event_type: 'upload_tracked',
+        severity: 'info',
+        message: `Tracked ${added} upload(s) from the nginx log`,
+        metadata: { cids: untracked.slice(0, 20) }
+      });
+    }
+  }
+
+  async persist() {
+    if (this.offset === this.saved.offset && this.inode === this.saved.inode) {
+      return;
+    }
+    const offset = this.offset;
+    const inode = this.inode;
+    await this.db.setConfig('log_parse_offset', String(offset));
+    await this.db.setConfig('log_parse_inode', inode || '');
+    this.saved = { offset, inode };
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getLogFollower() {
+  if (!instance) {
+    instance = new LogFollower();
+  }
+  return instance;
+}
+
+module.exports = {
+  start: async () => getLogFollower().start(),
+  stop: async () => {
+    if (instance) {
+      await instance.stop();
+    }
+  },
+  getLogFollower,
+  parseUploadLine
+};
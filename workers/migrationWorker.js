@@ -1,83 +1,93 @@
-const axios = require('axios');
+const crypto = require('crypto');
 const { getDatabase } = require('../utils/database');
 const { getIPFSClient } = require('../utils/ipfs');
 const { getDiscordNotifier } = require('../utils/discord');
+const { createMigrationTarget } = require('../utils/migrationTargets');
+const { MigrationThrottle } = require('../utils/migrationThrottle');
+const { MigrationPriority } = require('../utils/migrationPriority');
+const { getMaintenanceWindow } = require('../utils/maintenance');
+const { startRun } = require('../utils/workerRuns');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
 
 /**
  * Migration Worker
  * 
- * Migrates old valid pins to supernode
- * Frequency: Every 12 hours
- * Strategy: Oldest first, throttled bandwidth
+ * Migrates old valid pins to supernode through a persistent job queue
+ * Frequency: Eligible pins are queued hourly, the queue drains continuously
+ * Strategy: Priority-scored order, N concurrent migrations, bandwidth-aware admission,
+ * exponential backoff on failure and dead-letter after MIGRATION_MAX_RETRIES
+ * Replication: each CID goes to SUPERNODE_REPLICAS of the configured targets,
+ * ranked per CID by weight, and counts as migrated once verified on all of them
+ * Targets: Kubo RPC, Pinning Services API or IPFS Cluster (see utils/migrationTargets.js)
+ * Maintenance: a drain starting with MAINTENANCE_MIGRATION_MIN_BYTES or more queued
+ * holds the maintenance window until it finishes
  */
 
+// Minimum interval between progress writes to the job row
+const PROGRESS_WRITE_MS = 10000;
+
 class MigrationWorker {
   constructor() {
     this.db = getDatabase();
     this.ipfs = getIPFSClient();
     this.discord = getDiscordNotifier();
-    this.supernodeAPI = config.supernode.api;
+    this.targets = config.supernode.targets.map(createMigrationTarget);
+    this.requiredReplicas = Math.max(1, config.supernode.required_replicas || 1);
     this.startAfterDays = config.migration.start_after_days;
     this.batchSize = config.migration.batch_size;
     this.throttleDelay = config.migration.throttle_delay_ms;
+    this.throttle = new MigrationThrottle();
+    this.priority = new MigrationPriority();
+    this.maintenance = getMaintenanceWindow();
+    this.maintenanceMinBytes = config.maintenance.migration_min_bytes;
     this.maxRetries = config.migration.max_retries || 10;
+    this.concurrency = config.migration.concurrency || 3;
+    this.retryBaseMs = (config.migration.retry_base_minutes || 30) * 60 * 1000;
+    this.retryMaxMs = (config.migration.retry_max_hours || 24) * 60 * 60 * 1000;
+    this.stallTimeoutMs = (config.migration.stall_timeout_minutes || 10) * 60 * 1000;
+    // Live transfer progress by CID, for /api/pins/:cid
+    this.progress = new Map();
+    this.draining = null;
+    this.pendingDrain = null; // Trigger of a drain requested while one was running
   }
 
   /**
-   * Pin a CID to supernode
+   * Pin a CID to a supernode target
    * @param {string} cid - Content identifier to pin
    * @param {number} sizeBytes - File size in bytes (for timeout calculation)
+   * @param {MigrationTarget} target - Target adapter (defaults to the primary)
+   * @param {Function} onProgress - Called with the blocks fetched so far
    */
-  async pinToSupernode(cid, sizeBytes = null) {
+  async pinToSupernode(cid, sizeBytes = null, target = this.targets[0], onProgress = null) {
     try {
-      // Calculate dynamic timeout based on file size
+      // Streaming targets fail on a stall; the size-based timeout bounds polling targets
       const timeout = this.calculateTimeout(sizeBytes);
       
-      // Pin to supernode
-      const response = await axios.post(
-        `${this.supernodeAPI}/api/v0/pin/add`,
-        null,
-        {
-          params: {
-            arg: cid,
-            recursive: true
-          },
-          timeout
-        }
-      );
+      const result = await target.pin(cid, {
+        timeout,
+        stallTimeout: this.stallTimeoutMs,
+        onProgress
+      });
 
-      logger.info(`Pinned to supernode: ${cid}`);
-      return response.data;
+      logger.info(`Pinned to supernode ${target.name}: ${cid}`);
+      return result;
     } catch (error) {
       throw new Error(`Supernode pin failed: ${error.message}`);
     }
   }
 
   /**
-   * Verify CID is pinned on supernode
+   * Verify CID is pinned on a supernode target
+   * Any error or unconfirmed pin = NOT FOUND
+   * @param {string} cid - Content identifier to check
+   * @param {MigrationTarget} target - Target adapter (defaults to the primary)
    */
-  async verifySupernodePin(cid) {
+  async verifySupernodePin(cid, target = this.targets[0]) {
     try {
-      const response = await axios.post(
-        `${this.supernodeAPI}/api/v0/pin/ls?arg=${cid}`,
-        null,
-        {
-          timeout: config.supernode.timeout_ms || 30000
-        }
-      );
-
-      // Pin exists ONLY if Keys object contains the CID
-      // Any error or missing Keys = NOT FOUND
-      if (response.status === 200 && response.data && response.data.Keys && response.data.Keys[cid]) {
-        return true;
-      }
-      
-      // Any other response = NOT FOUND (including errors, permission denied, etc)
-      return false;
+      return await target.isPinned(cid);
     } catch (error) {
-      logger.error(`Supernode verification failed for ${cid}:`, error.message);
+      logger.error(`Supernode verification failed for ${cid} on ${target.name}:`, error.message);
       return false;
     }
   }
@@ -112,6 +122,39 @@ class MigrationWorker {
     return finalTimeout;
   }
 
+  /**
+   * Delay before the next migration attempt after a failure
+   * Exponential from the base delay, capped, with equal jitter so
+   * pins that failed together do not all retry at the same moment
+   * @param {number} retryCount - Failures so far (1 = first failure)
+   * @returns {number} - Delay in milliseconds
+   */
+  calculateBackoff(retryCount) {
+    const exponential = this.retryBaseMs * Math.pow(2, Math.max(0, retryCount - 1));
+    const capped = Math.min(exponential, this.retryMaxMs);
+    
+    return Math.floor(capped / 2 + Math.random() * (capped / 2));
+  }
+
+  /**
+   * Order targets for a CID by weighted rendezvous hashing
+   * The ranking is stable per CID, so retries and restarts aim for the same
+   * targets, and heavier targets receive proportionally more replicas
+   * @param {string} cid - Content identifier
+   * @returns {Array<object>} - Targets, most preferred first
+   */
+  rankTargets(cid) {
+    return this.targets
+      .map(target => {
+        const hash = crypto.createHash('sha256').update(`${target.name}:${cid}`).digest();
+        // Map the hash into (0, 1) so the log below is always finite
+        const u = (hash.readUInt32BE(0) + 1) / 4294967297;
+        return { target, score: -target.weight / Math.log(u) };
+      })
+      .sort((a, b) => b.score - a.score)
+      .map(entry => entry.target);
+  }
+
   /**
    * Sleep for throttling
    */
@@ -120,177 +163,639 @@ class MigrationWorker {
   }
 
   /**
-   * Migrate eligible pins to supernode
+   * Queue all eligible pins for migration
+   * @param {string} trigger - What requested the enqueue (cron, api, manual)
+   * @returns {number} - Number of newly queued jobs
+   */
+  async enqueueEligible(trigger = 'cron') {
+    const result = await this.db.enqueueEligibleMigrations(this.startAfterDays, trigger);
+
+    if (result.changes > 0) {
+      logger.info(`Queued ${result.changes} pins for migration (${trigger})`);
+    } else {
+      logger.info('No new pins eligible for migration');
+    }
+
+    // Deadlines and popularity move, so the whole queue is re-scored each pass
+    await this.rescoreQueue();
+    this.processQueue(trigger);
+    return result.changes;
+  }
+
+  /**
+   * Queue a single pin for migration
+   * @returns {boolean} - false if the CID already had an active job
+   */
+  async enqueuePin(cid, trigger = 'manual') {
+    const result = await this.db.enqueueMigrationJob(cid, trigger);
+    await this.rescoreQueue(cid);
+    this.processQueue(trigger);
+    return result.changes > 0;
+  }
+
+  /**
+   * Recompute priority scores for queued jobs
+   * @param {string} cid - Only re-score this CID's job (all queued jobs if omitted)
+   */
+  async rescoreQueue(cid = null) {
+    const jobs = await this.db.getQueuedMigrationJobsWithPins(cid);
+
+    for (const job of jobs) {
+      const { score, inputs } = await this.priority.score(job);
+      await this.db.setMigrationJobPriority(job.id, score, inputs);
+    }
+
+    return jobs.length;
+  }
+
+  /**
+   * Resume after a restart: put interrupted jobs back on the queue and start draining
    */
-  async migratePins() {
+  async start() {
+    const result = await this.db.requeueInterruptedMigrationJobs();
+
+    if (result.changes > 0) {
+      logger.warn(`Requeued ${result.changes} migration jobs interrupted by a restart`);
+    }
+
+    this.processQueue('startup');
+  }
+
+  /**
+   * Drain the job queue with a pool of concurrent slots
+   * Safe to call repeatedly - only one drain runs at a time
+   * @param {string} trigger - Recorded on the drain's worker run
+   * @returns {Promise<object>} - Summary of the drain that handled the queue
+   */
+  processQueue(trigger = 'cron') {
+    if (this.draining) {
+      // A slot may already have found the queue empty; drain again once it finishes
+      this.pendingDrain = this.pendingDrain || trigger;
+      return this.draining;
+    }
+
+    this.draining = this.drainQueue(trigger)
+      .catch(error => {
+        logger.error('Migration queue drain failed:', error);
+        return null;
+      })
+      .finally(() => {
+        this.draining = null;
+        if (this.pendingDrain) {
+          const pendingTrigger = this.pendingDrain;
+          this.pendingDrain = null;
+          this.processQueue(pendingTrigger);
+        }
+      });
+
+    return this.draining;
+  }
+
+  /**
+   * Run the pool until the queue is empty, then record the outcome
+   * Each drain that processes jobs is recorded as a migration worker run
+   */
+  async drainQueue(trigger = 'cron') {
+    const summary = { processed: 0, succeeded: 0, failed: 0, cancelled: 0, bytes: 0, errors: [] };
+    const run = await startRun('migration', trigger);
+
+    const runSlots = async () => {
+      const slots = [];
+      for (let i = 0; i < this.concurrency; i++) {
+        slots.push(this.runSlot(summary, run));
+      }
+      await Promise.all(slots);
+    };
+
     try {
-      // Get pins eligible for migration
-      const pins = await this.db.getValidPinsForMigration(
-        this.startAfterDays,
-        this.batchSize
-      );
-
-      if (pins.length === 0) {
-        logger.info('No pins eligible for migration');
-        return { processed: 0, succeeded: 0, failed: 0, errors: [] };
+      const queuedBytes = this.maintenanceMinBytes > 0 ? await this.getQueuedBytes() : 0;
+      if (this.maintenanceMinBytes > 0 && queuedBytes >= this.maintenanceMinBytes) {
+        await this.maintenance.during(`migration drain (${queuedBytes} bytes queued)`, runSlots);
+      } else {
+        await runSlots();
       }
+    } catch (error) {
+      const { errors, ...counts } = summary;
+      await run.fail(error, counts, errors);
+      throw error;
+    }
 
-      logger.info(`Found ${pins.length} pins eligible for migration`);
-
-      let succeeded = 0;
-      let failed = 0;
-      const errors = [];
-
-      for (const pin of pins) {
-        try {
-          logger.info(`Migrating: ${pin.cid} (age: ${Math.floor((Date.now() - new Date(pin.added_at)) / (1000 * 60 * 60 * 24))} days)`);
-
-          // First, check if pin already exists on supernode
-          const alreadyPinned = await this.verifySupernodePin(pin.cid);
-
-          if (alreadyPinned) {
-            // Pin already exists on supernode, just mark as migrated
-            logger.info(`Pin already exists on supernode: ${pin.cid}`);
-            
-            await this.db.updatePin(pin.cid, {
-              migrated: 1,
-              migrated_at: new Date().toISOString(),
-              notes: 'Already pinned on supernode'
-            });
-
-            succeeded++;
-            logger.info(`✓ Marked as migrated (already existed): ${pin.cid}`);
-          } else {
-            // Pin doesn't exist, add it to supernode
-            logger.info(`Migrating ${pin.cid}: ${(pin.size_bytes / (1024 * 1024)).toFixed(2)}MB`);
-            await this.pinToSupernode(pin.cid, pin.size_bytes);
-
-            // Wait a moment for pin to propagate
-            await this.sleep(2000);
-
-            // Verify pin exists on supernode
-            const verified = await this.verifySupernodePin(pin.cid);
-
-            if (verified) {
-              // Update database
-              await this.db.updatePin(pin.cid, {
-                migrated: 1,
-                migrated_at: new Date().toISOString()
-              });
-
-              succeeded++;
-              logger.info(`✓ Successfully migrated: ${pin.cid}`);
-            } else {
-              throw new Error('Supernode verification failed');
-            }
-          }
+    if (summary.processed === 0) {
+      // Nothing was queued; not worth a run record
+      await run.discard();
+      return summary;
+    }
 
-          // Throttle to avoid overwhelming supernode
-          await this.sleep(this.throttleDelay);
-
-        } catch (error) {
-          failed++;
-          const errorMsg = `${pin.cid}: ${error.message}`;
-          errors.push(errorMsg);
-          logger.error(`✗ Migration failed for ${pin.cid}:`, error.message);
-
-          // Update retry count
-          const newRetryCount = (pin.retry_count || 0) + 1;
-          await this.db.updatePin(pin.cid, {
-            retry_count: newRetryCount,
-            last_retry_at: new Date().toISOString(),
-            notes: error.message
-          });
-
-          // Notify if max retries reached
-          if (newRetryCount >= this.maxRetries) {
-            logger.error(`Max retries reached for ${pin.cid}`);
-          }
-        }
+    const { errors, ...counts } = summary;
+    await run.finish(counts, errors);
+    await this.recordDrain(summary);
+
+    return summary;
+  }
+
+  /**
+   * Total size of the pins waiting in the queue
+   */
+  async getQueuedBytes() {
+    const jobs = await this.db.getQueuedMigrationJobsWithPins();
+    return jobs.reduce((total, job) => total + (job.size_bytes || 0), 0);
+  }
+
+  /**
+   * One pool slot: claim and process jobs until none are left
+   * @param {object} summary - Drain summary, shared by all slots
+   * @param {WorkerRun} run - Drain's worker run; records each CID
+   */
+  async runSlot(summary, run) {
+    for (;;) {
+      const counts = await this.db.getMigrationJobCounts();
+      if (!counts?.queued) {
+        return;
       }
 
-      // Send Discord notification if there were failures
-      if (failed > 0 && errors.length > 0) {
-        await this.discord.notifyMigrationErrors(errors.slice(0, 10));
+      // Hold off while upload bandwidth or gateway traffic is over budget
+      await this.throttle.waitForCapacity();
+
+      const job = await this.db.claimNextMigrationJob();
+      if (!job) {
+        return;
       }
 
-      const summary = {
-        processed: pins.length,
-        succeeded,
-        failed,
-        errors: errors.slice(0, 5) // Limit errors in return
+      summary.processed++;
+      const outcome = await this.processJob(job);
+
+      if (outcome.success) {
+        summary.succeeded++;
+        summary.bytes += outcome.bytes;
+        await run.item(job.cid, 'migrated', outcome.note || null);
+      } else if (outcome.cancelled) {
+        summary.cancelled++;
+        await run.item(job.cid, 'skipped', outcome.note);
+      } else {
+        summary.failed++;
+        summary.errors.push(`${job.cid}: ${outcome.error}`);
+        await run.item(job.cid, 'failed', outcome.error);
+      }
+
+      // Throttle to avoid overwhelming supernode
+      await this.sleep(this.throttleDelay);
+    }
+  }
+
+  /**
+   * Migrate the pin behind a claimed job
+   * Job state moves running -> verifying -> done, or to failed on any error;
+   * jobs for pins revoked while queued are cancelled
+   */
+  async processJob(job) {
+    const pin = await this.db.getPin(job.cid);
+
+    try {
+      if (!pin) {
+        throw new Error('Pin no longer tracked');
+      }
+      if (pin.status === 'revoked') {
+        const note = 'Pin was revoked';
+        await this.db.updateMigrationJobState(job.id, 'running', 'cancelled', note);
+        return { success: false, cancelled: true, note };
+      }
+      if (pin.migrated) {
+        // Migrated by another path (manual mark, earlier run) while queued
+        await this.db.updateMigrationJobState(job.id, 'running', 'done', 'Already marked as migrated');
+        return { success: true, bytes: 0, note: 'Already marked as migrated' };
+      }
+
+      logger.info(`Migrating: ${pin.cid} (age: ${Math.floor((Date.now() - new Date(pin.added_at)) / (1000 * 60 * 60 * 24))} days)`);
+
+      const { pinnedNew, transferred } = await this.replicatePin(pin, job);
+      const notes = pinnedNew ? null : 'Already pinned on supernode';
+
+      const updates = {
+        migrated: 1,
+        migrated_at: new Date().toISOString()
       };
+      if (notes) {
+        updates.notes = notes;
+      }
+      await this.db.updatePin(pin.cid, updates);
 
-      logger.info(`Migration complete: ${succeeded} succeeded, ${failed} failed`);
-      
-      return summary;
+      await this.db.updateMigrationJobState(job.id, 'verifying', 'done');
+
+      logger.info(`✓ Successfully migrated: ${pin.cid}`);
+      return { success: true, bytes: transferred, note: notes };
     } catch (error) {
-      logger.error('Migration worker failed:', error);
-      throw error;
+      logger.error(`✗ Migration failed for ${job.cid}:`, error.message);
+
+      await this.db.failMigrationJob(job.id, error.message);
+
+      if (pin) {
+        await this.recordFailure(pin, error.message);
+      }
+
+      return { success: false, error: error.message };
     }
   }
 
   /**
-   * Run the migration worker
+   * Place a pin on its required number of targets
+   * Targets are tried in ranked order; a failing target is recorded and the
+   * next one takes its place. Replicas verified on earlier attempts are kept.
+   * Every target attempt is recorded in migration_history.
+   * @throws {Error} - If fewer than SUPERNODE_REPLICAS targets could be verified
    */
-  async run() {
-    try {
-      const result = await this.migratePins();
-      
-      // Update last run time
-      await this.db.setConfig('last_migration_run', new Date().toISOString());
-      
-      // Calculate total bytes migrated for today
-      const pins = await this.db.getValidPinsForMigration(this.startAfterDays, this.batchSize);
-      let bytesMigrated = 0;
-      let maxRetriesReached = 0;
-      
-      for (const pin of pins) {
-        if (pin.migrated) {
-          bytesMigrated += pin.size_bytes || 0;
-        }
-        if ((pin.retry_count || 0) >= this.maxRetries) {
-          maxRetriesReached++;
-        }
+  async replicatePin(pin, job) {
+    const known = new Set(this.targets.map(target => target.name));
+    const replicas = await this.db.getPinReplicas(pin.cid);
+    const verified = new Set(
+      replicas
+        .filter(replica => replica.state === 'verified' && known.has(replica.target))
+        .map(replica => replica.target)
+    );
+
+    const errors = [];
+    let pinnedNew = false;
+    let transferred = 0;
+    let state = 'running';
+
+    for (const target of this.rankTargets(pin.cid)) {
+      if (verified.size >= this.requiredReplicas) {
+        break;
       }
-      
-      // Update migration stats for today
-      const today = new Date().toISOString().split('T')[0];
-      await this.db.updateMigrationStats(today, {
-        success_count: result.succeeded,
-        failure_count: result.failed,
-        bytes_migrated: bytesMigrated,
-        max_retries_reached: maxRetriesReached
-      });
-      
-      // Log detailed events
-      if (result.succeeded > 0) {
-        await this.db.logEvent({
-          event_type: 'migration_success',
-          severity: 'info',
-          message: `Successfully migrated ${result.succeeded} pins (${(bytesMigrated / (1024 * 1024 * 1024)).toFixed(2)} GB)`,
-          metadata: { count: result.succeeded, bytes: bytesMigrated }
-        });
+      if (verified.has(target.name)) {
+        continue;
       }
-      
-      if (result.failed > 0) {
-        await this.db.logEvent({
-          event_type: 'migration_failure',
-          severity: 'warning',
-          message: `Failed to migrate ${result.failed} pins`,
-          metadata: { count: result.failed, errors: result.errors }
+
+      const attempt = { job_id: job.id, cid: pin.cid, target: target.name };
+      const startedAt = Date.now();
+
+      try {
+        // First, check if pin already exists on this target
+        if (await this.verifySupernodePin(pin.cid, target)) {
+          logger.info(`Pin already exists on supernode ${target.name}: ${pin.cid}`);
+          attempt.result = 'already_pinned';
+        } else {
+          logger.info(`Migrating ${pin.cid} to ${target.name}: ${(pin.size_bytes / (1024 * 1024)).toFixed(2)}MB`);
+          await this.pinToSupernode(pin.cid, pin.size_bytes, target,
+            blocks => this.trackProgress(job, target, blocks));
+          await this.finishProgress(job, target);
+          pinnedNew = true;
+
+          // Transfer time only; the propagation wait and verification below are not throughput
+          attempt.result = 'success';
+          attempt.bytes = pin.size_bytes || 0;
+          attempt.duration_ms = Date.now() - startedAt;
+
+          if (state === 'running') {
+            await this.db.updateMigrationJobState(job.id, 'running', 'verifying');
+            state = 'verifying';
+          }
+
+          // Wait a moment for pin to propagate
+          await this.sleep(2000);
+
+          if (!(await this.verifySupernodePin(pin.cid, target))) {
+            throw new Error('Supernode verification failed');
+          }
+        }
+
+        await this.db.upsertPinReplica(pin.cid, target.name, 'verified');
+        verified.add(target.name);
+        transferred += attempt.bytes || 0;
+        await this.recordAttempt({ duration_ms: Date.now() - startedAt, ...attempt });
+      } catch (error) {
+        await this.finishProgress(job, target);
+        logger.warn(`Replica on ${target.name} failed for ${pin.cid}: ${error.message}`);
+        await this.db.upsertPinReplica(pin.cid, target.name, 'failed', error.message);
+        errors.push(`${target.name}: ${error.message}`);
+        await this.recordAttempt({
+          ...attempt,
+          result: 'failure',
+          bytes: 0,
+          duration_ms: Date.now() - startedAt,
+          error: error.message
         });
       }
-      
-      // Log event (summary)
+    }
+
+    if (verified.size < this.requiredReplicas) {
+      throw new Error(`Verified on ${verified.size}/${this.requiredReplicas} targets (${errors.join('; ')})`);
+    }
+
+    if (state === 'running') {
+      await this.db.updateMigrationJobState(job.id, 'running', 'verifying');
+    }
+
+    return { pinnedNew, transferred, targets: [...verified] };
+  }
+
+  /**
+   * Write one target attempt to migration_history
+   * A failed write is logged but never fails the migration itself
+   */
+  async recordAttempt(attempt) {
+    try {
+      await this.db.addMigrationHistory(attempt);
+    } catch (error) {
+      logger.warn(`Failed to record migration history for ${attempt.cid}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record transfer progress for a job
+   * Kept live in memory; written to the job row at most every PROGRESS_WRITE_MS
+   */
+  trackProgress(job, target, blocks) {
+    const now = Date.now();
+    const entry = this.progress.get(job.cid) || {
+      job_id: job.id,
+      target: target.name,
+      started_at: new Date(now).toISOString(),
+      written_at: 0
+    };
+
+    if (entry.target !== target.name) {
+      entry.target = target.name;
+      entry.started_at = new Date(now).toISOString();
+    }
+    entry.blocks_fetched = blocks;
+    entry.progress_at = new Date(now).toISOString();
+    this.progress.set(job.cid, entry);
+
+    if (now - entry.written_at >= PROGRESS_WRITE_MS) {
+      entry.written_at = now;
+      this.db.updateMigrationJobProgress(job.id, target.name, blocks).catch(error => {
+        logger.warn(`Failed to record migration progress for ${job.cid}: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Persist the final block count of a transfer and drop its live entry
+   */
+  async finishProgress(job, target) {
+    const entry = this.progress.get(job.cid);
+    if (!entry) {
+      return;
+    }
+
+    this.progress.delete(job.cid);
+    await this.db.updateMigrationJobProgress(job.id, target.name, entry.blocks_fetched);
+  }
+
+  /**
+   * Live progress of an in-flight transfer, or null
+   */
+  getProgress(cid) {
+    const entry = this.progress.get(cid);
+    if (!entry) {
+      return null;
+    }
+
+    const { written_at, ...progress } = entry;
+    return progress;
+  }
+
+  /**
+   * Schedule the next attempt for a failed pin, or dead-letter it
+   * once MIGRATION_MAX_RETRIES is reached
+   */
+  async recordFailure(pin, errorMessage) {
+    const now = new Date();
+    const newRetryCount = (pin.retry_count || 0) + 1;
+    const dead = newRetryCount >= this.maxRetries;
+
+    const updates = {
+      retry_count: newRetryCount,
+      last_retry_at: now.toISOString(),
+      notes: errorMessage
+    };
+
+    if (dead) {
+      updates.dead_letter_state = 'dead';
+      updates.dead_lettered_at = now.toISOString();
+      updates.next_attempt_at = null;
+    } else {
+      const delay = this.calculateBackoff(newRetryCount);
+      updates.next_attempt_at = new Date(now.getTime() + delay).toISOString();
+      logger.info(`Next migration attempt for ${pin.cid} in ${Math.round(delay / 60000)} minutes`);
+    }
+
+    await this.db.updatePin(pin.cid, updates);
+
+    if (dead) {
+      logger.error(`Max retries reached for ${pin.cid}, moved to dead-letter`);
       await this.db.logEvent({
-        event_type: 'migration',
-        severity: result.failed > 0 ? 'warning' : 'info',
-        message: `Migrated ${result.succeeded}/${result.processed} pins to supernode`,
-        metadata: result
+        event_type: 'migration_dead_letter',
+        severity: 'warning',
+        message: `Pin dead-lettered after ${newRetryCount} failed migrations: ${pin.cid}`,
+        metadata: { cid: pin.cid, retries: newRetryCount, error: errorMessage }
       });
+    }
+  }
 
-      return result;
+  /**
+   * Log events and notifications for a completed queue drain
+   */
+  async recordDrain(summary) {
+    const result = {
+      processed: summary.processed,
+      succeeded: summary.succeeded,
+      failed: summary.failed,
+      errors: summary.errors.slice(0, 5) // Limit errors in return; the worker run keeps them all
+    };
+
+    logger.info(`Migration complete: ${result.succeeded} succeeded, ${result.failed} failed`);
+
+    // Update last run time
+    await this.db.setConfig('last_migration_run', new Date().toISOString());
+
+    // Send Discord notification if there were failures
+    if (summary.failed > 0) {
+      await this.discord.notifyMigrationErrors(summary.errors.slice(0, 10));
+    }
+
+    // Log detailed events
+    if (summary.succeeded > 0) {
+      await this.db.logEvent({
+        event_type: 'migration_success',
+        severity: 'info',
+        message: `Successfully migrated ${summary.succeeded} pins (${(summary.bytes / (1024 * 1024 * 1024)).toFixed(2)} GB transferred)`,
+        metadata: { count: summary.succeeded, bytes: summary.bytes }
+      });
+    }
+
+    if (summary.failed > 0) {
+      await this.db.logEvent({
+        event_type: 'migration_failure',
+        severity: 'warning',
+        message: `Failed to migrate ${summary.failed} pins`,
+        metadata: { count: summary.failed, errors: result.errors }
+      });
+    }
+
+    // Log event (summary)
+    await this.db.logEvent({
+      event_type: 'migration',
+      severity: summary.failed > 0 ? 'warning' : 'info',
+      message: `Migrated ${result.succeeded}/${result.processed} pins to supernode (${this.requiredReplicas} of ${this.targets.length} targets each)`,
+      metadata: result
+    });
+  }
+
+  /**
+   * Dry run: what the next migration runs would do, without changing anything
+   * Only reads the database and, with checkSupernode, calls read-only pin/ls
+   * on the targets. Runs are the hourly enqueue passes, the first one now.
+   * @param {object} options
+   * @param {number} options.runs - How many upcoming runs to plan
+   * @param {boolean} options.checkSupernode - Check targets for existing replicas
+   * @param {number} options.limit - Max pins listed per section
+   */
+  async plan({ runs = 1, checkSupernode = false, limit = 100 } = {}) {
+    const pins = await this.db.getUnmigratedPinsForPlan();
+    const planned = [];
+    const skipped = [];
+    const inProgress = [];
+
+    for (const pin of pins) {
+      const skip = (reason, detail) => skipped.push({ cid: pin.cid, size_bytes: pin.size_bytes || 0, reason, detail });
+
+      if (pin.job_state === 'running' || pin.job_state === 'verifying') {
+        inProgress.push({ cid: pin.cid, size_bytes: pin.size_bytes || 0, state: pin.job_state });
+        continue;
+      }
+      if (pin.status !== 'valid') {
+        const awaiting = pin.status === 'pending' || pin.status === 'validation_unavailable';
+        skip(awaiting ? 'awaiting_validation' : 'not_valid', `status is ${pin.status}`);
+        continue;
+      }
+      if (pin.dead_letter_state) {
+        skip('dead_lettered', `${pin.dead_letter_state} after ${pin.retry_count} failures`);
+        continue;
+      }
+
+      // Hours until the pin is old enough and out of retry backoff
+      const ageWaitHours = Math.max(0, (this.startAfterDays - pin.age_days) * 24);
+      const retryWaitHours = Math.max(0, pin.retry_in_hours || 0);
+      const waitHours = Math.max(ageWaitHours, retryWaitHours);
+      const run = pin.job_state === 'queued' ? 1 : 1 + Math.ceil(waitHours);
+
+      if (run > runs) {
+        skip(
+          retryWaitHours > ageWaitHours ? 'retry_backoff' : 'too_young',
+          `eligible in ${waitHours.toFixed(1)}h, after the planned runs`
+        );
+        continue;
+      }
+
+      const { score, inputs } = await this.priority.score(pin);
+      planned.push({
+        cid: pin.cid,
+        run,
+        size_bytes: pin.size_bytes || 0,
+        queued: pin.job_state === 'queued',
+        priority: score,
+        priority_inputs: inputs
+      });
+    }
+
+    planned.sort((a, b) => a.run - b.run || b.priority - a.priority);
+
+    if (checkSupernode) {
+      for (const entry of planned.slice(0, limit)) {
+        const verified = [];
+        for (const target of this.targets) {
+          if (await this.verifySupernodePin(entry.cid, target)) {
+            verified.push(target.name);
+          }
+        }
+        entry.replicas_found = verified;
+        entry.already_replicated = verified.length >= this.requiredReplicas;
+      }
+    }
+
+    const transferBytes = planned
+      .filter(entry => !entry.already_replicated)
+      .reduce((sum, entry) => sum + entry.size_bytes, 0);
+
+    const skipReasons = {};
+    skipped.forEach(entry => {
+      skipReasons[entry.reason] = (skipReasons[entry.reason] || 0) + 1;
+    });
+
+    return {
+      dry_run: true,
+      runs,
+      generated_at: new Date().toISOString(),
+      summary: {
+        planned: planned.length,
+        total_bytes: planned.reduce((sum, entry) => sum + entry.size_bytes, 0),
+        transfer_bytes: transferBytes,
+        in_progress: inProgress.length,
+        skipped: skipped.length,
+        skip_reasons: skipReasons
+      },
+      estimate: await this.estimateDuration(transferBytes),
+      throttle: this.throttle.getState(),
+      planned: planned.slice(0, limit),
+      in_progress: inProgress.slice(0, limit),
+      skipped: skipped.slice(0, limit)
+    };
+  }
+
+  /**
+   * Estimate how long transferring the given bytes takes, from the transfer
+   * speed of recent successful migrations (bytes over duration_ms in
+   * migration_history). Each pin is sent to SUPERNODE_REPLICAS targets one
+   * after another, and MIGRATION_CONCURRENCY pins move at a time.
+   */
+  async estimateDuration(bytes, days = 7) {
+    const summary = await this.db.getMigrationStatsSummary(days);
+    const transferBytes = (summary && summary.total_bytes_migrated) || 0;
+    const transferMs = (summary && summary.total_transfer_ms) || 0;
+
+    if (transferBytes === 0 || transferMs === 0) {
+      return { seconds: null, bytes_per_second: null, concurrency: this.concurrency, note: 'No migrations recorded recently' };
+    }
+
+    const bytesPerSecond = transferBytes / (transferMs / 1000);
+    const seconds = bytes * this.requiredReplicas / (bytesPerSecond * this.concurrency);
+
+    return {
+      seconds: Math.round(seconds),
+      bytes_per_second: Math.round(bytesPerSecond),
+      concurrency: this.concurrency,
+      based_on_bytes: transferBytes
+    };
+  }
+
+  /**
+   * Run the migration worker: queue eligible pins and wait for the queue to
+   * drain, including any drain still pending when the current one finishes
+   * With options.dryRun, return the plan for the next run instead
+   */
+  async run(trigger = 'cron', options = {}) {
+    if (options.dryRun) {
+      return this.plan(options);
+    }
+
+    try {
+      await this.enqueueEligible(trigger);
+
+      // A drain already running when we queued may have found the queue empty
+      // before our jobs landed; processQueue() then starts another once it
+      // finishes. Wait for that one too, and report the last drain.
+      let summary = await this.processQueue(trigger);
+      while (this.draining) {
+        summary = await this.draining;
+      }
+
+      return {
+        processed: summary?.processed || 0,
+        succeeded: summary?.succeeded || 0,
+        failed: summary?.failed || 0,
+        errors: (summary?.errors || []).slice(0, 5)
+      };
     } catch (error) {
       await this.db.logEvent({
         event_type: 'migration',
@@ -314,9 +819,21 @@ function getMigrationWorker() {
 
 // Export for worker execution
 module.exports = {
-  run: async () => {
+  run: async (trigger) => {
+    const worker = getMigrationWorker();
+    return await worker.run(trigger);
+  },
+  plan: async (options) => {
+    const worker = getMigrationWorker();
+    return await worker.plan(options);
+  },
+  enqueue: async (trigger) => {
+    const worker = getMigrationWorker();
+    return await worker.enqueueEligible(trigger);
+  },
+  start: async () => {
     const worker = getMigrationWorker();
-    return await worker.run();
+    return await worker.start();
   },
   getMigrationWorker
 };
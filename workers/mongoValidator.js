@@ -1,16 +1,22 @@
 const { getDatabase } = require('../utils/database');
-const { getMongoDBClient } = require('../utils/mongo');
-const { getValidationClient } = require('../utils/validationClient');
+const { createValidationChain } = require('../utils/validationProviders');
+const { startRun } = require('../utils/workerRuns');
 const logger = require('../utils/logger');
 
 /**
  * MongoDB Validator Worker
  * 
- * Validates pending CIDs against Traffic Director's MongoDB
- * to ensure they are legitimate encoder uploads
+ * Validates pending CIDs through the validation provider chain
+ * (VALIDATION_PROVIDERS, see utils/validationProviders.js) to ensure they
+ * are legitimate encoder uploads
  * 
- * Infrastructure nodes: Direct MongoDB access
- * Community nodes: Remote validation API
+ * Infrastructure nodes: Direct MongoDB access (default chain: mongodb)
+ * Community nodes: Remote validation API (default chain: api)
+ * 
+ * Each pin records which provider(s) decided it (validation_source) and why
+ * (validation_detail). Pins no provider could decide because one failed (e.g.
+ * every validation server down) are marked validation_unavailable, never
+ * invalid, and are retried on the next run with the pending ones.
  * 
  * Frequency: Every 30 minutes
  */
@@ -19,81 +25,83 @@ class MongoValidator {
   constructor() {
     this.db = getDatabase();
     this.nodeType = process.env.NODE_TYPE || 'infrastructure';
-    
-    // Use appropriate validation method based on node type
-    if (this.nodeType === 'infrastructure') {
-      this.mongo = getMongoDBClient();
-      this.validationClient = null;
-      logger.info('Validator initialized for INFRASTRUCTURE node (MongoDB access)');
-    } else {
-      this.mongo = null;
-      this.validationClient = getValidationClient();
-      logger.info('Validator initialized for COMMUNITY node (remote API)');
-    }
+    this.chain = createValidationChain();
+    logger.info(`Validator initialized for ${this.nodeType.toUpperCase()} node (providers: ${this.chain.name})`);
   }
 
   /**
-   * Validate all pending pins against MongoDB or remote API
+   * Validate all pending pins through the provider chain
+   * @param {WorkerRun} run - Records each CID with its verdict
    */
-  async validatePendingPins() {
+  async validatePendingPins(run) {
     try {
-      // Get all pending pins
+      // Get all pending pins, and those a validation outage left undecided
       const pendingPins = await this.db.getPendingPins();
       
       if (pendingPins.length === 0) {
         logger.info('No pending pins to validate');
-        return { validated: 0, valid: 0, invalid: 0 };
+        return { validated: 0, valid: 0, invalid: 0, unavailable: 0 };
       }
 
       logger.info(`Validating ${pendingPins.length} pending pins...`);
 
-      // Extract CIDs
-      const cids = pendingPins.map(pin => pin.cid);
-
-      // Batch validate using appropriate method
-      let validationResults;
-      
-      if (this.nodeType === 'infrastructure') {
-        // Infrastructure node: Use MongoDB directly
-        await this.mongo.connect();
-        try {
-          validationResults = await this.mongo.validateCIDs(cids);
-        } finally {
-          await this.mongo.disconnect();
-        }
-      } else {
-        // Community node: Use remote validation API
-        validationResults = await this.validationClient.validateCIDs(cids);
-      }
+      // MongoDB and API lookups skip CIDs with a cached result
+      const validationResults = await this.chain.validate(pendingPins);
 
       let validCount = 0;
       let invalidCount = 0;
+      let unavailableCount = 0;
+      let cachedCount = 0;
 
-      // Update pin statuses
+      // Update pin statuses, with what the retention policy can match on
       for (const result of validationResults) {
+        if (result.cached) {
+          cachedCount++;
+        }
+
+        if (result.valid === null) {
+          unavailableCount++;
+          await this.db.updatePin(result.cid, {
+            status: 'validation_unavailable',
+            validation_detail: result.detail
+          });
+          run.error(`${result.cid}: ${result.detail}`);
+          logger.warn(`? CID validation unavailable (${result.detail}): ${result.cid}`);
+          await run.item(result.cid, 'unavailable', result.detail);
+          continue;
+        }
+
         const newStatus = result.valid ? 'valid' : 'invalid';
         
         await this.db.updatePin(result.cid, {
-          status: newStatus
+          status: newStatus,
+          validation_source: result.source,
+          validation_detail: result.detail,
+          validation_signature: result.signature ? JSON.stringify(result.signature) : null,
+          owner: result.owner || null
         });
 
         if (result.valid) {
           validCount++;
-          logger.info(`✓ CID validated: ${result.cid}`);
+          logger.info(`✓ CID validated (${result.source}): ${result.cid}`);
         } else {
           invalidCount++;
-          logger.warn(`✗ CID invalid (not in MongoDB): ${result.cid}`);
+          logger.warn(`✗ CID invalid (${result.source}: ${result.detail}): ${result.cid}`);
         }
+        const detail = result.detail ? `: ${result.detail}` : '';
+        await run.item(result.cid, newStatus, `${result.source}${result.cached ? ' (cached)' : ''}${detail}`);
       }
 
       const summary = {
-        validated: pendingPins.length,
+        validated: validCount + invalidCount,
         valid: validCount,
         invalid: invalidCount,
-        method: this.nodeType === 'infrastructure' ? 'mongodb' : 'api'
+        unavailable: unavailableCount,
+        cached: cachedCount,
+        method: this.chain.name
       };
 
-      logger.info(`Validation complete: ${validCount} valid, ${invalidCount} invalid (via ${summary.method})`);
+      logger.info(`Validation complete: ${validCount} valid, ${invalidCount} invalid, ${unavailableCount} unavailable (via ${summary.method})`);
       
       return summary;
     } catch (error) {
@@ -104,21 +112,26 @@ class MongoValidator {
 
   /**
    * Run the MongoDB validator worker
+   * @param {string} trigger - scheduled (cron), manual or api
    */
-  async run() {
+  async run(trigger = 'scheduled') {
+    const run = await startRun('validator', trigger);
     try {
-      const result = await this.validatePendingPins();
+      const result = await this.validatePendingPins(run);
+      await run.finish(result);
       
       // Log event
       await this.db.logEvent({
         event_type: 'cid_validation',
-        severity: 'info',
-        message: `Validated ${result.validated} pins: ${result.valid} valid, ${result.invalid} invalid (${result.method})`,
+        severity: result.unavailable > 0 ? 'warning' : 'info',
+        message: `Validated ${result.validated} pins: ${result.valid} valid, ${result.invalid} invalid (${result.method})`
+          + (result.unavailable > 0 ? `, ${result.unavailable} unavailable` : ''),
         metadata: result
       });
 
       return result;
     } catch (error) {
+      await run.fail(error);
       await this.db.logEvent({
         event_type: 'cid_validation',
         severity: 'error',
@@ -141,9 +154,9 @@ function getMongoValidator() {
 
 // Export for worker execution
 module.exports = {
-  run: async () => {
+  run: async (trigger) => {
     const validator = getMongoValidator();
-    return await validator.run();
+    return await validator.run(trigger);
   },
   getMongoValidator
 };
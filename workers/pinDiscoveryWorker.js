@@ -1,14 +1,22 @@
 const { getDatabase } = require('../utils/database');
 const { getIPFSClient } = require('../utils/ipfs');
 const { getDiscordNotifier } = require('../utils/discord');
+const { startRun } = require('../utils/workerRuns');
+const { forEachWithConcurrency } = require('../utils/concurrency');
 const logger = require('../utils/logger');
+const config = require('../utils/config');
 
 /**
  * Pin Discovery Worker
- * 
+ *
  * Scans IPFS for all pins and adds any new ones to the database
  * This ensures all pins in IPFS are tracked and can be validated/migrated
- * Frequency: Every hour
+ * Frequency: Every hour, and on demand from the Pins page (/api/pins/scan-logs)
+ *
+ * The pinset is streamed (pin/ls?stream=true) and diffed against the pins
+ * table DISCOVERY_BATCH_SIZE CIDs at a time, so memory stays flat however
+ * large the pinset is. Sizes of new pins are resolved with
+ * DISCOVERY_SIZE_CONCURRENCY object/stat calls in flight.
  */
 
 class PinDiscoveryWorker {
@@ -16,73 +24,87 @@ class PinDiscoveryWorker {
     this.db = getDatabase();
     this.ipfs = getIPFSClient();
     this.discord = getDiscordNotifier();
+    this.batchSize = config.discovery.batch_size;
+    this.sizeConcurrency = config.discovery.size_concurrency;
+    this.running = false;
   }
 
   /**
-   * Discover new pins from IPFS and add to database
+   * Add the untracked CIDs of one pinset batch to the database
+   * @param {Array<string>} cids - Pinned CIDs
+   * @param {WorkerRun} run - Records each CID added (or failed)
+   * @returns {Promise<{added: number, alreadyExists: number, errors: Array<string>}>}
    */
-  async discoverNewPins() {
-    try {
-      // Get all pins from IPFS
-      const pinsResult = await this.ipfs.pinLs();
-      const ipfsPins = pinsResult.Keys || {};
-      const ipfsCIDs = Object.keys(ipfsPins);
-      
-      if (ipfsCIDs.length === 0) {
-        logger.info('No pins found in IPFS');
-        return { scanned: 0, added: 0, alreadyExists: 0, errors: [] };
+  async processBatch(cids, run) {
+    const tracked = new Set(await this.db.getTrackedCids(cids));
+    const untracked = cids.filter(cid => !tracked.has(cid));
+    const result = { added: 0, alreadyExists: tracked.size, errors: [] };
+
+    await forEachWithConcurrency(untracked, this.sizeConcurrency, async (cid) => {
+      try {
+        const size = await this.ipfs.getCIDSize(cid);
+
+        // Add to database with pending status
+        await this.db.insertPin({
+          cid,
+          size_bytes: size,
+          status: 'pending',
+          notes: 'Discovered by pin discovery worker'
+        });
+
+        result.added++;
+        await run.item(cid, 'discovered', `${size} bytes`);
+        logger.info(`New pin discovered: ${cid} (${size} bytes)`);
+      } catch (error) {
+        result.errors.push(`${cid}: ${error.message}`);
+        await run.item(cid, 'failed', error.message);
+        logger.error(`Failed to process CID ${cid}:`, error.message);
       }
+    });
 
-      logger.info(`Found ${ipfsCIDs.length} pins in IPFS`);
-      
+    return result;
+  }
+
+  /**
+   * Discover new pins from IPFS and add to database
+   * @param {WorkerRun} run - Records each CID added (or failed)
+   */
+  async discoverNewPins(run) {
+    try {
+      let scanned = 0;
       let added = 0;
       let alreadyExists = 0;
       const errors = [];
-      
-      // Process each CID
-      for (const cid of ipfsCIDs) {
-        try {
-          // Check if already in database
-          const existing = await this.db.getPin(cid);
-          
-          if (existing) {
-            alreadyExists++;
-            continue;
-          }
-          
-          // Get size
-          const size = await this.ipfs.getCIDSize(cid);
-          
-          // Add to database with pending status
-          await this.db.insertPin({
-            cid,
-            size_bytes: size,
-            status: 'pending',
-            notes: 'Discovered by pin discovery worker'
-          });
-          
-          added++;
-          logger.info(`New pin discovered: ${cid} (${size} bytes)`);
-          
-        } catch (error) {
-          errors.push(`${cid}: ${error.message}`);
-          logger.error(`Failed to process CID ${cid}:`, error.message);
-        }
+
+      for await (const cids of this.ipfs.pinLsStream({ batchSize: this.batchSize })) {
+        const result = await this.processBatch(cids, run);
+        scanned += cids.length;
+        added += result.added;
+        alreadyExists += result.alreadyExists;
+        errors.push(...result.errors);
+        logger.debug(`Pin discovery: ${scanned} pins scanned, ${added} new so far`);
+      }
+
+      if (scanned === 0) {
+        logger.info('No pins found in IPFS');
       }
-      
+
       const summary = {
-        scanned: ipfsCIDs.length,
+        scanned,
         added,
         alreadyExists,
         errors: errors.slice(0, 5)
       };
-      
+
+      // The run keeps the full list
+      errors.forEach(message => run.error(message));
+
       if (added > 0) {
         logger.info(`Pin discovery complete: ${added} new pins added (${alreadyExists} already tracked)`);
       } else {
         logger.info(`Pin discovery complete: no new pins found (${alreadyExists} already tracked)`);
       }
-      
+
       return summary;
     } catch (error) {
       logger.error('Pin discovery failed:', error);
@@ -92,11 +114,22 @@ class PinDiscoveryWorker {
 
   /**
    * Run the pin discovery worker
+   * @param {string} trigger - scheduled (cron), manual or api
    */
-  async run() {
+  async run(trigger = 'scheduled') {
+    if (this.running) {
+      logger.info('Pin discovery already running, skipping');
+      return { skipped: true };
+    }
+
+    this.running = true;
+    let run = null;
     try {
-      const result = await this.discoverNewPins();
-      
+      run = await startRun('discovery', trigger);
+      const result = await this.discoverNewPins(run);
+      const { errors, ...counts } = result;
+      await run.finish(counts);
+
       // Log event only if new pins were found or there were errors
       if (result.added > 0 || result.errors.length > 0) {
         await this.db.logEvent({
@@ -109,21 +142,26 @@ class PinDiscoveryWorker {
 
       // Send Discord notification if new pins were discovered
       if (result.added > 0) {
-        await this.discord.notify(
-          'Pin Discovery',
-          `🔍 Discovered ${result.added} new pin(s) in IPFS`,
-          'info'
+        await this.discord.send(
+          '🔍 Pin Discovery',
+          `Discovered ${result.added} new pin(s) in IPFS`,
+          'blue'
         );
       }
 
       return result;
     } catch (error) {
+      if (run) {
+        await run.fail(error);
+      }
       await this.db.logEvent({
         event_type: 'pin_discovery',
         severity: 'error',
         message: error.message
       });
       throw error;
+    } finally {
+      this.running = false;
     }
   }
 }
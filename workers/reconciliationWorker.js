@@ -0,0 +1,376 @@
+const { getDatabase } = require('../utils/database');
+const { getIPFSClient } = require('../utils/ipfs');
+const { getDiscordNotifier } = require('../utils/discord');
+const { getQuarantine } = require('../utils/quarantine');
+const { startRun } = require('../utils/workerRuns');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+/**
+ * Reconciliation Worker
+ *
+ * Diffs the pins table against the IPFS pinset (pin/ls) in both directions
+ * Frequency: Daily (RECONCILE_SCHEDULE)
+ *
+ * Discrepancy kinds:
+ * - missing_locally: tracked as pinned, but not in the pinset (removed outside the service)
+ * - untracked: in the pinset, but not in the pins table
+ * - unpinned_but_pinned: marked unpinned, but still in the pinset
+ *
+ * Each kind is either only reported (listed on /reconcile for bulk fixing) or
+ * fixed automatically, per RECONCILE_<KIND>. Discrepancies are rechecked
+ * individually before they are recorded or fixed, so pins changing while the
+ * scan runs are not mistaken for drift.
+ */
+
+// Fixes available per discrepancy kind
+const ACTIONS = {
+  missing_locally: ['mark_unpinned', 'repin'],
+  untracked: ['track', 'unpin'],
+  unpinned_but_pinned: ['mark_pinned', 'unpin']
+};
+
+// Re-pinning content removed outside the service may fetch it from the network
+const REPIN_TIMEOUT_MS = 60 * 60 * 1000;
+
+class ReconciliationWorker {
+  constructor() {
+    this.db = getDatabase();
+    this.ipfs = getIPFSClient();
+    this.discord = getDiscordNotifier();
+    this.quarantine = getQuarantine();
+    this.policy = {
+      missing_locally: config.reconcile.missing_locally,
+      untracked: config.reconcile.untracked,
+      unpinned_but_pinned: config.reconcile.unpinned_but_pinned
+    };
+    this.running = false;
+  }
+
+  /**
+   * Diff the pins table against the pinset
+   * The pinset is streamed (pin/ls?stream=true), so only the tracked rows are
+   * held in memory, not the whole pinset
+   * @returns {Promise<Array<{cid: string, kind: string, pin: object|null}>>}
+   */
+  async diff() {
+    const rows = await this.db.getPinsForReconcile();
+    const tracked = new Map(rows.map(pin => [pin.cid, pin]));
+    const seen = new Set();
+    const found = [];
+    let pinnedCount = 0;
+
+    for await (const cids of this.ipfs.pinLsStream()) {
+      pinnedCount += cids.length;
+      for (const cid of cids) {
+        const pin = tracked.get(cid);
+        if (!pin) {
+          found.push({ cid, kind: 'untracked', pin: null });
+          continue;
+        }
+        seen.add(cid);
+        if (pin.unpinned) {
+          found.push({ cid, kind: 'unpinned_but_pinned', pin });
+        }
+      }
+    }
+
+    for (const pin of rows) {
+      if (!pin.unpinned && !seen.has(pin.cid)) {
+        found.push({ cid: pin.cid, kind: 'missing_locally', pin });
+      }
+    }
+
+    logger.info(`Reconciliation: ${pinnedCount} pins in IPFS, ${rows.length} tracked, ${found.length} candidate discrepancies`);
+    return found;
+  }
+
+  /**
+   * Recheck one discrepancy against the current DB row and pin state
+   * @returns {Promise<boolean>} - Whether it still holds
+   */
+  async confirm(cid, kind) {
+    const pin = await this.db.getPin(cid);
+    // Throws rather than reading an IPFS outage as "not pinned"
+    const isPinned = await this.ipfs.checkPinned(cid);
+
+    switch (kind) {
+      case 'missing_locally':
+        return !!pin && !pin.unpinned && !isPinned;
+      case 'untracked':
+        return !pin && isPinned;
+      case 'unpinned_but_pinned':
+        return !!pin && !!pin.unpinned && isPinned;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Apply a fix to a discrepancy
+   * @param {object} discrepancy - Row from pin_discrepancies
+   * @param {string} action - One of ACTIONS[discrepancy.kind]
+   */
+  async applyFix(discrepancy, action) {
+    const { cid } = discrepancy;
+    const now = new Date().toISOString();
+
+    switch (action) {
+      case 'mark_unpinned':
+        await this.db.updatePin(cid, {
+          unpinned: 1,
+          unpinned_at: now,
+          retention_rule: 'reconciliation',
+          notes: 'Marked unpinned: missing from the IPFS pinset'
+        });
+        break;
+
+      case 'repin':
+        await this.ipfs.pinAdd(cid, true, REPIN_TIMEOUT_MS);
+        await this.db.updatePin(cid, { notes: 'Re-pinned by reconciliation' });
+        break;
+
+      case 'track': {
+        const size = await this.ipfs.getCIDSize(cid);
+        await this.db.insertPin({
+          cid,
+          size_bytes: size,
+          status: 'pending',
+          notes: 'Discovered by reconciliation'
+        });
+        break;
+      }
+
+      case 'mark_pinned': {
+        const pin = await this.db.getPin(cid);
+        if (pin?.quarantine_held) {
+          // The pin protects the blocks now
+          await this.quarantine.release(cid).catch(error => {
+            logger.warn(`Failed to drop quarantine hold on ${cid}: ${error.message}`);
+          });
+        }
+        await this.db.updatePin(cid, {
+          unpinned: 0,
+          unpinned_at: null,
+          quarantine_until: null,
+          quarantine_held: 0,
+          retention_rule: null,
+          notes: 'Marked pinned: still in the IPFS pinset'
+        });
+        break;
+      }
+
+      case 'unpin':
+        await this.ipfs.pinRm(cid);
+        await this.db.setConfig('last_unpin_at', now);
+        break;
+
+      default:
+        throw new Error(`Unknown reconciliation action: ${action}`);
+    }
+  }
+
+  /**
+   * Fix open discrepancies, rechecking each first
+   * @param {Array<number>} ids - Discrepancy ids
+   * @param {string} action - Fix to apply; must suit every discrepancy's kind
+   * @param {WorkerRun} run - Records each CID
+   * @returns {Promise<{fixed: number, cleared: number, failed: number, errors: Array<string>}>}
+   */
+  async fix(ids, action, run) {
+    const result = { fixed: 0, cleared: 0, failed: 0, errors: [] };
+
+    if (!(await this.ipfs.isRunning())) {
+      throw new Error('IPFS is not responding, no reconciliation fixes applied');
+    }
+
+    for (const id of ids) {
+      const discrepancy = await this.db.getDiscrepancy(id);
+      if (!discrepancy || discrepancy.state !== 'open') {
+        continue;
+      }
+
+      if (!ACTIONS[discrepancy.kind].includes(action)) {
+        result.failed++;
+        result.errors.push(`${discrepancy.cid}: ${action} does not apply to ${discrepancy.kind}`);
+        await run.item(discrepancy.cid, 'failed', `${action} does not apply to ${discrepancy.kind}`);
+        continue;
+      }
+
+      try {
+        if (!(await this.confirm(discrepancy.cid, discrepancy.kind))) {
+          await this.db.resolveDiscrepancy(id, 'cleared', 'cleared');
+          result.cleared++;
+          await run.item(discrepancy.cid, 'cleared', discrepancy.kind);
+          continue;
+        }
+
+        await this.applyFix(discrepancy, action);
+        await this.db.resolveDiscrepancy(id, 'fixed', action);
+        result.fixed++;
+        await run.item(discrepancy.cid, 'fixed', `${discrepancy.kind}: ${action}`);
+        logger.info(`Reconciled ${discrepancy.cid} (${discrepancy.kind}): ${action}`);
+      } catch (error) {
+        result.failed++;
+        result.errors.push(`${discrepancy.cid}: ${error.message}`);
+        await run.item(discrepancy.cid, 'failed', error.message);
+        await this.db.setDiscrepancyError(id, error.message);
+        logger.error(`Failed to reconcile ${discrepancy.cid} (${discrepancy.kind}):`, error.message);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Fix discrepancies picked by an admin, recorded as a run of its own
+   * @param {string} trigger - api or manual
+   */
+  async fixSelected(ids, action, trigger = 'api') {
+    const run = await startRun('reconciliation', trigger);
+    try {
+      const result = await this.fix(ids, action, run);
+      const { errors, ...counts } = result;
+      await run.finish({ action, ...counts }, errors);
+      return result;
+    } catch (error) {
+      await run.fail(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run the reconciliation worker
+   * @param {string} trigger - scheduled (cron), manual or api
+   */
+  async run(trigger = 'scheduled') {
+    if (this.running) {
+      logger.info('Reconciliation already running, skipping');
+      return { skipped: true };
+    }
+
+    this.running = true;
+    let run = null;
+    const summary = {
+      candidates: 0,
+      discrepancies: { missing_locally: 0, untracked: 0, unpinned_but_pinned: 0 },
+      new: 0,
+      cleared: 0,
+      fixed: 0,
+      failed: 0,
+      errors: []
+    };
+
+    try {
+      run = await startRun('reconciliation', trigger);
+      logger.info('Starting pin reconciliation...');
+
+      const found = await this.diff();
+      summary.candidates = found.length;
+      const seen = new Set();
+
+      for (const { cid, kind, pin } of found) {
+        try {
+          if (!(await this.confirm(cid, kind))) {
+            continue;
+          }
+          const details = pin ? { status: pin.status, migrated: !!pin.migrated, size_bytes: pin.size_bytes } : null;
+          const { id, created } = await this.db.recordDiscrepancy(cid, kind, details);
+          seen.add(id);
+          summary.discrepancies[kind]++;
+          if (created) {
+            summary.new++;
+          }
+          await run.item(cid, 'discrepancy', `${kind}${created ? ' (new)' : ''}`);
+        } catch (error) {
+          summary.errors.push(`${cid}: ${error.message}`);
+          await run.item(cid, 'failed', error.message);
+        }
+      }
+
+      // Open discrepancies not seen this time have resolved themselves
+      for (const discrepancy of await this.db.getDiscrepancies({ limit: -1 })) {
+        if (!seen.has(discrepancy.id)) {
+          await this.db.resolveDiscrepancy(discrepancy.id, 'cleared', 'cleared');
+          summary.cleared++;
+          await run.item(discrepancy.cid, 'cleared', discrepancy.kind);
+        }
+      }
+
+      // Auto-fix per policy
+      for (const [kind, policy] of Object.entries(this.policy)) {
+        if (policy === 'report' || summary.discrepancies[kind] === 0) {
+          continue;
+        }
+        const open = await this.db.getDiscrepancies({ kind, limit: -1 });
+        const fixResult = await this.fix(open.map(discrepancy => discrepancy.id), policy, run);
+        summary.fixed += fixResult.fixed;
+        summary.failed += fixResult.failed;
+        summary.errors.push(...fixResult.errors);
+      }
+
+      summary.open = await this.db.getDiscrepancyCounts();
+
+      // The run keeps the full error list; events and notifications get the first few
+      const { errors, ...counts } = summary;
+      await run.finish(counts, errors);
+      summary.errors = errors.slice(0, 10);
+
+      await this.db.setConfig('last_reconcile_run', new Date().toISOString());
+
+      const openTotal = Object.values(summary.open).reduce((total, count) => total + count, 0);
+      logger.info(`Reconciliation complete: ${summary.new} new, ${summary.fixed} fixed, ${summary.cleared} cleared, ${openTotal} open`);
+
+      await this.db.logEvent({
+        event_type: 'reconciliation',
+        severity: summary.failed > 0 || summary.new > 0 ? 'warning' : 'info',
+        message: `Reconciliation: ${summary.new} new discrepancies, ${summary.fixed} fixed, ${openTotal} open`,
+        metadata: summary
+      });
+
+      if (summary.new > 0 || summary.failed > 0) {
+        await this.discord.notifyReconciliation(summary);
+      }
+
+      return summary;
+    } catch (error) {
+      logger.error('Reconciliation failed:', error);
+      const { errors, ...counts } = summary;
+      if (run) {
+        await run.fail(error, counts, errors);
+      }
+      await this.db.logEvent({
+        event_type: 'reconciliation',
+        severity: 'error',
+        message: error.message
+      });
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getReconciliationWorker() {
+  if (!instance) {
+    instance = new ReconciliationWorker();
+  }
+  return instance;
+}
+
+// Export for worker execution
+module.exports = {
+  run: async (trigger) => {
+    const worker = getReconciliationWorker();
+    return await worker.run(trigger);
+  },
+  fix: async (ids, action, trigger) => {
+    const worker = getReconciliationWorker();
+    return await worker.fixSelected(ids, action, trigger);
+  },
+  getReconciliationWorker,
+  ACTIONS
+};
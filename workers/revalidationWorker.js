@@ -0,0 +1,302 @@
+const { getDatabase } = require('../utils/database');
+const { getIPFSClient } = require('../utils/ipfs');
+const { getDiscordNotifier } = require('../utils/discord');
+const { createValidationChain } = require('../utils/validationProviders');
+const { createMigrationTarget } = require('../utils/migrationTargets');
+const { startRun } = require('../utils/workerRuns');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+/**
+ * Re-validation Worker
+ *
+ * The validator decides a pin once; a video deleted or flagged in the
+ * Traffic Director afterwards would stay pinned and be migrated anyway.
+ * This pass sends valid pins still held locally back through the validation
+ * chain, past the validation cache, each at most every
+ * REVALIDATION_INTERVAL_DAYS and up to REVALIDATION_BATCH_SIZE per run.
+ * Frequency: Daily (REVALIDATION_SCHEDULE)
+ *
+ * A pin the chain rejects is revoked: its status becomes revoked, queued
+ * migration jobs are cancelled and it is never queued again.
+ * REVALIDATION_POLICY decides what else happens:
+ * - stop_migration: nothing more; the local copy stays until an admin unpins it
+ * - unpin: also unpin it locally (sticky pins are kept)
+ * - remove: also unpin it locally and ask the supernode targets holding it to unpin it
+ *
+ * Pins the chain can't decide (a provider down) are left valid and checked
+ * again next run. A run rejecting more than REVALIDATION_MAX_REVOCATIONS pins
+ * revokes none of them and raises an alert instead: that many at once is more
+ * likely a broken provider than real takedowns.
+ */
+
+class RevalidationWorker {
+  constructor() {
+    this.db = getDatabase();
+    this.ipfs = getIPFSClient();
+    this.discord = getDiscordNotifier();
+    this.chain = createValidationChain();
+    this.intervalDays = config.revalidation.interval_days;
+    this.batchSize = config.revalidation.batch_size;
+    this.policy = config.revalidation.policy;
+    this.maxRevocations = config.revalidation.max_revocations;
+    this.running = false;
+  }
+
+  /**
+   * Supernode targets that may hold a pin: every target with a replication
+   * record for it, or the primary for pins migrated before those existed
+   */
+  async holdingTargets(pin) {
+    const replicas = (await this.db.getPinReplicas(pin.cid)).filter(replica => replica.state !== 'removed');
+    if (replicas.length === 0) {
+      return pin.migrated ? [config.supernode.primary_target].filter(Boolean).map(createMigrationTarget) : [];
+    }
+
+    const names = new Set(replicas.map(replica => replica.target));
+    return config.supernode.targets.filter(target => names.has(target.name)).map(createMigrationTarget);
+  }
+
+  /**
+   * Remove the local pin; pin/rm also fails for a CID that is no longer
+   * pinned, which only counts as done while the daemon answers
+   */
+  async unpinLocally(cid) {
+    try {
+      await this.ipfs.pinRm(cid);
+    } catch (error) {
+      if (!(await this.ipfs.isRunning()) || (await this.ipfs.isPinned(cid))) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Revoke a pin the chain rejected and apply the policy
+   * Failed unpins are counted and reported; the pin stays revoked either way
+   * @returns {Promise<string[]>} What was done, for the run item and event
+   */
+  async revoke(pin, result, summary) {
+    const now = new Date().toISOString();
+    const actions = [];
+
+    await this.db.updatePin(pin.cid, {
+      status: 'revoked',
+      revoked_at: now,
+      revalidated_at: now,
+      validation_source: result.source,
+      validation_detail: result.detail,
+      validation_signature: result.signature ? JSON.stringify(result.signature) : null
+    });
+    const cancelled = await this.db.cancelQueuedMigrationJobs(pin.cid, 'Pin was revoked');
+    actions.push(cancelled.changes > 0 ? 'queued migration cancelled' : 'migration stopped');
+    summary.revoked++;
+
+    if (this.policy === 'unpin' || this.policy === 'remove') {
+      if (pin.sticky) {
+        actions.push('kept locally (sticky)');
+      } else {
+        try {
+          await this.unpinLocally(pin.cid);
+          await this.db.setConfig('last_unpin_at', now);
+          await this.db.updatePin(pin.cid, {
+            unpinned: 1,
+            unpinned_at: now,
+            retention_rule: 'revoked',
+            notes: 'Unpinned: revoked by re-validation'
+          });
+          summary.unpinned++;
+          actions.push('unpinned locally');
+        } catch (error) {
+          summary.failed++;
+          summary.errors.push(`${pin.cid}: ${error.message}`);
+          actions.push('local unpin failed');
+          logger.error(`Failed to unpin revoked ${pin.cid}: ${error.message}`);
+        }
+      }
+    }
+
+    if (this.policy === 'remove') {
+      const removed = [];
+      for (const target of await this.holdingTargets(pin)) {
+        try {
+          await target.unpin(pin.cid);
+          await this.db.upsertPinReplica(pin.cid, target.name, 'removed');
+          removed.push(target.name);
+        } catch (error) {
+          summary.failed++;
+          summary.errors.push(`${pin.cid}: ${error.message}`);
+          actions.push(`removal failed on ${target.name}`);
+          logger.error(`Failed to remove revoked ${pin.cid} from ${target.name}: ${error.message}`);
+        }
+      }
+      if (removed.length > 0) {
+        summary.removed++;
+        actions.push(`removed from ${removed.join(', ')}`);
+      }
+    }
+
+    return actions;
+  }
+
+  /**
+   * Re-validate the pins that are due
+   * @param {WorkerRun} run - Records each CID with its outcome
+   * @param {object} summary - Run counts, updated in place
+   */
+  async revalidate(run, summary) {
+    const pins = await this.db.getPinsForRevalidation(this.intervalDays, this.batchSize);
+    summary.checked = pins.length;
+
+    if (pins.length === 0) {
+      logger.info('No pins due for re-validation');
+      return;
+    }
+
+    logger.info(`Re-validating ${pins.length} valid pins (policy: ${this.policy})...`);
+
+    const results = await this.chain.validate(pins, { refresh: true });
+    const byCid = new Map(pins.map(pin => [pin.cid, pin]));
+    const rejected = results.filter(result => result.valid === false).length;
+
+    if (rejected > this.maxRevocations) {
+      summary.held = rejected;
+      summary.errors.push(`Rejected ${rejected} pins, more than REVALIDATION_MAX_REVOCATIONS (${this.maxRevocations}); none were revoked`);
+      logger.error(`Re-validation rejected ${rejected} pins, more than ${this.maxRevocations}; holding back all revocations`);
+    }
+
+    for (const result of results) {
+      const pin = byCid.get(result.cid);
+      const reason = `${result.source}: ${result.detail}`;
+
+      try {
+        if (result.valid === null) {
+          summary.unavailable++;
+          summary.errors.push(`${result.cid}: ${result.detail}`);
+          await run.item(result.cid, 'unavailable', result.detail);
+          continue;
+        }
+
+        if (result.valid) {
+          await this.db.updatePin(result.cid, { revalidated_at: new Date().toISOString() });
+          summary.confirmed++;
+          await run.item(result.cid, 'valid', result.source);
+          continue;
+        }
+
+        if (summary.held > 0) {
+          await run.item(result.cid, 'held', reason);
+          continue;
+        }
+
+        const actions = await this.revoke(pin, result, summary);
+        summary.revocations.push({ cid: result.cid, reason, actions });
+        await run.item(result.cid, 'revoked', `${reason} (${actions.join(', ')})`);
+        logger.warn(`⛔ Revoked ${result.cid} (${reason}): ${actions.join(', ')}`);
+
+        await this.db.logEvent({
+          event_type: 'pin_revoked',
+          severity: 'warning',
+          message: `Revoked ${result.cid}: ${reason}`,
+          metadata: { cid: result.cid, source: result.source, detail: result.detail, policy: this.policy, actions }
+        });
+      } catch (error) {
+        summary.failed++;
+        summary.errors.push(`${result.cid}: ${error.message}`);
+        await run.item(result.cid, 'failed', error.message);
+        logger.error(`Failed to re-validate ${result.cid}: ${error.message}`);
+      }
+    }
+
+    logger.info(`Re-validation complete: ${summary.confirmed} confirmed, ${summary.revoked} revoked, ${summary.unavailable} unavailable`);
+  }
+
+  /**
+   * Run the re-validation worker
+   * @param {string} trigger - scheduled (cron), manual or api
+   */
+  async run(trigger = 'scheduled') {
+    if (this.running) {
+      logger.info('Re-validation already running, skipping');
+      return { skipped: true };
+    }
+
+    this.running = true;
+    let run = null;
+    const summary = {
+      policy: this.policy,
+      checked: 0,
+      confirmed: 0,
+      revoked: 0,
+      unavailable: 0,
+      held: 0,
+      max_revocations: this.maxRevocations,
+      unpinned: 0,
+      removed: 0,
+      failed: 0,
+      method: this.chain.name,
+      revocations: [],
+      errors: []
+    };
+
+    try {
+      run = await startRun('revalidation', trigger);
+      await this.revalidate(run, summary);
+
+      // The run keeps the full error list; events and notifications get the first few
+      const { errors, revocations, ...counts } = summary;
+      await run.finish(counts, errors);
+      summary.errors = errors.slice(0, 10);
+
+      await this.db.setConfig('last_revalidation_run', new Date().toISOString());
+
+      await this.db.logEvent({
+        event_type: 'revalidation',
+        severity: summary.held > 0 || summary.failed > 0 ? 'error' : (summary.revoked > 0 || summary.unavailable > 0 ? 'warning' : 'info'),
+        message: `Re-validated ${summary.checked} pins: ${summary.revoked} revoked, ${summary.confirmed} confirmed (${summary.method})`
+          + (summary.unavailable > 0 ? `, ${summary.unavailable} unavailable` : '')
+          + (summary.held > 0 ? `; ${summary.held} rejections held back` : ''),
+        metadata: { ...counts, revocations: revocations.slice(0, 50), errors: summary.errors }
+      });
+
+      if (summary.revoked > 0 || summary.held > 0) {
+        await this.discord.notifyRevocations(summary);
+      }
+
+      return summary;
+    } catch (error) {
+      logger.error('Re-validation failed:', error);
+      const { errors, revocations, ...counts } = summary;
+      if (run) {
+        await run.fail(error, counts, errors);
+      }
+      await this.db.logEvent({
+        event_type: 'revalidation',
+        severity: 'error',
+        message: error.message
+      });
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getRevalidationWorker() {
+  if (!instance) {
+    instance = new RevalidationWorker();
+  }
+  return instance;
+}
+
+// Export for worker execution
+module.exports = {
+  run: async (trigger) => {
+    const worker = getRevalidationWorker();
+    return await worker.run(trigger);
+  },
+  getRevalidationWorker
+};
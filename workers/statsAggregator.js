@@ -2,6 +2,8 @@ const fs = require('fs');
 const { getDatabase } = require('../utils/database');
 const { getIPFSClient } = require('../utils/ipfs');
 const { getDiscordNotifier } = require('../utils/discord');
+const { parseNginxTime } = require('../utils/migrationPriority');
+const { startRun } = require('../utils/workerRuns');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
 
@@ -24,14 +26,15 @@ class StatsAggregator {
 
   /**
    * Parse nginx logs for bandwidth stats
-   * Tracks IPFS gateway requests (actual content delivery)
+   * Tracks IPFS gateway requests (actual content delivery) and when each CID
+   * was last served, which watermark cleanup uses to pick pins to drop first
    * Log format: IP - [timestamp] "METHOD PATH PROTOCOL" STATUS BYTES "USER_AGENT" TIME
    */
   async parseNginxStats() {
     try {
       if (!fs.existsSync(this.logPath)) {
         logger.warn(`Log file not found: ${this.logPath}`);
-        return { bytes_in: 0, bytes_out: 0, requests: 0 };
+        return { bytes_in: 0, bytes_out: 0, requests: 0, last_served: new Map() };
       }
 
       const content = fs.readFileSync(this.logPath, 'utf8');
@@ -39,6 +42,7 @@ class StatsAggregator {
       
       let bytes_out = 0;
       let requests = 0;
+      const lastServed = new Map();
       
       for (const line of lines) {
         if (!line.trim()) continue;
@@ -56,14 +60,23 @@ class StatsAggregator {
           if ((path.startsWith('/ipfs/') || path.startsWith('/ipns/')) && status >= 200 && status < 300) {
             bytes_out += bytes;
             requests++;
+
+            const cid = path.match(/^\/ipfs\/([A-Za-z0-9]+)/);
+            const time = cid && parseNginxTime(match[2]);
+            if (time) {
+              const servedAt = time.toISOString();
+              if (!lastServed.has(cid[1]) || lastServed.get(cid[1]) < servedAt) {
+                lastServed.set(cid[1], servedAt);
+              }
+            }
           }
         }
       }
       
-      return { bytes_in: 0, bytes_out, requests };
+      return { bytes_in: 0, bytes_out, requests, last_served: lastServed };
     } catch (error) {
       logger.error('Failed to parse nginx stats:', error);
-      return { bytes_in: 0, bytes_out: 0, requests: 0 };
+      return { bytes_in: 0, bytes_out: 0, requests: 0, last_served: new Map() };
     }
   }
 
@@ -111,7 +124,10 @@ class StatsAggregator {
   async aggregateHourlyStats() {
     try {
       // Get nginx stats (ONLY gateway requests for actual content delivery)
-      const nginxStats = await this.parseNginxStats();
+      const { last_served: lastServed, ...nginxStats } = await this.parseNginxStats();
+      
+      // Remember when each pin was last served
+      const servedPins = await this.db.updateLastServed(lastServed);
       
       // Get IPFS repo stats (for storage info, not bandwidth)
       const repoStats = await this.getRepoStats();
@@ -128,6 +144,7 @@ class StatsAggregator {
         bytes_in: nginxStats.bytes_in,
         bytes_out: nginxStats.bytes_out,
         requests: nginxStats.requests,
+        served_pins: servedPins,
         repo_size: repoStats.repo_size
       });
       
@@ -175,11 +192,14 @@ class StatsAggregator {
   }
 
   /**
-   * Clean old stats beyond retention period
+   * Clean old stats and worker run history beyond retention period, and
+   * expired validation cache entries
    */
   async cleanOldStats() {
     try {
       const result = await this.db.cleanOldStats(this.retentionDays);
+      await this.db.cleanOldWorkerRuns(this.retentionDays);
+      await this.db.cleanExpiredValidations();
       logger.info(`Cleaned stats older than ${this.retentionDays} days`);
       return result;
     } catch (error) {
@@ -219,14 +239,17 @@ class StatsAggregator {
 
   /**
    * Run the stats aggregator worker
+   * @param {string} trigger - scheduled (cron) or manual
    */
-  async run() {
+  async run(trigger = 'scheduled') {
+    const run = await startRun('stats', trigger);
     try {
       // Check IPFS health first
       const ipfsRunning = await this.checkIPFSHealth();
       
       if (!ipfsRunning) {
         logger.error('IPFS daemon is not running - skipping stats aggregation');
+        await run.fail(new Error('IPFS daemon offline'));
         return { success: false, error: 'IPFS daemon offline' };
       }
       
@@ -247,8 +270,10 @@ class StatsAggregator {
         metadata: hourlyStats
       });
 
+      await run.finish(hourlyStats);
       return hourlyStats;
     } catch (error) {
+      await run.fail(error);
       await this.db.logEvent({
         event_type: 'stats_aggregation',
         severity: 'error',
@@ -271,9 +296,9 @@ function getStatsAggregator() {
 
 // Export for worker execution
 module.exports = {
-  run: async () => {
+  run: async (trigger) => {
     const aggregator = getStatsAggregator();
-    return await aggregator.run();
+    return await aggregator.run(trigger);
   },
   getStatsAggregator
 };